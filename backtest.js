@@ -0,0 +1,211 @@
+// ============================
+// Kolscam: copy-trade backtester
+// Replays KOL trades as a follower would have copied them: each KOL
+// buy is entered entryDelaySec later, sized fixed or in proportion to
+// the KOL's buy, and exited by mirroring the KOL's sells and/or by
+// take-profit / stop-loss checked against token price snapshots.
+//
+//   runBacktest(trades, snapshots, options) -> { trades, equity, summary }
+//
+// Prices are in SOL per token. At a KOL trade the price is its fill
+// (amount_sol / token_amount); at any other time it is the fill of the
+// KOL's latest trade on the token moved by the USD snapshot price
+// change since then (SOL/USD drift is ignored). Without snapshots the
+// price holds at the last fill. Positions are kept per (KOL, token), so
+// copying several KOLs that trade the same token stays separate.
+// ============================
+
+const DUST_RATIO = 1e-9;
+
+/**
+ * trades:    kol_trades rows (Buy/Sell, any order) for the copied KOLs
+ * snapshots: Map mint -> [{ timestamp, price_usd }] ascending
+ * options:   { entryDelaySec, sizing: 'fixed'|'proportional', sizeSol,
+ *              sizeRatio, slippagePct, feeSol, mirrorSells,
+ *              takeProfitPct, stopLossPct, from, to, interval }
+ */
+export function runBacktest(trades, snapshots = new Map(), options = {}) {
+    const {
+        entryDelaySec = 0,
+        sizing = 'fixed',
+        sizeSol = 1,
+        sizeRatio = 0.1,
+        slippagePct = 1,
+        feeSol = 0,
+        mirrorSells = true,
+        takeProfitPct = null,
+        stopLossPct = null,
+        interval = 86400,
+    } = options;
+    const slip = slippagePct / 100;
+
+    const ordered = [...trades]
+        .filter(t => (t.action === 'Buy' || t.action === 'Sell') && t.token_amount > 0 && t.amount_sol > 0)
+        .sort((a, b) => (a.tx_timestamp - b.tx_timestamp) || ((a.id || 0) - (b.id || 0)));
+    const from = options.from ?? (ordered[0]?.tx_timestamp || 0);
+    const to = options.to ?? ordered.reduce((latest, t) => Math.max(latest, t.tx_timestamp + entryDelaySec), from);
+
+    // Snapshot USD price at or before t (first one after when none before)
+    const snapshotAt = (mint, t) => {
+        const points = snapshots.get(mint) || [];
+        let lo = 0, hi = points.length - 1, found = null;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (points[mid].timestamp <= t) { found = points[mid]; lo = mid + 1; } else hi = mid - 1;
+        }
+        return (found || points[0])?.price_usd || 0;
+    };
+
+    // Fills per mint, for pricing between KOL trades
+    const fills = new Map();
+    for (const t of ordered) {
+        if (!fills.has(t.token_mint)) fills.set(t.token_mint, []);
+        fills.get(t.token_mint).push({ t: t.tx_timestamp, price: t.amount_sol / t.token_amount });
+    }
+    const priceAt = (mint, t) => {
+        const list = fills.get(mint) || [];
+        let anchor = list[0];
+        for (const f of list) { if (f.t <= t) anchor = f; else break; }
+        if (!anchor) return 0;
+        const then = snapshotAt(mint, anchor.t);
+        const now = snapshotAt(mint, t);
+        return then > 0 && now > 0 ? anchor.price * (now / then) : anchor.price;
+    };
+
+    // Copier actions: entries for buys, mirrored exits for sells (as a
+    // fraction of what the KOL held at the time)
+    const actions = [];
+    const kolHeld = new Map();
+    for (const t of ordered) {
+        const key = `${t.kol_name}:${t.token_mint}`;
+        const held = kolHeld.get(key) || 0;
+        if (t.action === 'Buy') {
+            kolHeld.set(key, held + t.token_amount);
+            actions.push({ t: t.tx_timestamp + entryDelaySec, kind: 'enter', key, trade: t });
+        } else {
+            const fraction = held > 0 ? Math.min(t.token_amount / held, 1) : 1;
+            kolHeld.set(key, Math.max(held - t.token_amount, 0));
+            if (mirrorSells) actions.push({ t: t.tx_timestamp + entryDelaySec, kind: 'mirror', key, trade: t, fraction });
+        }
+    }
+    // Snapshot checkpoints for take-profit / stop-loss
+    if (takeProfitPct != null || stopLossPct != null) {
+        for (const mint of fills.keys()) {
+            for (const s of snapshots.get(mint) || []) {
+                if (s.timestamp >= from && s.timestamp <= to) actions.push({ t: s.timestamp, kind: 'check', mint });
+            }
+        }
+    }
+    const order = { enter: 0, mirror: 1, check: 2 };
+    actions.sort((a, b) => (a.t - b.t) || (order[a.kind] - order[b.kind]));
+
+    const positions = new Map(); // key -> { kolName, mint, symbol, qty, costSol }
+    const log = [];
+    let realized = 0, invested = 0, wins = 0, losses = 0;
+
+    const sell = (key, pos, fraction, t, reason, kolTrade = null) => {
+        const before = pos.qty;
+        const qty = before * fraction;
+        const price = priceAt(pos.mint, t) * (1 - slip);
+        const cost = pos.costSol * fraction;
+        const proceeds = qty * price - feeSol;
+        const pnl = proceeds - cost;
+        realized += pnl;
+        if (pnl > 0) wins++; else losses++;
+        pos.qty -= qty;
+        pos.costSol -= cost;
+        if (pos.qty <= before * DUST_RATIO) positions.delete(key);
+        log.push({
+            t, kolName: pos.kolName, mint: pos.mint, symbol: pos.symbol, action: 'Sell', reason,
+            priceSol: price, tokens: qty, sol: proceeds, feeSol, pnlSol: pnl,
+            kolSignature: kolTrade?.signature || null,
+        });
+    };
+
+    // Equity at bucket ends
+    const equity = [];
+    const start = Math.floor(from / interval) * interval;
+    let nextBucket = start;
+    let bucketTrades = 0, bucketVolume = 0;
+    const markTo = (t) => {
+        while (nextBucket <= to && nextBucket + interval - 1 < t) {
+            const end = Math.min(nextBucket + interval - 1, to);
+            let unrealized = 0;
+            for (const pos of positions.values()) unrealized += pos.qty * priceAt(pos.mint, end) * (1 - slip) - pos.costSol;
+            equity.push({ t: nextBucket, trades: bucketTrades, volume: bucketVolume, realizedPnl: realized, unrealizedPnl: unrealized, equity: realized + unrealized });
+            bucketTrades = 0;
+            bucketVolume = 0;
+            nextBucket += interval;
+        }
+    };
+
+    for (const action of actions) {
+        if (action.t > to) break;
+        markTo(action.t);
+
+        if (action.kind === 'enter') {
+            const t = action.trade;
+            const spend = sizing === 'proportional' ? t.amount_sol * sizeRatio : sizeSol;
+            if (!(spend > 0)) continue;
+            const price = priceAt(t.token_mint, action.t) * (1 + slip);
+            if (!(price > 0)) continue;
+            const qty = spend / price;
+            const pos = positions.get(action.key) || { kolName: t.kol_name, mint: t.token_mint, symbol: t.token_symbol || '', qty: 0, costSol: 0 };
+            pos.qty += qty;
+            pos.costSol += spend + feeSol;
+            positions.set(action.key, pos);
+            invested += spend + feeSol;
+            log.push({
+                t: action.t, kolName: t.kol_name, mint: t.token_mint, symbol: pos.symbol, action: 'Buy', reason: 'copy',
+                priceSol: price, tokens: qty, sol: spend, feeSol, pnlSol: null, kolSignature: t.signature,
+            });
+            bucketTrades++;
+            bucketVolume += spend;
+        } else if (action.kind === 'mirror') {
+            const pos = positions.get(action.key);
+            if (!pos) continue;
+            sell(action.key, pos, action.fraction, action.t, 'mirror', action.trade);
+            bucketTrades++;
+            bucketVolume += log[log.length - 1].sol;
+        } else {
+            for (const [key, pos] of positions) {
+                if (pos.mint !== action.mint || !(pos.qty > 0)) continue;
+                const value = pos.qty * priceAt(pos.mint, action.t) * (1 - slip);
+                const change = (value - pos.costSol) / pos.costSol * 100;
+                const reason = takeProfitPct != null && change >= takeProfitPct ? 'take_profit'
+                    : stopLossPct != null && change <= -stopLossPct ? 'stop_loss' : null;
+                if (!reason) continue;
+                sell(key, pos, 1, action.t, reason);
+                bucketTrades++;
+                bucketVolume += log[log.length - 1].sol;
+            }
+        }
+    }
+    markTo(to + interval);
+
+    // Deepest fall of equity from its running peak
+    let peak = 0, maxDrawdown = 0;
+    for (const p of equity) {
+        peak = Math.max(peak, p.equity);
+        maxDrawdown = Math.max(maxDrawdown, peak - p.equity);
+    }
+    const last = equity[equity.length - 1];
+    const unrealized = last ? last.unrealizedPnl : 0;
+    return {
+        trades: log,
+        equity,
+        summary: {
+            trades: log.length,
+            volume: log.reduce((sum, l) => sum + l.sol, 0),
+            invested,
+            realizedPnl: realized,
+            unrealizedPnl: unrealized,
+            totalPnl: realized + unrealized,
+            roi: invested > 0 ? (realized + unrealized) / invested * 100 : 0,
+            closedTrades: wins + losses,
+            winRate: wins + losses > 0 ? wins / (wins + losses) * 100 : 0,
+            maxDrawdown,
+            openPositions: positions.size,
+        },
+    };
+}
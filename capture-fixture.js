@@ -0,0 +1,75 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { getCachedToken, getSolPriceBefore } from './db.js';
+import { parseTransaction, fixtureLegs, setSolPrice, SOL_MINT } from './parser.js';
+import { createHeliusProvider } from './providers.js';
+import { requestJson } from './http-client.js';
+
+// ============================
+// Kolscam: Capture a real Helius payload as a parser golden fixture
+// Usage: node capture-fixture.js <signature> <wallet> <file-name> ["description"]
+//
+// Fetches the enhanced transaction and token metadata from Helius, takes
+// token prices from the local token_cache and the SOL/USD rate from
+// sol_price_history at the block time (150 if there's no history), and
+// writes test/fixtures/parser/<file-name>.json with `expected` set to the
+// current parser output. Check `expected` by hand (Solscan) before
+// committing: the capture records what the parser does, not what's right.
+// ============================
+
+const [signature, wallet, fileName, description] = process.argv.slice(2);
+if (!signature || !wallet || !fileName) {
+    console.error('❌ Usage: node capture-fixture.js <signature> <wallet> <file-name> ["description"]');
+    process.exit(1);
+}
+if (!process.env.HELIUS_API_KEY) {
+    console.error('❌ HELIUS_API_KEY is not set');
+    process.exit(1);
+}
+
+const FIXTURES_DIR = path.join(path.dirname(new URL(import.meta.url).pathname), 'test', 'fixtures', 'parser');
+
+const [tx] = await requestJson(`https://api.helius.xyz/v0/transactions?api-key=${process.env.HELIUS_API_KEY}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ transactions: [signature] })
+}) || [];
+if (!tx) {
+    console.error(`❌ Helius returned nothing for ${signature}`);
+    process.exit(1);
+}
+
+const mints = [...new Set((tx.tokenTransfers || []).map(t => t.mint).filter(m => m && m !== SOL_MINT))];
+const tokenMetadata = {};
+if (mints.length > 0) {
+    const provider = createHeliusProvider({ apiKey: process.env.HELIUS_API_KEY });
+    for (const token of await provider.fetchTokenMetadata(mints)) {
+        tokenMetadata[token.mint] = { name: token.name, symbol: token.symbol, image: token.image };
+    }
+}
+
+const tokenCache = mints
+    .map(mint => getCachedToken.get(mint))
+    .filter(row => row?.price_usd > 0)
+    .map(row => ({ mint: row.mint, name: row.name, symbol: row.symbol, price_usd: row.price_usd }));
+
+const solPrice = getSolPriceBefore.get(tx.timestamp)?.price_usd || 150;
+setSolPrice(solPrice);
+
+const fixture = {
+    name: description || `${tx.source || 'UNKNOWN'} ${tx.type || 'UNKNOWN'} ${signature.slice(0, 8)}`,
+    source: 'helius',
+    wallet,
+    solPrice,
+    tokenMetadata,
+    tokenCache,
+    tx,
+    expected: fixtureLegs(parseTransaction(tx, 'FIXTURE', '', wallet, tokenMetadata)),
+};
+
+const outPath = path.join(FIXTURES_DIR, fileName.endsWith('.json') ? fileName : `${fileName}.json`);
+fs.writeFileSync(outPath, JSON.stringify(fixture, null, 2) + '\n');
+console.log(`📝 Wrote ${outPath}`);
+console.log(JSON.stringify(fixture.expected, null, 2));
+console.log('⚠️  Verify `expected` against the explorer before committing');
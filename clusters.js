@@ -0,0 +1,101 @@
+// ============================
+// Kolscam: coordinated buying ("cabal") detection
+// Finds groups of distinct KOLs buying the same token within a short
+// window of each other, and scores KOL pairs that keep showing up in
+// those groups together.
+//
+//   detectClusters(buys, { windowSec, minKols })  -> events
+//   scorePairs(events, { now, halfLifeSec })      -> pairs
+//
+// A cluster starts at a buy and takes every later buy of the token
+// within windowSec of that first one; it counts when at least minKols
+// distinct KOLs are in it. The next cluster starts at the first buy
+// after it, so clusters never overlap.
+// ============================
+
+/**
+ * Clusters in one token's buys (kol_trades rows, any order).
+ * Each event lists one member per KOL: their first buy in the window,
+ * plus how many buys and how much SOL they put in within it.
+ */
+export function detectClusters(buys, { windowSec = 300, minKols = 3 } = {}) {
+    const ordered = [...buys].sort((a, b) => (a.tx_timestamp - b.tx_timestamp) || ((a.id || 0) - (b.id || 0)));
+    const events = [];
+
+    let i = 0;
+    while (i < ordered.length) {
+        const startedAt = ordered[i].tx_timestamp;
+        let j = i;
+        while (j < ordered.length && ordered[j].tx_timestamp - startedAt <= windowSec) j++;
+
+        const members = new Map();
+        for (const buy of ordered.slice(i, j)) {
+            const m = members.get(buy.kol_name);
+            if (m) {
+                m.buyCount++;
+                m.amountSol += buy.amount_sol || 0;
+            } else {
+                members.set(buy.kol_name, {
+                    kolName: buy.kol_name,
+                    wallet: buy.wallet,
+                    firstBuyAt: buy.tx_timestamp,
+                    signature: buy.signature,
+                    buyCount: 1,
+                    amountSol: buy.amount_sol || 0,
+                });
+            }
+        }
+
+        if (members.size >= minKols) {
+            const list = [...members.values()];
+            events.push({
+                startedAt,
+                endedAt: ordered[j - 1].tx_timestamp,
+                kolCount: list.length,
+                buyCount: j - i,
+                totalSol: list.reduce((sum, m) => sum + m.amountSol, 0),
+                members: list,
+            });
+            i = j;
+        } else {
+            i++;
+        }
+    }
+    return events;
+}
+
+/**
+ * Co-buying pairs across cluster events ({ startedAt, members }).
+ * score sums each shared event decayed by age (halves every
+ * halfLifeSec), so pairs that keep co-buying rank above old one-offs.
+ * overlap is shared events over the smaller of the two KOLs' totals.
+ */
+export function scorePairs(events, { now = Math.floor(Date.now() / 1000), halfLifeSec = 30 * 86400 } = {}) {
+    const eventCounts = new Map();
+    const pairs = new Map();
+
+    for (const event of events) {
+        const names = [...new Set(event.members.map(m => m.kolName))].sort();
+        for (const name of names) eventCounts.set(name, (eventCounts.get(name) || 0) + 1);
+        const weight = 0.5 ** (Math.max(now - event.startedAt, 0) / halfLifeSec);
+        for (let a = 0; a < names.length; a++) {
+            for (let b = a + 1; b < names.length; b++) {
+                const key = `${names[a]}\u0000${names[b]}`;
+                const pair = pairs.get(key) || {
+                    kolA: names[a], kolB: names[b], coEvents: 0, score: 0,
+                    firstAt: event.startedAt, lastAt: event.startedAt,
+                };
+                pair.coEvents++;
+                pair.score += weight;
+                pair.firstAt = Math.min(pair.firstAt, event.startedAt);
+                pair.lastAt = Math.max(pair.lastAt, event.startedAt);
+                pairs.set(key, pair);
+            }
+        }
+    }
+
+    return [...pairs.values()].map(pair => ({
+        ...pair,
+        overlap: pair.coEvents / Math.min(eventCounts.get(pair.kolA), eventCounts.get(pair.kolB)),
+    }));
+}
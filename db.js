@@ -39,9 +39,10 @@ db.exec(`
     action TEXT NOT NULL,
     token_symbol TEXT NOT NULL,
     amount_sol REAL DEFAULT 0,
-    signature TEXT UNIQUE,
+    signature TEXT,
     tx_timestamp INTEGER NOT NULL,
-    scanned_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    scanned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(signature, wallet, action)
   );
 
   CREATE INDEX IF NOT EXISTS idx_kol_trades_wallet ON kol_trades(wallet);
@@ -55,6 +56,83 @@ try { db.exec('ALTER TABLE kol_trades ADD COLUMN token_amount REAL DEFAULT 0');
 try { db.exec('ALTER TABLE token_cache ADD COLUMN mcap REAL DEFAULT 0'); } catch(e) { /* already exists */ }
 try { db.exec('ALTER TABLE token_cache ADD COLUMN price_usd REAL DEFAULT 0'); } catch(e) { /* already exists */ }
 try { db.exec('ALTER TABLE token_cache ADD COLUMN price_change_24h REAL DEFAULT 0'); } catch(e) { /* already exists */ }
+// Quote asset the trade was paid/settled in (SOL, USDC, USD1, another token).
+// amount_sol stays the SOL-equivalent value so PnL math is unchanged.
+try { db.exec("ALTER TABLE kol_trades ADD COLUMN quote_mint TEXT DEFAULT ''"); } catch(e) { /* already exists */ }
+try { db.exec("ALTER TABLE kol_trades ADD COLUMN quote_symbol TEXT DEFAULT 'SOL'"); } catch(e) { /* already exists */ }
+try { db.exec('ALTER TABLE kol_trades ADD COLUMN quote_amount REAL DEFAULT 0'); } catch(e) { /* already exists */ }
+// Which parser strategy (swap_event, description, net_transfers) and venue
+// (pumpfun, pumpswap, raydium_amm, jupiter, ...) produced each row
+try { db.exec("ALTER TABLE kol_trades ADD COLUMN parse_strategy TEXT DEFAULT ''"); } catch(e) { /* already exists */ }
+try { db.exec("ALTER TABLE kol_trades ADD COLUMN dex_source TEXT DEFAULT ''"); } catch(e) { /* already exists */ }
+// Parser version that produced the row (0 = before versioning)
+try { db.exec('ALTER TABLE kol_trades ADD COLUMN parser_version INTEGER DEFAULT 0'); } catch(e) { /* already exists */ }
+
+// --- Migration: key trades by (signature, wallet) instead of signature ---
+// A transaction touching two tracked wallets yields a row for each.
+// SQLite can't drop a column constraint, so rebuild the table once.
+const kolTradesSchema = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'kol_trades'`).get();
+if (kolTradesSchema && /signature TEXT UNIQUE/i.test(kolTradesSchema.sql)) {
+  const columns = db.prepare('PRAGMA table_info(kol_trades)').all().map(c => c.name).join(', ');
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE kol_trades_rekeyed (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wallet TEXT NOT NULL,
+        kol_name TEXT NOT NULL,
+        kol_avatar TEXT DEFAULT '',
+        action TEXT NOT NULL,
+        token_symbol TEXT NOT NULL,
+        amount_sol REAL DEFAULT 0,
+        signature TEXT,
+        tx_timestamp INTEGER NOT NULL,
+        scanned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        token_mint TEXT DEFAULT "",
+        token_amount REAL DEFAULT 0,
+        quote_mint TEXT DEFAULT '',
+        quote_symbol TEXT DEFAULT 'SOL',
+        quote_amount REAL DEFAULT 0,
+        parse_strategy TEXT DEFAULT '',
+        dex_source TEXT DEFAULT '',
+        parser_version INTEGER DEFAULT 0,
+        UNIQUE(signature, wallet)
+      );
+    `);
+    db.exec(`INSERT INTO kol_trades_rekeyed (${columns}) SELECT ${columns} FROM kol_trades`);
+    db.exec('DROP TABLE kol_trades');
+    db.exec('ALTER TABLE kol_trades_rekeyed RENAME TO kol_trades');
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_kol_trades_wallet ON kol_trades(wallet);
+      CREATE INDEX IF NOT EXISTS idx_kol_trades_timestamp ON kol_trades(tx_timestamp);
+      CREATE INDEX IF NOT EXISTS idx_kol_trades_signature ON kol_trades(signature);
+    `);
+  })();
+  console.log('📂 Migrated kol_trades to (signature, wallet) keys');
+}
+
+// --- Migration: key trades by (signature, wallet, action) ---
+// A token-for-token swap is stored as two legs: a Sell of the input and
+// a Buy of the output. Rebuild from the current schema text so columns
+// added by the migrations above carry over.
+const kolTradesKeyed = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'kol_trades'`).get();
+if (kolTradesKeyed && /UNIQUE\s*\(\s*signature\s*,\s*wallet\s*\)/i.test(kolTradesKeyed.sql)) {
+  const columns = db.prepare('PRAGMA table_info(kol_trades)').all().map(c => c.name).join(', ');
+  const createSql = kolTradesKeyed.sql
+    .replace(/CREATE TABLE\s+"?kol_trades"?/i, 'CREATE TABLE kol_trades_rekeyed')
+    .replace(/UNIQUE\s*\(\s*signature\s*,\s*wallet\s*\)/i, 'UNIQUE(signature, wallet, action)');
+  db.transaction(() => {
+    db.exec(createSql);
+    db.exec(`INSERT INTO kol_trades_rekeyed (${columns}) SELECT ${columns} FROM kol_trades`);
+    db.exec('DROP TABLE kol_trades');
+    db.exec('ALTER TABLE kol_trades_rekeyed RENAME TO kol_trades');
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_kol_trades_wallet ON kol_trades(wallet);
+      CREATE INDEX IF NOT EXISTS idx_kol_trades_timestamp ON kol_trades(tx_timestamp);
+      CREATE INDEX IF NOT EXISTS idx_kol_trades_signature ON kol_trades(signature);
+    `);
+  })();
+  console.log('📂 Migrated kol_trades to (signature, wallet, action) keys');
+}
 
 // --- Side wallet submissions table ---
 db.exec(`
@@ -70,10 +148,338 @@ db.exec(`
   );
 `);
 
+// --- Raw Helius payloads, kept so trades can be re-derived without refetching ---
+db.exec(`
+  CREATE TABLE IF NOT EXISTS raw_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signature TEXT NOT NULL,
+    wallet TEXT NOT NULL,
+    tx_timestamp INTEGER DEFAULT 0,
+    source TEXT DEFAULT '',
+    payload TEXT NOT NULL,
+    stored_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(signature, wallet)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_raw_transactions_wallet ON raw_transactions(wallet);
+`);
+
+// --- Webhook ingest queue: payloads are persisted before processing ---
+// status: pending -> processing -> done, or back to pending with backoff,
+// or dead after too many attempts (replayable via the API)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhook_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signature TEXT DEFAULT '',
+    payload TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at INTEGER DEFAULT 0,
+    last_error TEXT DEFAULT '',
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_webhook_queue_status ON webhook_queue(status, next_attempt_at);
+`);
+
+// --- Per-wallet sync cursors ---
+// last_signature/last_timestamp: history is complete from here to the
+// last sync (only advanced by contiguous fetches). last_seen_*: newest
+// transaction seen from any source, e.g. webhooks, which can skip gaps.
+// gap_*: a gap fill that ran out of pages. Everything from gap_top down
+// to gap_before is stored; the next run resumes below gap_before.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS wallet_sync_state (
+    wallet TEXT PRIMARY KEY,
+    last_signature TEXT DEFAULT '',
+    last_timestamp INTEGER DEFAULT 0,
+    last_seen_signature TEXT DEFAULT '',
+    last_seen_timestamp INTEGER DEFAULT 0,
+    gap_top_signature TEXT DEFAULT '',
+    gap_top_timestamp INTEGER DEFAULT 0,
+    gap_before_signature TEXT DEFAULT '',
+    gap_before_timestamp INTEGER DEFAULT 0,
+    last_synced_at DATETIME
+  );
+`);
+try { db.exec("ALTER TABLE wallet_sync_state ADD COLUMN gap_top_signature TEXT DEFAULT ''"); } catch(e) { /* already exists */ }
+try { db.exec('ALTER TABLE wallet_sync_state ADD COLUMN gap_top_timestamp INTEGER DEFAULT 0'); } catch(e) { /* already exists */ }
+try { db.exec("ALTER TABLE wallet_sync_state ADD COLUMN gap_before_signature TEXT DEFAULT ''"); } catch(e) { /* already exists */ }
+try { db.exec('ALTER TABLE wallet_sync_state ADD COLUMN gap_before_timestamp INTEGER DEFAULT 0'); } catch(e) { /* already exists */ }
+
+// --- Deep backfill jobs ---
+// One row per run, one checkpoint per wallet. before_signature is the last
+// page fetched, so an interrupted wallet resumes from the next page.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    days INTEGER NOT NULL,
+    since_timestamp INTEGER NOT NULL,
+    status TEXT DEFAULT 'running',
+    total_wallets INTEGER DEFAULT 0,
+    done_wallets INTEGER DEFAULT 0,
+    saved INTEGER DEFAULT 0,
+    pages INTEGER DEFAULT 0,
+    credits INTEGER DEFAULT 0,
+    error TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  );
+
+  CREATE TABLE IF NOT EXISTS backfill_checkpoints (
+    job_id INTEGER NOT NULL,
+    wallet TEXT NOT NULL,
+    kol_name TEXT NOT NULL,
+    max_pages INTEGER NOT NULL,
+    status TEXT DEFAULT 'pending',
+    before_signature TEXT DEFAULT '',
+    newest_signature TEXT DEFAULT '',
+    newest_timestamp INTEGER DEFAULT 0,
+    pages INTEGER DEFAULT 0,
+    saved INTEGER DEFAULT 0,
+    credits INTEGER DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (job_id, wallet)
+  );
+`);
+try { db.exec('ALTER TABLE backfill_checkpoints ADD COLUMN error TEXT DEFAULT ""'); } catch(e) { /* already exists */ }
+
+// --- Helius credit accounting (per UTC day and endpoint type) ---
+db.exec(`
+  CREATE TABLE IF NOT EXISTS helius_credit_usage (
+    day TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    calls INTEGER DEFAULT 0,
+    credits INTEGER DEFAULT 0,
+    PRIMARY KEY (day, endpoint)
+  );
+`);
+
+// --- SOL/USD price history (fetchSolPrice samples + CSV imports) ---
+db.exec(`
+  CREATE TABLE IF NOT EXISTS sol_price_history (
+    timestamp INTEGER PRIMARY KEY,
+    price_usd REAL NOT NULL,
+    source TEXT DEFAULT ''
+  );
+`);
+
+// SOL/USD rate at tx_timestamp (0 = not known yet)
+try { db.exec('ALTER TABLE kol_trades ADD COLUMN sol_price_usd REAL DEFAULT 0'); } catch(e) { /* already exists */ }
+
+// --- Token market snapshots (append-only; token_cache holds only the latest) ---
+db.exec(`
+  CREATE TABLE IF NOT EXISTS token_market_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mint TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    price_usd REAL DEFAULT 0,
+    mcap REAL DEFAULT 0,
+    liquidity REAL DEFAULT 0,
+    volume_24h REAL DEFAULT 0,
+    price_change_24h REAL DEFAULT 0
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_token_snapshots_mint_ts ON token_market_snapshots(mint, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_token_snapshots_ts ON token_market_snapshots(timestamp);
+`);
+
+// --- FIFO positions (derived from kol_trades; rebuilt by positions.js) ---
+// owner is the wallet, or the KOL name when side wallets are pooled
+db.exec(`
+  CREATE TABLE IF NOT EXISTS position_lots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL,
+    kol_name TEXT NOT NULL,
+    wallet TEXT NOT NULL,
+    token_mint TEXT NOT NULL,
+    token_symbol TEXT DEFAULT '',
+    buy_signature TEXT,
+    opened_at INTEGER NOT NULL,
+    qty_initial REAL DEFAULT 0,
+    qty_remaining REAL DEFAULT 0,
+    cost_sol REAL DEFAULT 0,
+    cost_usd REAL DEFAULT 0
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_position_lots_owner_mint ON position_lots(owner, token_mint);
+  CREATE INDEX IF NOT EXISTS idx_position_lots_kol ON position_lots(kol_name);
+
+  CREATE TABLE IF NOT EXISTS closed_positions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL,
+    kol_name TEXT NOT NULL,
+    wallet TEXT NOT NULL,
+    token_mint TEXT NOT NULL,
+    token_symbol TEXT DEFAULT '',
+    buy_signature TEXT,
+    sell_signature TEXT,
+    opened_at INTEGER NOT NULL,
+    closed_at INTEGER NOT NULL,
+    qty REAL DEFAULT 0,
+    cost_sol REAL DEFAULT 0,
+    cost_usd REAL DEFAULT 0,
+    proceeds_sol REAL DEFAULT 0,
+    proceeds_usd REAL DEFAULT 0,
+    pnl_sol REAL DEFAULT 0,
+    pnl_usd REAL DEFAULT 0,
+    unmatched INTEGER DEFAULT 0
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_closed_positions_owner_mint ON closed_positions(owner, token_mint);
+  CREATE INDEX IF NOT EXISTS idx_closed_positions_kol ON closed_positions(kol_name, closed_at);
+  CREATE INDEX IF NOT EXISTS idx_closed_positions_closed ON closed_positions(closed_at);
+`);
+
+// --- Per-KOL daily rollup (UTC days) for leaderboard ranges ---
+// Trade counters are bumped on insert; realized columns are refreshed
+// for the days a FIFO re-match touches. Rebuilt with the positions.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS kol_daily_stats (
+    kol_name TEXT NOT NULL,
+    day INTEGER NOT NULL,
+    trade_count INTEGER DEFAULT 0,
+    buy_count INTEGER DEFAULT 0,
+    sell_count INTEGER DEFAULT 0,
+    volume_sol REAL DEFAULT 0,
+    closed_count INTEGER DEFAULT 0,
+    closed_cost_sol REAL DEFAULT 0,
+    realized_sol REAL DEFAULT 0,
+    realized_usd REAL DEFAULT 0,
+    unmatched_sol REAL DEFAULT 0,
+    PRIMARY KEY (kol_name, day)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_kol_daily_stats_day ON kol_daily_stats(day);
+`);
+
+// --- Coordinated buying clusters (derived from kol_trades by clusters.js) ---
+// One event per burst of distinct KOLs buying a token; pair stats are
+// recomputed from the events after each detection run.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS cluster_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_mint TEXT NOT NULL,
+    token_symbol TEXT DEFAULT '',
+    started_at INTEGER NOT NULL,
+    ended_at INTEGER NOT NULL,
+    kol_count INTEGER NOT NULL,
+    buy_count INTEGER NOT NULL,
+    total_sol REAL DEFAULT 0,
+    detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(token_mint, started_at)
+  );
+
+  CREATE TABLE IF NOT EXISTS cluster_event_members (
+    event_id INTEGER NOT NULL,
+    kol_name TEXT NOT NULL,
+    wallet TEXT NOT NULL,
+    first_buy_at INTEGER NOT NULL,
+    signature TEXT DEFAULT '',
+    buy_count INTEGER DEFAULT 0,
+    amount_sol REAL DEFAULT 0,
+    PRIMARY KEY (event_id, kol_name)
+  );
+
+  CREATE TABLE IF NOT EXISTS kol_pair_stats (
+    kol_a TEXT NOT NULL,
+    kol_b TEXT NOT NULL,
+    co_events INTEGER NOT NULL,
+    score REAL NOT NULL,
+    overlap REAL NOT NULL,
+    first_at INTEGER NOT NULL,
+    last_at INTEGER NOT NULL,
+    PRIMARY KEY (kol_a, kol_b)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_cluster_events_started ON cluster_events(started_at);
+  CREATE INDEX IF NOT EXISTS idx_cluster_members_kol ON cluster_event_members(kol_name);
+`);
+
+// --- Exit liquidity (derived from kol_trades by exit-liquidity.js) ---
+// One row per (sell, other KOL's concurrent buy) with the SOL matched
+db.exec(`
+  CREATE TABLE IF NOT EXISTS exit_liquidity_pairs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_mint TEXT NOT NULL,
+    token_symbol TEXT DEFAULT '',
+    seller_kol TEXT NOT NULL,
+    seller_wallet TEXT NOT NULL,
+    sell_signature TEXT NOT NULL,
+    sell_at INTEGER NOT NULL,
+    buyer_kol TEXT NOT NULL,
+    buyer_wallet TEXT NOT NULL,
+    buy_signature TEXT NOT NULL,
+    buy_at INTEGER NOT NULL,
+    sol REAL NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_exit_liquidity_mint ON exit_liquidity_pairs(token_mint);
+  CREATE INDEX IF NOT EXISTS idx_exit_liquidity_sell_at ON exit_liquidity_pairs(sell_at);
+`);
+
+// --- Flagged events feed (written by the detectors in server.js) ---
+// type: 'side_divergence', ... occurred_at anchors the event, so a
+// re-detected event keeps its id. details holds the evidence as JSON.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS flagged_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    kol_name TEXT NOT NULL,
+    token_mint TEXT NOT NULL,
+    token_symbol TEXT DEFAULT '',
+    occurred_at INTEGER NOT NULL,
+    severity REAL DEFAULT 0,
+    summary TEXT DEFAULT '',
+    details TEXT DEFAULT '{}',
+    detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(type, kol_name, token_mint, occurred_at)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_flagged_events_occurred ON flagged_events(occurred_at);
+  CREATE INDEX IF NOT EXISTS idx_flagged_events_kol ON flagged_events(kol_name, occurred_at);
+`);
+
+// --- Token receipts: tokens a tracked wallet got without paying ---
+// Derived from raw payloads by parser.js tokenReceipts() on ingest (and
+// rebuilt by reparse). Transfers between a KOL's own wallets are left out.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS token_receipts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signature TEXT NOT NULL,
+    wallet TEXT NOT NULL,
+    kol_name TEXT NOT NULL,
+    token_mint TEXT NOT NULL,
+    amount REAL DEFAULT 0,
+    from_wallet TEXT DEFAULT '',
+    received_at INTEGER NOT NULL,
+    UNIQUE(signature, wallet, token_mint)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_token_receipts_kol_mint ON token_receipts(kol_name, token_mint);
+`);
+
+// --- Composite scam score per KOL (recomputed on a schedule) ---
+// factors/metrics hold the JSON breakdown; score is NULL when the KOL
+// has too little activity in the lookback to judge.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS kol_scam_scores (
+    kol_name TEXT PRIMARY KEY,
+    score INTEGER,
+    factors TEXT DEFAULT '[]',
+    metrics TEXT DEFAULT '{}',
+    since INTEGER NOT NULL,
+    computed_at INTEGER NOT NULL
+  );
+`);
+
 // --- Create indexes that depend on new columns (after migration) ---
 try { db.exec('CREATE INDEX IF NOT EXISTS idx_kol_trades_token_mint ON kol_trades(token_mint)'); } catch(e) { /* */ }
 try { db.exec('CREATE INDEX IF NOT EXISTS idx_kol_trades_action ON kol_trades(action)'); } catch(e) { /* */ }
 try { db.exec('CREATE INDEX IF NOT EXISTS idx_kol_trades_kol_name ON kol_trades(kol_name)'); } catch(e) { /* */ }
+try { db.exec('CREATE INDEX IF NOT EXISTS idx_kol_trades_dex_source ON kol_trades(dex_source)'); } catch(e) { /* */ }
 
 // --- Submitted Wallets ---
 const insertWallet = db.prepare(`
@@ -113,8 +519,8 @@ const upsertTokenMarketData = db.prepare(`
 
 // --- KOL Trades ---
 const insertTrade = db.prepare(`
-  INSERT OR IGNORE INTO kol_trades (wallet, kol_name, kol_avatar, action, token_symbol, amount_sol, signature, tx_timestamp, token_mint, token_amount)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  INSERT OR IGNORE INTO kol_trades (wallet, kol_name, kol_avatar, action, token_symbol, amount_sol, signature, tx_timestamp, token_mint, token_amount, quote_mint, quote_symbol, quote_amount, parse_strategy, dex_source, parser_version, sol_price_usd)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 
 // Diverse feed: max 2 trades per KOL, so no single KOL floods the feed
@@ -147,26 +553,20 @@ const getTradesSince = db.prepare(`
   SELECT * FROM kol_trades WHERE tx_timestamp >= ? AND action IN ('Buy', 'Sell') ORDER BY tx_timestamp DESC LIMIT ?
 `);
 
-// Leaderboard: aggregate stats per KOL name (combines main + side wallets)
+// Leaderboard: trade counts per KOL name (combines main + side wallets)
+// for partial days; whole days come from kol_daily_stats. '' = all KOLs.
+// PnL comes from the FIFO position tables.
 const getLeaderboardStats = db.prepare(`
   SELECT 
     kol_name,
-    MAX(kol_avatar) as kol_avatar,
-    MIN(wallet) as wallet,
     COUNT(*) as trade_count,
     SUM(CASE WHEN action = 'Buy' THEN 1 ELSE 0 END) as buy_count,
     SUM(CASE WHEN action = 'Sell' THEN 1 ELSE 0 END) as sell_count,
-    SUM(CASE WHEN action = 'Buy' THEN -amount_sol ELSE 0 END) +
-    SUM(CASE WHEN action = 'Sell' THEN amount_sol ELSE 0 END) as pnl,
-    ROUND(
-      CAST(SUM(CASE WHEN action = 'Sell' AND amount_sol > 0 THEN 1 ELSE 0 END) AS REAL) /
-      NULLIF(COUNT(*), 0) * 100
-    , 1) as win_rate
+    SUM(amount_sol) as volume_sol
   FROM kol_trades 
-  WHERE tx_timestamp >= ? AND action IN ('Buy', 'Sell')
+  WHERE tx_timestamp >= ? AND tx_timestamp <= ? AND action IN ('Buy', 'Sell')
+    AND (? = '' OR kol_name = ?)
   GROUP BY kol_name
-  ORDER BY pnl DESC
-  LIMIT ?
 `);
 
 // Get recently traded tokens (for Tokens page)
@@ -211,6 +611,8 @@ const getKolTokenPnl = db.prepare(`
     token_mint,
     SUM(CASE WHEN action = 'Buy' THEN amount_sol ELSE 0 END) as bought_sol,
     SUM(CASE WHEN action = 'Sell' THEN amount_sol ELSE 0 END) as sold_sol,
+    SUM(CASE WHEN action = 'Buy' THEN amount_sol * CASE WHEN sol_price_usd > 0 THEN sol_price_usd ELSE ? END ELSE 0 END) as bought_usd,
+    SUM(CASE WHEN action = 'Sell' THEN amount_sol * CASE WHEN sol_price_usd > 0 THEN sol_price_usd ELSE ? END ELSE 0 END) as sold_usd,
     SUM(CASE WHEN action = 'Buy' THEN token_amount ELSE 0 END) as tokens_bought,
     SUM(CASE WHEN action = 'Sell' THEN token_amount ELSE 0 END) as tokens_sold,
     SUM(CASE WHEN action = 'Buy' THEN 1 ELSE 0 END) as buy_count,
@@ -227,12 +629,938 @@ const getKolTokenPnl = db.prepare(`
   LIMIT ?
 `);
 
+// Trade counts per venue / parse strategy (audit)
+const getTradeSourceBreakdown = db.prepare(`
+  SELECT dex_source, parse_strategy, COUNT(*) as trade_count, SUM(amount_sol) as volume_sol
+  FROM kol_trades
+  WHERE action IN ('Buy', 'Sell')
+  GROUP BY dex_source, parse_strategy
+  ORDER BY trade_count DESC
+`);
+
+// Recent trades filtered by venue and/or parse strategy ('' = any)
+const getTradesBySource = db.prepare(`
+  SELECT * FROM kol_trades
+  WHERE action IN ('Buy', 'Sell')
+    AND (? = '' OR dex_source = ?)
+    AND (? = '' OR parse_strategy = ?)
+  ORDER BY tx_timestamp DESC
+  LIMIT ?
+`);
+
 // Count total trades in DB
 const getTradeCount = db.prepare(`SELECT COUNT(*) as count FROM kol_trades WHERE action IN ('Buy', 'Sell')`);
 
 // Count unique KOLs scanned
 const getScannedKolCount = db.prepare(`SELECT COUNT(DISTINCT wallet) as count FROM kol_trades`);
 
+// --- Raw Transactions ---
+const insertRawTransaction = db.prepare(`
+  INSERT OR IGNORE INTO raw_transactions (signature, wallet, tx_timestamp, source, payload)
+  VALUES (?, ?, ?, ?, ?)
+`);
+
+const getRawTransactionCount = db.prepare(`SELECT COUNT(*) as count FROM raw_transactions`);
+
+const getAllRawTransactions = db.prepare(`
+  SELECT signature, wallet, payload FROM raw_transactions ORDER BY tx_timestamp ASC
+`);
+
+const insertTokenReceipt = db.prepare(`
+  INSERT OR IGNORE INTO token_receipts (signature, wallet, kol_name, token_mint, amount, from_wallet, received_at)
+  VALUES (@signature, @wallet, @kolName, @mint, @amount, @fromWallet, @receivedAt)
+`);
+
+const deleteTokenReceiptsForWallet = db.prepare(`DELETE FROM token_receipts WHERE wallet = ?`);
+
+// Trades that can be re-derived (a raw payload exists for their signature + wallet)
+const getTradesWithRaw = db.prepare(`
+  SELECT kt.* FROM kol_trades kt
+  JOIN raw_transactions rt ON rt.signature = kt.signature AND rt.wallet = kt.wallet
+`);
+
+const deleteTradeBySignatureWallet = db.prepare(`
+  DELETE FROM kol_trades WHERE signature = ? AND wallet = ?
+`);
+
+// --- Wallet Sync State ---
+const getWalletSyncState = db.prepare(`
+  SELECT * FROM wallet_sync_state WHERE wallet = ?
+`);
+
+const getAllWalletSyncStates = db.prepare(`
+  SELECT * FROM wallet_sync_state ORDER BY last_timestamp ASC
+`);
+
+const upsertWalletCursor = db.prepare(`
+  INSERT INTO wallet_sync_state (wallet, last_signature, last_timestamp, last_synced_at)
+  VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+  ON CONFLICT(wallet) DO UPDATE SET
+    last_signature = excluded.last_signature,
+    last_timestamp = excluded.last_timestamp,
+    last_synced_at = CURRENT_TIMESTAMP
+  WHERE excluded.last_timestamp >= wallet_sync_state.last_timestamp
+`);
+
+// Gap fill found nothing new: keep the cursor, record the check
+const touchWalletSync = db.prepare(`
+  UPDATE wallet_sync_state SET last_synced_at = CURRENT_TIMESTAMP WHERE wallet = ?
+`);
+
+// Gap fill ran out of pages: remember how far down it got
+const setWalletGapCheckpoint = db.prepare(`
+  UPDATE wallet_sync_state SET
+    gap_top_signature = @topSignature,
+    gap_top_timestamp = @topTimestamp,
+    gap_before_signature = @beforeSignature,
+    gap_before_timestamp = @beforeTimestamp,
+    last_synced_at = CURRENT_TIMESTAMP
+  WHERE wallet = @wallet
+`);
+
+const clearWalletGapCheckpoint = db.prepare(`
+  UPDATE wallet_sync_state SET
+    gap_top_signature = '', gap_top_timestamp = 0,
+    gap_before_signature = '', gap_before_timestamp = 0
+  WHERE wallet = ?
+`);
+
+const markWalletSeen = db.prepare(`
+  INSERT INTO wallet_sync_state (wallet, last_seen_signature, last_seen_timestamp)
+  VALUES (?, ?, ?)
+  ON CONFLICT(wallet) DO UPDATE SET
+    last_seen_signature = excluded.last_seen_signature,
+    last_seen_timestamp = excluded.last_seen_timestamp
+  WHERE excluded.last_seen_timestamp >= wallet_sync_state.last_seen_timestamp
+`);
+
+// Newest stored trade for a wallet (seeds a cursor for wallets synced before cursors existed)
+const getLatestTradeForWallet = db.prepare(`
+  SELECT signature, tx_timestamp FROM kol_trades WHERE wallet = ? ORDER BY tx_timestamp DESC LIMIT 1
+`);
+
+// --- Backfill Jobs ---
+const insertBackfillJob = db.prepare(`
+  INSERT INTO backfill_jobs (days, since_timestamp, total_wallets) VALUES (?, ?, ?)
+`);
+
+const insertBackfillCheckpoint = db.prepare(`
+  INSERT OR IGNORE INTO backfill_checkpoints (job_id, wallet, kol_name, max_pages) VALUES (?, ?, ?, ?)
+`);
+
+const getBackfillJob = db.prepare(`
+  SELECT * FROM backfill_jobs WHERE id = ?
+`);
+
+const getRecentBackfillJobs = db.prepare(`
+  SELECT * FROM backfill_jobs ORDER BY id DESC LIMIT ?
+`);
+
+const getLatestBackfillJobByStatus = db.prepare(`
+  SELECT * FROM backfill_jobs WHERE status = ? ORDER BY id DESC LIMIT 1
+`);
+
+const setBackfillJobStatus = db.prepare(`
+  UPDATE backfill_jobs SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP,
+    finished_at = CASE WHEN ? IN ('completed', 'cancelled', 'failed') THEN CURRENT_TIMESTAMP ELSE NULL END
+  WHERE id = ?
+`);
+
+// Totals are summed from checkpoints so they survive restarts unchanged
+const refreshBackfillJobTotals = db.prepare(`
+  UPDATE backfill_jobs SET
+    done_wallets = (SELECT COUNT(*) FROM backfill_checkpoints WHERE job_id = backfill_jobs.id AND status = 'done'),
+    saved = (SELECT COALESCE(SUM(saved), 0) FROM backfill_checkpoints WHERE job_id = backfill_jobs.id),
+    pages = (SELECT COALESCE(SUM(pages), 0) FROM backfill_checkpoints WHERE job_id = backfill_jobs.id),
+    credits = (SELECT COALESCE(SUM(credits), 0) FROM backfill_checkpoints WHERE job_id = backfill_jobs.id),
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+// A process that died mid-run leaves jobs 'running'; flag them for resume
+const markRunningBackfillJobsInterrupted = db.prepare(`
+  UPDATE backfill_jobs SET status = 'interrupted', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'
+`);
+
+const getBackfillCheckpoints = db.prepare(`
+  SELECT * FROM backfill_checkpoints WHERE job_id = ? ORDER BY rowid
+`);
+
+const getBackfillCheckpoint = db.prepare(`
+  SELECT * FROM backfill_checkpoints WHERE job_id = ? AND wallet = ?
+`);
+
+const getPendingBackfillCheckpoints = db.prepare(`
+  SELECT * FROM backfill_checkpoints WHERE job_id = ? AND status != 'done' ORDER BY rowid
+`);
+
+const saveBackfillCheckpoint = db.prepare(`
+  UPDATE backfill_checkpoints SET
+    status = ?, before_signature = ?, newest_signature = ?, newest_timestamp = ?,
+    pages = ?, saved = ?, credits = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE job_id = ? AND wallet = ?
+`);
+
+// --- Helius Credit Usage ---
+const recordCreditUsage = db.prepare(`
+  INSERT INTO helius_credit_usage (day, endpoint, calls, credits) VALUES (?, ?, 1, ?)
+  ON CONFLICT(day, endpoint) DO UPDATE SET
+    calls = calls + 1,
+    credits = credits + excluded.credits
+`);
+
+const getCreditUsageSince = db.prepare(`
+  SELECT COALESCE(SUM(credits), 0) as credits FROM helius_credit_usage WHERE day >= ?
+`);
+
+const getCreditUsageByEndpointSince = db.prepare(`
+  SELECT endpoint, SUM(calls) as calls, SUM(credits) as credits
+  FROM helius_credit_usage WHERE day >= ?
+  GROUP BY endpoint ORDER BY credits DESC
+`);
+
+const getCreditUsageByDaySince = db.prepare(`
+  SELECT day, SUM(calls) as calls, SUM(credits) as credits
+  FROM helius_credit_usage WHERE day >= ?
+  GROUP BY day ORDER BY day DESC
+`);
+
+// --- Token Market Snapshots ---
+const insertTokenSnapshot = db.prepare(`
+  INSERT INTO token_market_snapshots (mint, timestamp, price_usd, mcap, liquidity, volume_24h, price_change_24h)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+const getTokenSnapshots = db.prepare(`
+  SELECT timestamp, price_usd, mcap, liquidity, volume_24h, price_change_24h
+  FROM token_market_snapshots
+  WHERE mint = ? AND timestamp >= ?
+  ORDER BY timestamp ASC
+`);
+
+// Keep the latest snapshot per (mint, bucket) for rows in [from, to)
+const downsampleTokenSnapshots = db.prepare(`
+  DELETE FROM token_market_snapshots
+  WHERE timestamp >= @from AND timestamp < @to
+    AND id NOT IN (
+      SELECT MAX(id) FROM token_market_snapshots
+      WHERE timestamp >= @from AND timestamp < @to
+      GROUP BY mint, timestamp / CAST(@bucket AS INTEGER)
+    )
+`);
+
+const pruneTokenSnapshots = db.prepare(`
+  DELETE FROM token_market_snapshots WHERE timestamp < ?
+`);
+
+const getTokenSnapshotStats = db.prepare(`
+  SELECT COUNT(*) as count, COUNT(DISTINCT mint) as mints, MIN(timestamp) as first FROM token_market_snapshots
+`);
+
+// Trades on one token since a timestamp (chart markers)
+const getTokenTradesSince = db.prepare(`
+  SELECT wallet, kol_name, action, token_symbol, amount_sol, token_amount, tx_timestamp, signature
+  FROM kol_trades
+  WHERE token_mint = ? AND tx_timestamp >= ? AND action IN ('Buy', 'Sell')
+  ORDER BY tx_timestamp ASC
+`);
+
+// --- Token detail ---
+// Every tracked KOL trade on a token, oldest first
+const getTokenTimeline = db.prepare(`
+  SELECT id, wallet, kol_name, kol_avatar, action, token_symbol, amount_sol, token_amount,
+    tx_timestamp, signature, dex_source, quote_symbol, quote_amount, sol_price_usd
+  FROM kol_trades
+  WHERE token_mint = ? AND action IN ('Buy', 'Sell')
+  ORDER BY tx_timestamp ASC, id ASC
+`);
+
+const getLatestTokenSnapshot = db.prepare(`
+  SELECT * FROM token_market_snapshots WHERE mint = ? ORDER BY timestamp DESC LIMIT 1
+`);
+
+const getTokenClosedByKol = db.prepare(`
+  SELECT
+    kol_name,
+    SUM(CASE WHEN unmatched = 0 THEN 1 ELSE 0 END) as closed_count,
+    SUM(CASE WHEN unmatched = 0 THEN pnl_sol ELSE 0 END) as realized_sol,
+    SUM(CASE WHEN unmatched = 0 THEN pnl_usd ELSE 0 END) as realized_usd,
+    SUM(CASE WHEN unmatched = 1 THEN proceeds_sol ELSE 0 END) as unmatched_sol
+  FROM closed_positions
+  WHERE token_mint = ?
+  GROUP BY kol_name
+`);
+
+const getTokenOpenByKol = db.prepare(`
+  SELECT
+    kol_name,
+    COUNT(*) as lot_count,
+    SUM(qty_remaining) as qty,
+    SUM(cost_sol) as cost_sol,
+    SUM(cost_usd) as cost_usd,
+    MIN(opened_at) as first_opened
+  FROM position_lots
+  WHERE token_mint = ?
+  GROUP BY kol_name
+`);
+
+// --- SOL Price History ---
+const insertSolPrice = db.prepare(`
+  INSERT OR REPLACE INTO sol_price_history (timestamp, price_usd, source) VALUES (?, ?, ?)
+`);
+
+const getSolPriceBefore = db.prepare(`
+  SELECT timestamp, price_usd FROM sol_price_history WHERE timestamp <= ? ORDER BY timestamp DESC LIMIT 1
+`);
+
+const getSolPriceAfter = db.prepare(`
+  SELECT timestamp, price_usd FROM sol_price_history WHERE timestamp >= ? ORDER BY timestamp ASC LIMIT 1
+`);
+
+const getSolPriceHistoryStats = db.prepare(`
+  SELECT COUNT(*) as count, MIN(timestamp) as first, MAX(timestamp) as last FROM sol_price_history
+`);
+
+// Fill trades missing a rate from the nearest sample within maxGap seconds
+// (the one at or before tx_timestamp wins, else the next one after)
+const fillTradeSolPrices = db.prepare(`
+  UPDATE kol_trades SET sol_price_usd = COALESCE(
+    (SELECT price_usd FROM sol_price_history h
+      WHERE h.timestamp <= kol_trades.tx_timestamp AND h.timestamp >= kol_trades.tx_timestamp - @maxGap
+      ORDER BY h.timestamp DESC LIMIT 1),
+    (SELECT price_usd FROM sol_price_history h
+      WHERE h.timestamp > kol_trades.tx_timestamp AND h.timestamp <= kol_trades.tx_timestamp + @maxGap
+      ORDER BY h.timestamp ASC LIMIT 1),
+    0)
+  WHERE (sol_price_usd IS NULL OR sol_price_usd = 0) AND tx_timestamp > 0
+`);
+
+// --- FIFO Positions ---
+const POSITION_TRADE_COLUMNS = `id, wallet, kol_name, action, token_symbol, token_mint, amount_sol, token_amount, tx_timestamp, signature, sol_price_usd`;
+
+const getWalletMintTrades = db.prepare(`
+  SELECT ${POSITION_TRADE_COLUMNS} FROM kol_trades
+  WHERE wallet = ? AND token_mint = ? AND action IN ('Buy', 'Sell')
+`);
+
+const getKolMintTrades = db.prepare(`
+  SELECT ${POSITION_TRADE_COLUMNS} FROM kol_trades
+  WHERE kol_name = ? AND token_mint = ? AND action IN ('Buy', 'Sell')
+`);
+
+const getAllPositionTrades = db.prepare(`
+  SELECT ${POSITION_TRADE_COLUMNS} FROM kol_trades
+  WHERE action IN ('Buy', 'Sell') AND token_mint != '' AND token_mint IS NOT NULL
+  ORDER BY token_mint, tx_timestamp, id
+`);
+
+const deletePositionLots = db.prepare(`DELETE FROM position_lots WHERE owner = ? AND token_mint = ?`);
+const deleteClosedPositions = db.prepare(`DELETE FROM closed_positions WHERE owner = ? AND token_mint = ?`);
+
+const insertPositionLot = db.prepare(`
+  INSERT INTO position_lots (owner, kol_name, wallet, token_mint, token_symbol, buy_signature, opened_at, qty_initial, qty_remaining, cost_sol, cost_usd)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+const insertClosedPosition = db.prepare(`
+  INSERT INTO closed_positions (owner, kol_name, wallet, token_mint, token_symbol, buy_signature, sell_signature, opened_at, closed_at, qty, cost_sol, cost_usd, proceeds_sol, proceeds_usd, pnl_sol, pnl_usd, unmatched)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+// Realized PnL per KOL from positions closed in [from, to] ('' = all KOLs).
+// Unmatched sells (no known cost basis) are reported but not counted.
+const getClosedPositionStats = db.prepare(`
+  SELECT
+    kol_name,
+    SUM(CASE WHEN unmatched = 0 THEN 1 ELSE 0 END) as closed_count,
+    SUM(CASE WHEN unmatched = 0 THEN cost_sol ELSE 0 END) as cost_sol,
+    SUM(CASE WHEN unmatched = 0 THEN proceeds_sol ELSE 0 END) as proceeds_sol,
+    SUM(CASE WHEN unmatched = 0 THEN pnl_sol ELSE 0 END) as realized_sol,
+    SUM(CASE WHEN unmatched = 0 THEN pnl_usd ELSE 0 END) as realized_usd,
+    SUM(CASE WHEN unmatched = 1 THEN proceeds_sol ELSE 0 END) as unmatched_sol
+  FROM closed_positions
+  WHERE closed_at >= ? AND closed_at <= ?
+    AND (? = '' OR kol_name = ?)
+  GROUP BY kol_name
+`);
+
+// Open lots per KOL opened in [from, to], marked at the cached
+// token price. Lots on tokens with no price are left out of value_usd
+// and priced_cost_* so they count as flat rather than a total loss.
+const getOpenLotStats = db.prepare(`
+  SELECT
+    l.kol_name,
+    COUNT(*) as lot_count,
+    SUM(l.cost_sol) as cost_sol,
+    SUM(l.cost_usd) as cost_usd,
+    SUM(CASE WHEN tc.price_usd > 0 THEN l.cost_sol ELSE 0 END) as priced_cost_sol,
+    SUM(CASE WHEN tc.price_usd > 0 THEN l.cost_usd ELSE 0 END) as priced_cost_usd,
+    SUM(CASE WHEN tc.price_usd > 0 THEN l.qty_remaining * tc.price_usd ELSE 0 END) as value_usd,
+    SUM(CASE WHEN tc.price_usd > 0 THEN 0 ELSE 1 END) as unpriced_lots
+  FROM position_lots l
+  LEFT JOIN token_cache tc ON tc.mint = l.token_mint
+  WHERE l.opened_at >= ? AND l.opened_at <= ?
+    AND (? = '' OR l.kol_name = ?)
+  GROUP BY l.kol_name
+`);
+
+// Fully sold buy lots whose last sell falls in [from, to]: one
+// closed position per lot, for win rate and trade statistics.
+// Params: kol, kol ('' = all), from, to
+const getClosedLotPositions = db.prepare(`
+  SELECT
+    c.kol_name,
+    c.token_mint,
+    MIN(c.opened_at) as opened_at,
+    MAX(c.closed_at) as closed_at,
+    SUM(c.cost_sol) as cost_sol,
+    SUM(c.proceeds_sol) as proceeds_sol,
+    SUM(c.pnl_sol) as pnl_sol,
+    SUM(c.pnl_usd) as pnl_usd
+  FROM closed_positions c
+  WHERE c.unmatched = 0
+    AND (? = '' OR c.kol_name = ?)
+    AND NOT EXISTS (
+      SELECT 1 FROM position_lots l
+      WHERE l.owner = c.owner AND l.token_mint = c.token_mint AND l.buy_signature = c.buy_signature
+    )
+  GROUP BY c.owner, c.token_mint, c.buy_signature
+  HAVING MAX(c.closed_at) >= ? AND MAX(c.closed_at) <= ?
+`);
+
+// Per-token realized PnL for one KOL (profile page)
+const getKolClosedByToken = db.prepare(`
+  SELECT
+    token_mint,
+    SUM(CASE WHEN unmatched = 0 THEN 1 ELSE 0 END) as closed_count,
+    SUM(CASE WHEN unmatched = 0 THEN pnl_sol ELSE 0 END) as realized_sol,
+    SUM(CASE WHEN unmatched = 0 THEN pnl_usd ELSE 0 END) as realized_usd,
+    SUM(CASE WHEN unmatched = 1 THEN qty ELSE 0 END) as unmatched_qty,
+    SUM(CASE WHEN unmatched = 1 THEN proceeds_sol ELSE 0 END) as unmatched_sol
+  FROM closed_positions
+  WHERE kol_name = ?
+  GROUP BY token_mint
+`);
+
+// Per-token open lots for one KOL (profile page)
+const getKolOpenByToken = db.prepare(`
+  SELECT
+    token_mint,
+    COUNT(*) as lot_count,
+    SUM(qty_remaining) as qty,
+    SUM(cost_sol) as cost_sol,
+    SUM(cost_usd) as cost_usd,
+    MIN(opened_at) as first_opened
+  FROM position_lots
+  WHERE kol_name = ?
+  GROUP BY token_mint
+`);
+
+const getKolOpenLots = db.prepare(`
+  SELECT l.*, tc.price_usd as token_price, tc.image as token_image
+  FROM position_lots l
+  LEFT JOIN token_cache tc ON tc.mint = l.token_mint
+  WHERE l.kol_name = ?
+  ORDER BY l.opened_at DESC
+  LIMIT ?
+`);
+
+const getKolClosedPositions = db.prepare(`
+  SELECT * FROM closed_positions
+  WHERE kol_name = ?
+  ORDER BY closed_at DESC, id DESC
+  LIMIT ?
+`);
+
+const getPositionCounts = db.prepare(`
+  SELECT
+    (SELECT COUNT(*) FROM position_lots) as open_lots,
+    (SELECT COUNT(*) FROM closed_positions) as closed_positions,
+    (SELECT COUNT(*) FROM closed_positions WHERE unmatched = 1) as unmatched_sells
+`);
+
+// --- KOL Daily Stats ---
+const bumpDailyTradeStats = db.prepare(`
+  INSERT INTO kol_daily_stats (kol_name, day, trade_count, buy_count, sell_count, volume_sol)
+  VALUES (@kol, @day, 1, @buy, @sell, @volume)
+  ON CONFLICT(kol_name, day) DO UPDATE SET
+    trade_count = trade_count + 1,
+    buy_count = buy_count + excluded.buy_count,
+    sell_count = sell_count + excluded.sell_count,
+    volume_sol = volume_sol + excluded.volume_sol
+`);
+
+// UTC days with closed positions for one owner/token (re-match bookkeeping)
+const getClosedPositionDays = db.prepare(`
+  SELECT DISTINCT kol_name, (closed_at / 86400) * 86400 as day
+  FROM closed_positions WHERE owner = ? AND token_mint = ?
+`);
+
+// Recompute the realized columns of one KOL/day from closed_positions
+const refreshDailyRealizedStats = db.prepare(`
+  INSERT INTO kol_daily_stats (kol_name, day, closed_count, closed_cost_sol, realized_sol, realized_usd, unmatched_sol)
+  SELECT @kol, @day,
+    COALESCE(SUM(CASE WHEN unmatched = 0 THEN 1 ELSE 0 END), 0),
+    COALESCE(SUM(CASE WHEN unmatched = 0 THEN cost_sol ELSE 0 END), 0),
+    COALESCE(SUM(CASE WHEN unmatched = 0 THEN pnl_sol ELSE 0 END), 0),
+    COALESCE(SUM(CASE WHEN unmatched = 0 THEN pnl_usd ELSE 0 END), 0),
+    COALESCE(SUM(CASE WHEN unmatched = 1 THEN proceeds_sol ELSE 0 END), 0)
+  FROM closed_positions
+  WHERE kol_name = @kol AND closed_at >= @day AND closed_at < @day + 86400
+  ON CONFLICT(kol_name, day) DO UPDATE SET
+    closed_count = excluded.closed_count,
+    closed_cost_sol = excluded.closed_cost_sol,
+    realized_sol = excluded.realized_sol,
+    realized_usd = excluded.realized_usd,
+    unmatched_sol = excluded.unmatched_sol
+`);
+
+const clearDailyStats = db.prepare(`DELETE FROM kol_daily_stats`);
+
+const rebuildDailyTradeStats = db.prepare(`
+  INSERT INTO kol_daily_stats (kol_name, day, trade_count, buy_count, sell_count, volume_sol)
+  SELECT kol_name, (tx_timestamp / 86400) * 86400 as day,
+    COUNT(*),
+    SUM(CASE WHEN action = 'Buy' THEN 1 ELSE 0 END),
+    SUM(CASE WHEN action = 'Sell' THEN 1 ELSE 0 END),
+    SUM(amount_sol)
+  FROM kol_trades
+  WHERE action IN ('Buy', 'Sell')
+  GROUP BY kol_name, day
+`);
+
+const rebuildDailyRealizedStats = db.prepare(`
+  INSERT INTO kol_daily_stats (kol_name, day, closed_count, closed_cost_sol, realized_sol, realized_usd, unmatched_sol)
+  SELECT kol_name, (closed_at / 86400) * 86400 as day,
+    SUM(CASE WHEN unmatched = 0 THEN 1 ELSE 0 END),
+    SUM(CASE WHEN unmatched = 0 THEN cost_sol ELSE 0 END),
+    SUM(CASE WHEN unmatched = 0 THEN pnl_sol ELSE 0 END),
+    SUM(CASE WHEN unmatched = 0 THEN pnl_usd ELSE 0 END),
+    SUM(CASE WHEN unmatched = 1 THEN proceeds_sol ELSE 0 END)
+  FROM closed_positions
+  WHERE true
+  GROUP BY kol_name, day
+  ON CONFLICT(kol_name, day) DO UPDATE SET
+    closed_count = excluded.closed_count,
+    closed_cost_sol = excluded.closed_cost_sol,
+    realized_sol = excluded.realized_sol,
+    realized_usd = excluded.realized_usd,
+    unmatched_sol = excluded.unmatched_sol
+`);
+
+// Sum of whole UTC days in [from, to) per KOL ('' = all KOLs)
+const getDailyStatsTotals = db.prepare(`
+  SELECT
+    kol_name,
+    SUM(trade_count) as trade_count,
+    SUM(buy_count) as buy_count,
+    SUM(sell_count) as sell_count,
+    SUM(volume_sol) as volume_sol,
+    SUM(closed_count) as closed_count,
+    SUM(closed_cost_sol) as cost_sol,
+    SUM(realized_sol) as realized_sol,
+    SUM(realized_usd) as realized_usd,
+    SUM(unmatched_sol) as unmatched_sol
+  FROM kol_daily_stats
+  WHERE day >= ? AND day < ?
+    AND (? = '' OR kol_name = ?)
+  GROUP BY kol_name
+`);
+
+// --- KOL Equity Curve ---
+const getKolDailyStatsRange = db.prepare(`
+  SELECT day as bucket, trade_count, buy_count, sell_count, volume_sol, realized_sol, realized_usd
+  FROM kol_daily_stats
+  WHERE kol_name = ? AND day >= ? AND day < ?
+  ORDER BY day
+`);
+
+const getKolHourlyTrades = db.prepare(`
+  SELECT (tx_timestamp / 3600) * 3600 as bucket,
+    COUNT(*) as trade_count,
+    SUM(CASE WHEN action = 'Buy' THEN 1 ELSE 0 END) as buy_count,
+    SUM(CASE WHEN action = 'Sell' THEN 1 ELSE 0 END) as sell_count,
+    SUM(amount_sol) as volume_sol
+  FROM kol_trades
+  WHERE kol_name = ? AND tx_timestamp >= ? AND tx_timestamp < ? AND action IN ('Buy', 'Sell')
+  GROUP BY bucket
+`);
+
+const getKolHourlyRealized = db.prepare(`
+  SELECT (closed_at / 3600) * 3600 as bucket, SUM(pnl_sol) as realized_sol, SUM(pnl_usd) as realized_usd
+  FROM closed_positions
+  WHERE kol_name = ? AND closed_at >= ? AND closed_at < ? AND unmatched = 0
+  GROUP BY bucket
+`);
+
+// Every matched close for a KOL (rebuilding lot history for mark-to-market)
+const getKolClosedLegs = db.prepare(`
+  SELECT owner, token_mint, buy_signature, opened_at, closed_at, qty, cost_sol, cost_usd
+  FROM closed_positions
+  WHERE kol_name = ? AND unmatched = 0
+`);
+
+const getKolOpenLotRows = db.prepare(`
+  SELECT owner, token_mint, buy_signature, opened_at, qty_remaining, cost_sol, cost_usd
+  FROM position_lots
+  WHERE kol_name = ?
+`);
+
+// --- Incremental detectors ---
+// The *After queries below list the keys with trades inserted after a
+// trade id. With 0 they also list keys that only have stale detector
+// output left (their trades were deleted), so a full pass clears it.
+const getMaxTradeId = db.prepare(`SELECT COALESCE(MAX(id), 0) as id FROM kol_trades`);
+
+// --- Coordinated buying clusters ---
+// Mints with buys after a trade id
+const getMintsWithBuysAfter = db.prepare(`
+  SELECT DISTINCT token_mint FROM kol_trades
+  WHERE id > @afterId AND action = 'Buy' AND token_mint != ''
+  UNION
+  SELECT DISTINCT token_mint FROM cluster_events WHERE @afterId = 0
+`);
+
+const getMintBuys = db.prepare(`
+  SELECT id, wallet, kol_name, token_symbol, amount_sol, tx_timestamp, signature
+  FROM kol_trades
+  WHERE token_mint = ? AND action = 'Buy'
+  ORDER BY tx_timestamp ASC, id ASC
+`);
+
+const getMintClusterEventIds = db.prepare(`
+  SELECT id, started_at FROM cluster_events WHERE token_mint = ?
+`);
+
+const upsertClusterEvent = db.prepare(`
+  INSERT INTO cluster_events (token_mint, token_symbol, started_at, ended_at, kol_count, buy_count, total_sol)
+  VALUES (@mint, @symbol, @startedAt, @endedAt, @kolCount, @buyCount, @totalSol)
+  ON CONFLICT(token_mint, started_at) DO UPDATE SET
+    token_symbol = excluded.token_symbol,
+    ended_at = excluded.ended_at,
+    kol_count = excluded.kol_count,
+    buy_count = excluded.buy_count,
+    total_sol = excluded.total_sol
+  RETURNING id
+`);
+
+const deleteClusterEvent = db.prepare(`DELETE FROM cluster_events WHERE id = ?`);
+
+const deleteClusterMembers = db.prepare(`DELETE FROM cluster_event_members WHERE event_id = ?`);
+
+const insertClusterMember = db.prepare(`
+  INSERT INTO cluster_event_members (event_id, kol_name, wallet, first_buy_at, signature, buy_count, amount_sol)
+  VALUES (@eventId, @kolName, @wallet, @firstBuyAt, @signature, @buyCount, @amountSol)
+`);
+
+// Every event's member list, for re-scoring pairs
+const getAllClusterMembers = db.prepare(`
+  SELECT e.id as event_id, e.started_at, m.kol_name
+  FROM cluster_events e
+  JOIN cluster_event_members m ON m.event_id = e.id
+  ORDER BY e.id
+`);
+
+const clearKolPairStats = db.prepare(`DELETE FROM kol_pair_stats`);
+
+const insertKolPairStat = db.prepare(`
+  INSERT INTO kol_pair_stats (kol_a, kol_b, co_events, score, overlap, first_at, last_at)
+  VALUES (@kolA, @kolB, @coEvents, @score, @overlap, @firstAt, @lastAt)
+`);
+
+// Filters: started_at >= since, '' = any mint / any KOL
+const getClusterEvents = db.prepare(`
+  SELECT * FROM cluster_events e
+  WHERE e.started_at >= ? AND e.kol_count >= ?
+    AND (? = '' OR e.token_mint = ?)
+    AND (? = '' OR EXISTS (SELECT 1 FROM cluster_event_members m WHERE m.event_id = e.id AND m.kol_name = ?))
+  ORDER BY e.started_at DESC
+  LIMIT ?
+`);
+
+const getClusterEventMembers = db.prepare(`
+  SELECT kol_name, wallet, first_buy_at, signature, buy_count, amount_sol
+  FROM cluster_event_members
+  WHERE event_id = ?
+  ORDER BY first_buy_at ASC
+`);
+
+// Pairs involving a KOL ('' = all), strongest first
+const getKolPairStats = db.prepare(`
+  SELECT * FROM kol_pair_stats
+  WHERE co_events >= ? AND (? = '' OR kol_a = ? OR kol_b = ?)
+  ORDER BY score DESC
+  LIMIT ?
+`);
+
+const getKolPairStat = db.prepare(`
+  SELECT * FROM kol_pair_stats WHERE kol_a = ? AND kol_b = ?
+`);
+
+// Most recent cluster on a mint (token cards)
+const getLatestMintCluster = db.prepare(`
+  SELECT * FROM cluster_events
+  WHERE token_mint = ? AND started_at >= ?
+  ORDER BY started_at DESC
+  LIMIT 1
+`);
+
+const getClusterCounts = db.prepare(`
+  SELECT (SELECT COUNT(*) FROM cluster_events) as events,
+    (SELECT COUNT(*) FROM kol_pair_stats) as pairs,
+    (SELECT COUNT(*) FROM kol_pair_stats WHERE co_events >= 2) as recurring_pairs
+`);
+
+// --- Exit liquidity ---
+// Mints with buys or sells after a trade id
+const getMintsTradedAfter = db.prepare(`
+  SELECT DISTINCT token_mint FROM kol_trades
+  WHERE id > @afterId AND action IN ('Buy', 'Sell') AND token_mint != ''
+  UNION
+  SELECT DISTINCT token_mint FROM exit_liquidity_pairs WHERE @afterId = 0
+`);
+
+const getMintTradesAllKols = db.prepare(`
+  SELECT id, wallet, kol_name, action, token_symbol, amount_sol, tx_timestamp, signature
+  FROM kol_trades
+  WHERE token_mint = ? AND action IN ('Buy', 'Sell')
+  ORDER BY tx_timestamp ASC, id ASC
+`);
+
+const deleteExitLiquidityPairs = db.prepare(`DELETE FROM exit_liquidity_pairs WHERE token_mint = ?`);
+
+const insertExitLiquidityPair = db.prepare(`
+  INSERT INTO exit_liquidity_pairs (token_mint, token_symbol, seller_kol, seller_wallet, sell_signature, sell_at,
+    buyer_kol, buyer_wallet, buy_signature, buy_at, sol)
+  VALUES (@mint, @symbol, @sellerKol, @sellerWallet, @sellSignature, @sellAt,
+    @buyerKol, @buyerWallet, @buySignature, @buyAt, @sol)
+`);
+
+// Aggregates over sells in [from, to]; '' = any mint
+const getExitLiquidityOffenders = db.prepare(`
+  SELECT seller_kol as kol_name, SUM(sol) as sol, COUNT(DISTINCT sell_signature) as sells,
+    COUNT(DISTINCT buyer_kol) as counterparties, COUNT(DISTINCT token_mint) as tokens
+  FROM exit_liquidity_pairs
+  WHERE sell_at >= ? AND sell_at <= ? AND (? = '' OR token_mint = ?)
+  GROUP BY seller_kol
+  ORDER BY sol DESC
+  LIMIT ?
+`);
+
+const getExitLiquidityVictims = db.prepare(`
+  SELECT buyer_kol as kol_name, SUM(sol) as sol, COUNT(DISTINCT buy_signature) as buys,
+    COUNT(DISTINCT seller_kol) as counterparties, COUNT(DISTINCT token_mint) as tokens
+  FROM exit_liquidity_pairs
+  WHERE sell_at >= ? AND sell_at <= ? AND (? = '' OR token_mint = ?)
+  GROUP BY buyer_kol
+  ORDER BY sol DESC
+  LIMIT ?
+`);
+
+const getExitLiquidityTopPairs = db.prepare(`
+  SELECT seller_kol, buyer_kol, SUM(sol) as sol, COUNT(*) as matches, COUNT(DISTINCT token_mint) as tokens
+  FROM exit_liquidity_pairs
+  WHERE sell_at >= ? AND sell_at <= ? AND (? = '' OR token_mint = ?)
+  GROUP BY seller_kol, buyer_kol
+  ORDER BY sol DESC
+  LIMIT ?
+`);
+
+const getExitLiquidityTotals = db.prepare(`
+  SELECT COALESCE(SUM(sol), 0) as sol, COUNT(*) as matches, COUNT(DISTINCT sell_signature) as sells,
+    COUNT(DISTINCT token_mint) as tokens
+  FROM exit_liquidity_pairs
+  WHERE sell_at >= ? AND sell_at <= ? AND (? = '' OR token_mint = ?)
+`);
+
+// --- Flagged events ---
+// (kol, mint) pairs with trades after a trade id
+const getKolMintsTradedAfter = db.prepare(`
+  SELECT DISTINCT kol_name, token_mint FROM kol_trades
+  WHERE id > @afterId AND action IN ('Buy', 'Sell') AND token_mint != ''
+  UNION
+  SELECT DISTINCT kol_name, token_mint FROM flagged_events WHERE @afterId = 0 AND type = @type
+`);
+
+const getKolMintFlagIds = db.prepare(`
+  SELECT id, occurred_at FROM flagged_events WHERE type = ? AND kol_name = ? AND token_mint = ?
+`);
+
+const upsertFlaggedEvent = db.prepare(`
+  INSERT INTO flagged_events (type, kol_name, token_mint, token_symbol, occurred_at, severity, summary, details)
+  VALUES (@type, @kolName, @mint, @symbol, @occurredAt, @severity, @summary, @details)
+  ON CONFLICT(type, kol_name, token_mint, occurred_at) DO UPDATE SET
+    token_symbol = excluded.token_symbol,
+    severity = excluded.severity,
+    summary = excluded.summary,
+    details = excluded.details
+  RETURNING id
+`);
+
+const deleteFlaggedEvent = db.prepare(`DELETE FROM flagged_events WHERE id = ?`);
+
+// Filters: occurred_at >= since, '' = any type / KOL / mint
+const getFlaggedEvents = db.prepare(`
+  SELECT * FROM flagged_events
+  WHERE occurred_at >= ?
+    AND (? = '' OR type = ?)
+    AND (? = '' OR kol_name = ?)
+    AND (? = '' OR token_mint = ?)
+  ORDER BY occurred_at DESC
+  LIMIT ?
+`);
+
+const getFlagCounts = db.prepare(`
+  SELECT type, COUNT(*) as count FROM flagged_events GROUP BY type
+`);
+
+// --- Copy-trade backtests ---
+const getKolBacktestTrades = db.prepare(`
+  SELECT id, wallet, kol_name, action, token_mint, token_symbol, amount_sol, token_amount, tx_timestamp, signature
+  FROM kol_trades
+  WHERE kol_name = ? AND tx_timestamp >= ? AND tx_timestamp <= ?
+    AND action IN ('Buy', 'Sell') AND token_mint != '' AND token_amount > 0
+  ORDER BY tx_timestamp ASC, id ASC
+`);
+
+// --- Scam score inputs (per KOL since a timestamp) ---
+const getScamTradeTotals = db.prepare(`
+  SELECT COUNT(*) as trade_count,
+    COALESCE(SUM(CASE WHEN action = 'Buy' THEN amount_sol ELSE 0 END), 0) as buy_sol,
+    COALESCE(SUM(CASE WHEN action = 'Sell' THEN amount_sol ELSE 0 END), 0) as sell_sol,
+    COUNT(DISTINCT CASE WHEN action = 'Buy' THEN token_mint END) as mints_bought
+  FROM kol_trades
+  WHERE kol_name = @kol AND tx_timestamp >= @since AND action IN ('Buy', 'Sell')
+`);
+
+const getScamSideDumping = db.prepare(`
+  SELECT COALESCE(SUM(severity), 0) as sol, COUNT(*) as count
+  FROM flagged_events
+  WHERE type = 'side_divergence' AND kol_name = @kol AND occurred_at >= @since
+`);
+
+// Sell SOL matched to other KOLs' concurrent buys (exit_liquidity_pairs)
+const getScamSellsIntoBuys = db.prepare(`
+  SELECT COALESCE(SUM(sol), 0) as sol, COUNT(DISTINCT sell_signature) as count
+  FROM exit_liquidity_pairs
+  WHERE seller_kol = @kol AND sell_at >= @since
+`);
+
+// Matched closes sold from @wallet (the public main wallet) on promoted
+// tokens: ones that drew a buying cluster or that the KOL's side
+// wallets also traded
+const getScamShortHolds = db.prepare(`
+  SELECT COUNT(*) as closed,
+    COALESCE(SUM(CASE WHEN cp.closed_at - cp.opened_at < @maxHold THEN 1 ELSE 0 END), 0) as short
+  FROM closed_positions cp
+  WHERE cp.kol_name = @kol AND cp.wallet = @wallet AND cp.unmatched = 0 AND cp.closed_at >= @since
+    AND (
+      EXISTS (SELECT 1 FROM cluster_events e WHERE e.token_mint = cp.token_mint)
+      OR EXISTS (
+        SELECT 1 FROM kol_trades t
+        WHERE t.kol_name = cp.kol_name AND t.token_mint = cp.token_mint AND t.wallet != cp.wallet
+      )
+    )
+`);
+
+// Clusters on a token the KOL had already bought up to @lead seconds before
+const getScamEarlyClusters = db.prepare(`
+  SELECT COUNT(*) as count FROM cluster_events e
+  WHERE e.started_at >= @since
+    AND EXISTS (
+      SELECT 1 FROM kol_trades t
+      WHERE t.token_mint = e.token_mint AND t.kol_name = @kol AND t.action = 'Buy'
+        AND t.tx_timestamp BETWEEN e.started_at - @lead AND e.started_at
+    )
+`);
+
+// Sells with no tracked buy of a token the KOL was sent for free before
+// the sell. Unmatched sells without a receipt are left out: they are as
+// likely a buy from before tracked history as a free allocation.
+const getScamUnmatchedSells = db.prepare(`
+  SELECT COALESCE(SUM(cp.proceeds_sol), 0) as sol, COUNT(*) as count
+  FROM closed_positions cp
+  WHERE cp.kol_name = @kol AND cp.unmatched = 1 AND cp.closed_at >= @since
+    AND EXISTS (
+      SELECT 1 FROM token_receipts r
+      WHERE r.kol_name = cp.kol_name AND r.token_mint = cp.token_mint AND r.received_at <= cp.closed_at
+    )
+`);
+
+const upsertScamScore = db.prepare(`
+  INSERT INTO kol_scam_scores (kol_name, score, factors, metrics, since, computed_at)
+  VALUES (@kolName, @score, @factors, @metrics, @since, @computedAt)
+  ON CONFLICT(kol_name) DO UPDATE SET
+    score = excluded.score,
+    factors = excluded.factors,
+    metrics = excluded.metrics,
+    since = excluded.since,
+    computed_at = excluded.computed_at
+`);
+
+const getScamScores = db.prepare(`SELECT kol_name, score, computed_at FROM kol_scam_scores`);
+
+const getScamScore = db.prepare(`SELECT * FROM kol_scam_scores WHERE kol_name = ?`);
+
+// --- Webhook Queue ---
+const enqueueWebhookTx = db.prepare(`
+  INSERT INTO webhook_queue (signature, payload) VALUES (?, ?)
+`);
+
+const getDueWebhookItems = db.prepare(`
+  SELECT * FROM webhook_queue
+  WHERE status = 'pending' AND next_attempt_at <= ?
+  ORDER BY id ASC LIMIT ?
+`);
+
+const markWebhookProcessing = db.prepare(`
+  UPDATE webhook_queue SET status = 'processing', attempts = attempts + 1 WHERE id = ?
+`);
+
+const markWebhookDone = db.prepare(`
+  UPDATE webhook_queue SET status = 'done', last_error = '', processed_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+const markWebhookRetry = db.prepare(`
+  UPDATE webhook_queue SET status = 'pending', next_attempt_at = ?, last_error = ? WHERE id = ?
+`);
+
+const markWebhookDead = db.prepare(`
+  UPDATE webhook_queue SET status = 'dead', last_error = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+// Items left 'processing' by a crash/restart go back to the queue
+const resetStuckWebhookItems = db.prepare(`
+  UPDATE webhook_queue SET status = 'pending' WHERE status = 'processing'
+`);
+
+const getWebhookQueueStats = db.prepare(`
+  SELECT status, COUNT(*) as count, MIN(received_at) as oldest
+  FROM webhook_queue GROUP BY status
+`);
+
+// Dead items plus pending items that have already failed at least once
+const getFailedWebhookItems = db.prepare(`
+  SELECT id, signature, status, attempts, next_attempt_at, last_error, received_at
+  FROM webhook_queue
+  WHERE status = 'dead' OR (status = 'pending' AND attempts > 0)
+  ORDER BY id DESC LIMIT ?
+`);
+
+const replayWebhookItem = db.prepare(`
+  UPDATE webhook_queue SET status = 'pending', attempts = 0, next_attempt_at = 0
+  WHERE id = ? AND status = 'dead'
+`);
+
+const replayDeadWebhookItems = db.prepare(`
+  UPDATE webhook_queue SET status = 'pending', attempts = 0, next_attempt_at = 0
+  WHERE status = 'dead'
+`);
+
+const pruneDoneWebhookItems = db.prepare(`
+  DELETE FROM webhook_queue WHERE status = 'done' AND processed_at < datetime('now', ?)
+`);
+
 // --- Side Wallet Submissions ---
 const insertSideWalletSubmission = db.prepare(`
   INSERT INTO side_wallet_submissions (kol_name, twitter, wallet_address, is_new_kol, notes)
@@ -263,8 +1591,136 @@ export {
   getKolTokenPnl,
   getRecentTokens,
   getTokenKolPositions,
+  getTradeSourceBreakdown,
+  getTradesBySource,
   getTradeCount,
   getScannedKolCount,
+  insertRawTransaction,
+  getRawTransactionCount,
+  getAllRawTransactions,
+  insertTokenReceipt,
+  deleteTokenReceiptsForWallet,
+  getTradesWithRaw,
+  deleteTradeBySignatureWallet,
+  getWalletSyncState,
+  getAllWalletSyncStates,
+  upsertWalletCursor,
+  touchWalletSync,
+  setWalletGapCheckpoint,
+  clearWalletGapCheckpoint,
+  markWalletSeen,
+  getLatestTradeForWallet,
+  insertBackfillJob,
+  insertBackfillCheckpoint,
+  getBackfillJob,
+  getRecentBackfillJobs,
+  getLatestBackfillJobByStatus,
+  setBackfillJobStatus,
+  refreshBackfillJobTotals,
+  markRunningBackfillJobsInterrupted,
+  getBackfillCheckpoints,
+  getBackfillCheckpoint,
+  getPendingBackfillCheckpoints,
+  saveBackfillCheckpoint,
+  recordCreditUsage,
+  getCreditUsageSince,
+  getCreditUsageByEndpointSince,
+  getCreditUsageByDaySince,
+  insertTokenSnapshot,
+  getTokenSnapshots,
+  downsampleTokenSnapshots,
+  pruneTokenSnapshots,
+  getTokenSnapshotStats,
+  getTokenTradesSince,
+  getTokenTimeline,
+  getLatestTokenSnapshot,
+  getTokenClosedByKol,
+  getTokenOpenByKol,
+  insertSolPrice,
+  getSolPriceBefore,
+  getSolPriceAfter,
+  getSolPriceHistoryStats,
+  fillTradeSolPrices,
+  getWalletMintTrades,
+  getKolMintTrades,
+  getAllPositionTrades,
+  deletePositionLots,
+  deleteClosedPositions,
+  insertPositionLot,
+  insertClosedPosition,
+  getClosedPositionStats,
+  getOpenLotStats,
+  getClosedLotPositions,
+  getKolClosedByToken,
+  bumpDailyTradeStats,
+  getClosedPositionDays,
+  refreshDailyRealizedStats,
+  clearDailyStats,
+  rebuildDailyTradeStats,
+  rebuildDailyRealizedStats,
+  getDailyStatsTotals,
+  getKolDailyStatsRange,
+  getKolHourlyTrades,
+  getKolHourlyRealized,
+  getKolClosedLegs,
+  getKolOpenLotRows,
+  getKolOpenByToken,
+  getKolOpenLots,
+  getKolClosedPositions,
+  getPositionCounts,
+  getMaxTradeId,
+  getMintsWithBuysAfter,
+  getMintBuys,
+  getMintClusterEventIds,
+  upsertClusterEvent,
+  deleteClusterEvent,
+  deleteClusterMembers,
+  insertClusterMember,
+  getAllClusterMembers,
+  clearKolPairStats,
+  insertKolPairStat,
+  getClusterEvents,
+  getClusterEventMembers,
+  getKolPairStats,
+  getKolPairStat,
+  getLatestMintCluster,
+  getClusterCounts,
+  getKolMintsTradedAfter,
+  getKolMintFlagIds,
+  upsertFlaggedEvent,
+  deleteFlaggedEvent,
+  getFlaggedEvents,
+  getFlagCounts,
+  getMintsTradedAfter,
+  getMintTradesAllKols,
+  deleteExitLiquidityPairs,
+  insertExitLiquidityPair,
+  getExitLiquidityOffenders,
+  getExitLiquidityVictims,
+  getExitLiquidityTopPairs,
+  getExitLiquidityTotals,
+  getKolBacktestTrades,
+  getScamTradeTotals,
+  getScamSideDumping,
+  getScamSellsIntoBuys,
+  getScamShortHolds,
+  getScamEarlyClusters,
+  getScamUnmatchedSells,
+  upsertScamScore,
+  getScamScores,
+  getScamScore,
+  enqueueWebhookTx,
+  getDueWebhookItems,
+  markWebhookProcessing,
+  markWebhookDone,
+  markWebhookRetry,
+  markWebhookDead,
+  resetStuckWebhookItems,
+  getWebhookQueueStats,
+  getFailedWebhookItems,
+  replayWebhookItem,
+  replayDeadWebhookItems,
+  pruneDoneWebhookItems,
   insertSideWalletSubmission,
   getAllSubmissions,
   getSubmissionCount
@@ -0,0 +1,75 @@
+// ============================
+// Kolscam: side-wallet divergence detection
+// Flags a KOL's main wallet buying a token (the public signal) while
+// their side wallets are net sellers of the same token around the same
+// time — followers buy with the main wallet, supply exits via bundles.
+//
+//   detectSideDivergence(trades, { mainWallet, windowSec, minSideSol }) -> episodes
+//
+// Main-wallet buys closer than 2 * windowSec apart form one episode;
+// side-wallet trades from windowSec before its first buy to windowSec
+// after its last are weighed against it. An episode is flagged when the
+// side wallets took out at least minSideSol more than they put in —
+// measured in SOL, since bundles typically sell supply they picked up
+// cheaply before the main wallet moved.
+// ============================
+
+/**
+ * Divergence episodes in one KOL's trades on a single token (kol_trades
+ * rows from the main and side wallets, any order). Each episode lists
+ * the main buys and side trades it was built from as evidence.
+ */
+export function detectSideDivergence(trades, { mainWallet, windowSec = 3600, minSideSol = 0.5 } = {}) {
+    const ordered = [...trades]
+        .filter(t => t.action === 'Buy' || t.action === 'Sell')
+        .sort((a, b) => (a.tx_timestamp - b.tx_timestamp) || ((a.id || 0) - (b.id || 0)));
+    const mainBuys = ordered.filter(t => t.wallet === mainWallet && t.action === 'Buy');
+    const sideTrades = ordered.filter(t => t.wallet !== mainWallet);
+    if (mainBuys.length === 0 || sideTrades.length === 0) return [];
+
+    const groups = [];
+    for (const buy of mainBuys) {
+        const last = groups[groups.length - 1];
+        if (last && buy.tx_timestamp - last[last.length - 1].tx_timestamp <= 2 * windowSec) last.push(buy);
+        else groups.push([buy]);
+    }
+
+    const episodes = [];
+    for (const buys of groups) {
+        const from = buys[0].tx_timestamp - windowSec;
+        const to = buys[buys.length - 1].tx_timestamp + windowSec;
+        const sides = sideTrades.filter(t => t.tx_timestamp >= from && t.tx_timestamp <= to);
+        const sells = sides.filter(t => t.action === 'Sell');
+        const sideBuys = sides.filter(t => t.action === 'Buy');
+
+        const sum = (rows, key) => rows.reduce((total, t) => total + (t[key] || 0), 0);
+        const sideSoldSol = sum(sells, 'amount_sol');
+        const sideBoughtSol = sum(sideBuys, 'amount_sol');
+        const netSideSol = sideSoldSol - sideBoughtSol;
+        if (sells.length === 0 || netSideSol < minSideSol) continue;
+
+        const evidence = [...buys, ...sides].sort((a, b) => (a.tx_timestamp - b.tx_timestamp) || ((a.id || 0) - (b.id || 0)));
+        episodes.push({
+            startedAt: buys[0].tx_timestamp,
+            firstAt: evidence[0].tx_timestamp,
+            lastAt: evidence[evidence.length - 1].tx_timestamp,
+            mainBuyCount: buys.length,
+            mainBoughtSol: sum(buys, 'amount_sol'),
+            sideSellCount: sells.length,
+            sideSoldSol,
+            sideBoughtSol,
+            netSideSol,
+            sideWallets: [...new Set(sells.map(t => t.wallet))],
+            evidence: evidence.map(t => ({
+                wallet: t.wallet,
+                isSideWallet: t.wallet !== mainWallet,
+                action: t.action,
+                amountSol: t.amount_sol,
+                tokenAmount: t.token_amount,
+                timestamp: t.tx_timestamp,
+                signature: t.signature,
+            })),
+        });
+    }
+    return episodes;
+}
@@ -0,0 +1,53 @@
+// ============================
+// Kolscam: exit-liquidity detection
+// Pairs each KOL sell with buys of the same token by *other* tracked
+// KOLs around the same time: while one KOL exits, the others entering
+// are who the supply went to.
+//
+//   pairExitLiquidity(trades, { windowSec }) -> pairs
+//
+// Works on one token's Buy/Sell rows from every KOL. Sells are taken
+// in time order; each is matched against other KOLs' buys within
+// windowSec either side, nearest first. A pair's SOL is the smaller of
+// what is left of the sell and of the buy, so no buy is counted as
+// absorbing more than it spent, and no sell more than it received.
+// ============================
+
+/**
+ * Exit-liquidity pairs in one token's trades (kol_trades rows, any order).
+ */
+export function pairExitLiquidity(trades, { windowSec = 600 } = {}) {
+    const ordered = [...trades].sort((a, b) => (a.tx_timestamp - b.tx_timestamp) || ((a.id || 0) - (b.id || 0)));
+    const buys = ordered
+        .filter(t => t.action === 'Buy' && t.amount_sol > 0)
+        .map(t => ({ trade: t, remaining: t.amount_sol }));
+    const pairs = [];
+
+    for (const sell of ordered) {
+        if (sell.action !== 'Sell' || !(sell.amount_sol > 0)) continue;
+        let remaining = sell.amount_sol;
+        const candidates = buys
+            .filter(b => b.remaining > 0 && b.trade.kol_name !== sell.kol_name
+                && Math.abs(b.trade.tx_timestamp - sell.tx_timestamp) <= windowSec)
+            .sort((a, b) => Math.abs(a.trade.tx_timestamp - sell.tx_timestamp) - Math.abs(b.trade.tx_timestamp - sell.tx_timestamp));
+
+        for (const buy of candidates) {
+            if (remaining <= 0) break;
+            const sol = Math.min(remaining, buy.remaining);
+            remaining -= sol;
+            buy.remaining -= sol;
+            pairs.push({
+                sellerKol: sell.kol_name,
+                sellerWallet: sell.wallet,
+                sellSignature: sell.signature,
+                sellAt: sell.tx_timestamp,
+                buyerKol: buy.trade.kol_name,
+                buyerWallet: buy.trade.wallet,
+                buySignature: buy.trade.signature,
+                buyAt: buy.trade.tx_timestamp,
+                sol,
+            });
+        }
+    }
+    return pairs;
+}
@@ -0,0 +1,241 @@
+// ============================
+// Kolscam: shared HTTP client
+// Every outbound call (Helius, RPC, DexScreener, CoinGecko, Jupiter)
+// goes through request()/requestJson() so each upstream host gets:
+//   - a token-bucket rate limit
+//   - a per-attempt timeout
+//   - retries with exponential backoff (Retry-After aware on 429/503)
+//   - a circuit breaker that fails fast while the host is down (only
+//     timeouts, network errors and 5xx count; a 4xx means it's up)
+//   - counters exposed via getHttpMetrics()
+// Non-OK responses throw HttpError instead of being silently skipped.
+// ============================
+
+const DEFAULT_POLICY = {
+    ratePerSec: 5,            // sustained requests per second
+    burst: 5,                 // bucket size
+    timeoutMs: 15000,         // per attempt
+    maxRetries: 3,            // retries after the first attempt
+    baseDelayMs: 500,         // first backoff, doubled per retry
+    maxDelayMs: 30000,        // cap for backoff and Retry-After
+    breakerThreshold: 5,      // consecutive failures that open the circuit
+    breakerCooldownMs: 30000, // how long it stays open before a trial request
+};
+
+// Known upstream limits (free tiers)
+const HOST_POLICIES = {
+    'api.helius.xyz': { ratePerSec: 10, burst: 10 },
+    'api.dexscreener.com': { ratePerSec: 4, burst: 4 },
+    'api.coingecko.com': { ratePerSec: 0.5, burst: 2 },
+    'api.jup.ag': { ratePerSec: 1, burst: 2 },
+};
+
+const hosts = new Map();
+
+export class HttpError extends Error {
+    constructor(message, { host, status = 0, retryable = false } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.host = host;
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+export class CircuitOpenError extends HttpError {
+    constructor(host, retryInMs) {
+        super(`Circuit open for ${host} (retry in ${Math.ceil(retryInMs / 1000)}s)`, { host, retryable: true });
+        this.name = 'CircuitOpenError';
+    }
+}
+
+/**
+ * Override the policy for a host (e.g. a custom RPC endpoint's limits).
+ */
+export function configureHost(host, policy) {
+    const state = hostState(host);
+    state.policy = { ...state.policy, ...policy };
+    state.tokens = Math.min(state.tokens, state.policy.burst);
+}
+
+function hostState(host) {
+    let state = hosts.get(host);
+    if (!state) {
+        const policy = { ...DEFAULT_POLICY, ...HOST_POLICIES[host] };
+        state = {
+            policy,
+            tokens: policy.burst,
+            refilledAt: Date.now(),
+            breaker: 'closed',        // closed | open | half-open
+            consecutiveFailures: 0,
+            openedAt: 0,
+            probeInFlight: false,     // the one trial request allowed while half-open
+            metrics: {
+                requests: 0, successes: 0, failures: 0, retries: 0,
+                rateLimited: 0, timeouts: 0, circuitRejections: 0,
+                totalLatencyMs: 0, lastError: null, lastErrorAt: null,
+            },
+        };
+        hosts.set(host, state);
+    }
+    return state;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function takeToken(state) {
+    for (;;) {
+        const now = Date.now();
+        const { ratePerSec, burst } = state.policy;
+        state.tokens = Math.min(burst, state.tokens + ((now - state.refilledAt) / 1000) * ratePerSec);
+        state.refilledAt = now;
+        if (state.tokens >= 1) {
+            state.tokens -= 1;
+            return;
+        }
+        await sleep(Math.ceil(((1 - state.tokens) / ratePerSec) * 1000));
+    }
+}
+
+/**
+ * Throws CircuitOpenError while the circuit is open. Once the cooldown
+ * has passed, exactly one caller goes through as the trial request
+ * (returns true) and everyone else keeps failing fast until it settles.
+ */
+function checkBreaker(host, state) {
+    if (state.breaker === 'closed') return false;
+    if (state.breaker === 'half-open' || state.probeInFlight) {
+        state.metrics.circuitRejections++;
+        throw new CircuitOpenError(host, state.policy.timeoutMs);
+    }
+    const elapsed = Date.now() - state.openedAt;
+    if (elapsed < state.policy.breakerCooldownMs) {
+        state.metrics.circuitRejections++;
+        throw new CircuitOpenError(host, state.policy.breakerCooldownMs - elapsed);
+    }
+    state.breaker = 'half-open';
+    state.probeInFlight = true;
+    return true;
+}
+
+function recordFailure(host, state, err) {
+    state.metrics.lastError = err.message;
+    state.metrics.lastErrorAt = new Date().toISOString();
+    state.consecutiveFailures++;
+    if (state.breaker === 'half-open' || state.consecutiveFailures >= state.policy.breakerThreshold) {
+        if (state.breaker !== 'open') {
+            console.warn(`🔌 Circuit open for ${host} after ${state.consecutiveFailures} failures: ${err.message}`);
+        }
+        state.breaker = 'open';
+        state.openedAt = Date.now();
+    }
+}
+
+function recordSuccess(host, state) {
+    if (state.breaker !== 'closed') console.log(`🔌 Circuit closed for ${host}`);
+    state.breaker = 'closed';
+    state.consecutiveFailures = 0;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(res) {
+    const header = res.headers.get('retry-after');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function backoffMs(policy, attempt) {
+    const exp = policy.baseDelayMs * 2 ** attempt;
+    return Math.min(exp + Math.random() * policy.baseDelayMs, policy.maxDelayMs);
+}
+
+/**
+ * fetch() with the host's rate limit, timeout, retries and circuit breaker.
+ * Resolves with an OK Response; throws HttpError (or CircuitOpenError) otherwise.
+ * `options.retries` overrides the host's maxRetries for this call.
+ */
+export async function request(url, options = {}) {
+    const host = new URL(url).host;
+    const state = hostState(host);
+    const { retries = state.policy.maxRetries, ...fetchOptions } = options;
+    const { metrics, policy } = state;
+
+    for (let attempt = 0; ; attempt++) {
+        const probe = checkBreaker(host, state);
+        let error;
+        let delay = null;
+        try {
+            await takeToken(state);
+            metrics.requests++;
+
+            const started = Date.now();
+            try {
+                const res = await fetch(url, { ...fetchOptions, signal: AbortSignal.timeout(policy.timeoutMs) });
+                metrics.totalLatencyMs += Date.now() - started;
+                if (res.ok) {
+                    metrics.successes++;
+                    recordSuccess(host, state);
+                    return res;
+                }
+
+                const retryable = res.status === 429 || res.status >= 500;
+                error = new HttpError(`${host} HTTP ${res.status}`, { host, status: res.status, retryable });
+                if (res.status === 429) {
+                    metrics.rateLimited++;
+                    // Slow the bucket down so the rest of the queue backs off too
+                    state.tokens = Math.min(state.tokens, 0);
+                }
+                if (retryable) delay = retryAfterMs(res);
+                await res.body?.cancel().catch(() => {});
+            } catch (err) {
+                metrics.totalLatencyMs += Date.now() - started;
+                const timedOut = err.name === 'TimeoutError';
+                if (timedOut) metrics.timeouts++;
+                error = new HttpError(timedOut ? `${host} timed out after ${policy.timeoutMs}ms` : `${host} ${err.message}`, { host, retryable: true });
+            }
+
+            metrics.failures++;
+            if (error.status > 0 && error.status < 500) {
+                // The host answered (rate limit, bad request, unknown mint):
+                // it's up, so this must not trip the breaker
+                metrics.lastError = error.message;
+                metrics.lastErrorAt = new Date().toISOString();
+                recordSuccess(host, state);
+            } else {
+                recordFailure(host, state, error);
+            }
+        } finally {
+            if (probe) state.probeInFlight = false;
+        }
+
+        if (!error.retryable || attempt >= retries) throw error;
+        metrics.retries++;
+        await sleep(Math.min(delay ?? backoffMs(policy, attempt), policy.maxDelayMs));
+    }
+}
+
+export async function requestJson(url, options = {}) {
+    const res = await request(url, options);
+    return res.json();
+}
+
+/**
+ * Per-host counters and breaker state.
+ */
+export function getHttpMetrics() {
+    const result = {};
+    for (const [host, state] of hosts) {
+        const { totalLatencyMs, ...counters } = state.metrics;
+        const completed = counters.successes + counters.failures;
+        result[host] = {
+            ...counters,
+            avgLatencyMs: completed > 0 ? Math.round(totalLatencyMs / completed) : 0,
+            breaker: state.breaker,
+            consecutiveFailures: state.consecutiveFailures,
+        };
+    }
+    return result;
+}
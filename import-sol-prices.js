@@ -0,0 +1,64 @@
+import 'dotenv/config';
+import fs from 'fs';
+import { db, insertSolPrice, getSolPriceHistoryStats } from './db.js';
+
+// ============================
+// Kolscam: Import historical SOL/USD prices from a CSV
+// Usage: node import-sol-prices.js prices.csv
+//
+// Needs a header row with a time column (timestamp | time | date | unix)
+// and a price column (price | close | price_usd | sol_usd). Times may be
+// unix seconds, unix milliseconds or anything Date.parse understands.
+// Only the history is written: the server's hourly SOL/USD fill gives
+// trades missing a rate one from it and rebuilds the USD PnL with them.
+// ============================
+
+const TIME_COLUMNS = ['timestamp', 'time', 'date', 'unix'];
+const PRICE_COLUMNS = ['price', 'close', 'price_usd', 'sol_usd'];
+
+const file = process.argv[2];
+if (!file || !fs.existsSync(file)) {
+    console.error('❌ Usage: node import-sol-prices.js <prices.csv>');
+    process.exit(1);
+}
+
+function parseTime(value) {
+    const v = value.trim().replace(/^"|"$/g, '');
+    if (/^\d+(\.\d+)?$/.test(v)) {
+        const n = Number(v);
+        return Math.floor(n > 1e12 ? n / 1000 : n);
+    }
+    const ms = Date.parse(v);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(l => l.trim());
+const header = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, '').toLowerCase());
+const timeIdx = header.findIndex(h => TIME_COLUMNS.includes(h));
+const priceIdx = header.findIndex(h => PRICE_COLUMNS.includes(h));
+if (timeIdx === -1 || priceIdx === -1) {
+    console.error(`❌ Header must include one of [${TIME_COLUMNS.join(', ')}] and one of [${PRICE_COLUMNS.join(', ')}]`);
+    console.error(`   Found: ${header.join(', ')}`);
+    process.exit(1);
+}
+
+let imported = 0;
+let skipped = 0;
+db.transaction(() => {
+    for (const line of lines.slice(1)) {
+        const cols = line.split(',');
+        const timestamp = parseTime(cols[timeIdx] || '');
+        const price = parseFloat((cols[priceIdx] || '').replace(/"/g, ''));
+        if (!timestamp || !(price > 0)) {
+            skipped++;
+            continue;
+        }
+        insertSolPrice.run(timestamp, price, 'csv');
+        imported++;
+    }
+})();
+
+const stats = getSolPriceHistoryStats.get();
+console.log(`✅ Imported ${imported} SOL/USD prices (${skipped} rows skipped)`);
+console.log(`   History: ${stats.count} samples, ${new Date(stats.first * 1000).toISOString()} → ${new Date(stats.last * 1000).toISOString()}`);
+console.log('   Trades missing a rate are filled by the server within the hour');
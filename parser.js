@@ -0,0 +1,730 @@
+import { getCachedToken } from './db.js';
+
+// ============================
+// Kolscam: Transaction Parser (Buy/Sell only)
+// Turns Helius enhanced transactions into KOL trades.
+// Each DEX registers the strategies that work best for its
+// payloads; every trade records which venue and strategy
+// produced it (dexSource / parseStrategy).
+// ============================
+
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Stamped on every kol_trades row. Bump whenever parse output changes,
+// then POST /api/reparse to re-derive trades from raw_transactions.
+// 2: token-for-token swaps yield a Sell and a Buy leg
+export const PARSER_VERSION = 2;
+
+// Tokens to skip -- these are not memecoins
+export const SKIP_TOKENS = new Set([
+    'SOL', 'WSOL', 'USDC', 'USDT', 'USDS', 'USD1', 'EURC', 'DAI', 'FRAX', 'TUSD', 'BUSD', 'USDH', 'UXD',
+    'mSOL', 'jitoSOL', 'bSOL', 'stSOL', 'JitoSOL', 'INF', 'hSOL', 'vSOL', 'jupSOL', 'LST',
+    'WETH', 'WBTC', 'RAY', 'JLP', 'JTO', 'PYTH', 'JUP', 'ORCA', 'MNDE', 'STEP',
+    'BONK',
+]);
+
+// Known stablecoin / infrastructure mints to skip
+export const SKIP_MINTS = new Set([
+    'So11111111111111111111111111111111111111112',  // Wrapped SOL
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+    'BJUH9GJLaMSLV1E7B3SQLCy9eCfyr6zsrm3WYMFQmpuN', // USD1
+]);
+
+// USD-pegged quote assets, valued at $1 when converting to SOL
+const USD_STABLE_MINTS = new Set([
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+    'BJUH9GJLaMSLV1E7B3SQLCy9eCfyr6zsrm3WYMFQmpuN', // USD1
+]);
+
+// Symbols for well-known quote mints that may not be in token_cache
+const KNOWN_QUOTE_SYMBOLS = {
+    'So11111111111111111111111111111111111111112': 'SOL',
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 'USDC',
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': 'USDT',
+    'BJUH9GJLaMSLV1E7B3SQLCy9eCfyr6zsrm3WYMFQmpuN': 'USD1',
+};
+
+const USD_STABLE_SYMBOLS = new Set([
+    'USDC', 'USDT', 'USDS', 'USD1', 'DAI', 'FRAX', 'TUSD', 'BUSD', 'USDH', 'UXD', 'PYUSD',
+]);
+
+// Skip obviously non-trade transaction types
+const NON_TRADE_TYPES = new Set([
+    'TRANSFER', 'BURN', 'BURN_NFT', 'COMPRESSED_NFT_MINT',
+    'COMPRESSED_NFT_TRANSFER', 'COMPRESSED_NFT_BURN',
+    'NFT_MINT', 'NFT_SALE', 'NFT_LISTING', 'NFT_CANCEL_LISTING',
+    'STAKE', 'UNSTAKE', 'INIT_BANK', 'SET_BANK_FLAGS',
+    'CLOSE_POSITION', 'WITHDRAW', 'DEPOSIT',
+]);
+
+// SOL/USD rate used to value non-SOL quote legs. The server keeps it
+// current via setSolPrice() whenever it refreshes the price.
+let solPriceUsd = 0;
+
+export function setSolPrice(price) {
+    if (price > 0) solPriceUsd = price;
+}
+
+/**
+ * Convert an amount of a quote asset into SOL using cached prices.
+ * Stablecoins use $1, other tokens use token_cache.price_usd.
+ * Returns 0 when the asset can't be priced.
+ */
+export function quoteValueInSol(mint, symbol, amount) {
+    if (!amount || amount <= 0) return 0;
+    if (mint === SOL_MINT || symbol === 'SOL' || symbol === 'WSOL') return amount;
+    if (!solPriceUsd || solPriceUsd <= 0) return 0;
+    if (USD_STABLE_MINTS.has(mint) || USD_STABLE_SYMBOLS.has(symbol)) return amount / solPriceUsd;
+    try {
+        const cached = mint ? getCachedToken.get(mint) : null;
+        if (cached && cached.price_usd > 0) return (amount * cached.price_usd) / solPriceUsd;
+    } catch { /* */ }
+    return 0;
+}
+
+// ============================
+// Parse context helpers
+// ============================
+
+function createContext(tx, kolName, kolAvatar, walletAddress, tokenMetadataMap) {
+    // First non-SOL mint from tokenTransfers
+    let primaryMint = '';
+    let primaryTokenAmount = 0;
+    for (const transfer of tx.tokenTransfers || []) {
+        if (transfer.mint && transfer.mint !== SOL_MINT) {
+            primaryMint = transfer.mint;
+            primaryTokenAmount = Math.abs(transfer.tokenAmount || 0);
+            break;
+        }
+    }
+
+    return {
+        tx,
+        walletAddress,
+        tokenMetadataMap,
+        primaryMint,
+        primaryTokenAmount,
+        newResult() {
+            return {
+                signature: tx.signature,
+                timestamp: tx.timestamp,
+                kolName: kolName || 'Unknown',
+                kolAvatar: kolAvatar || '/logo.png',
+                action: null,
+                tokenSymbol: null,
+                tokenMint: '',
+                tokenAmount: 0,
+                amountSol: 0,
+                quoteMint: SOL_MINT,
+                quoteSymbol: 'SOL',
+                quoteAmount: 0,
+                dexSource: '',
+                parseStrategy: '',
+            };
+        },
+    };
+}
+
+// Resolve token symbol from multiple sources
+function resolveSymbol(ctx, mint) {
+    if (!mint || mint === SOL_MINT) return null;
+    // Source 1: metadata map from batch fetch
+    const meta = ctx.tokenMetadataMap?.[mint];
+    if (meta && meta.symbol && meta.symbol.length <= 15) return meta.symbol;
+    // Source 2: DB token_cache
+    try {
+        const cached = getCachedToken.get(mint);
+        if (cached && cached.symbol) return cached.symbol;
+    } catch { /* */ }
+    return null;
+}
+
+// Find the mint for a symbol among this tx's transfers / metadata
+function mintForSymbol(ctx, symbol) {
+    if (!symbol) return '';
+    if (symbol.toUpperCase() === 'SOL') return SOL_MINT;
+    for (const transfer of ctx.tx.tokenTransfers || []) {
+        if (transfer.mint && resolveSymbol(ctx, transfer.mint) === symbol) return transfer.mint;
+    }
+    if (ctx.tokenMetadataMap) {
+        for (const [mint, meta] of Object.entries(ctx.tokenMetadataMap)) {
+            if (meta && meta.symbol === symbol) return mint;
+        }
+    }
+    return '';
+}
+
+// Extract the traded token's symbol from the description
+function symbolFromDescription(ctx) {
+    if (!ctx.tx.description) return null;
+    const m = ctx.tx.description.match(/swapped\s+[\d,.]+\s+(\S+)\s+for\s+[\d,.]+\s+(\S+)/i);
+    if (m) {
+        const [, tok1, tok2] = m;
+        if (tok1.toUpperCase() === 'SOL' || SKIP_TOKENS.has(tok1)) return tok2;
+        return tok1;
+    }
+    return null;
+}
+
+// Decimal amount from a Helius swap event token leg
+function swapLegAmount(leg) {
+    return Math.abs(leg.rawTokenAmount?.tokenAmount
+        ? leg.rawTokenAmount.tokenAmount / Math.pow(10, leg.rawTokenAmount.decimals || 0)
+        : leg.tokenAmount || 0);
+}
+
+// Record a non-SOL quote leg and derive the SOL-equivalent size
+function setQuote(ctx, result, mint, symbol, amount) {
+    result.quoteMint = mint || '';
+    result.quoteSymbol = symbol || KNOWN_QUOTE_SYMBOLS[mint] || resolveSymbol(ctx, mint) || '';
+    result.quoteAmount = amount;
+    result.amountSol = parseFloat(quoteValueInSol(result.quoteMint, result.quoteSymbol, amount).toFixed(4));
+}
+
+// Memecoin-for-memecoin swap: a Sell of the input and a Buy of the
+// output, both at the same SOL-equivalent value (priced from whichever
+// side token_cache knows, input first). Each leg's quote is the other
+// token, so both FIFO positions move.
+function tokenPairLegs(ctx, input, output) {
+    if (!input.symbol || !output.symbol || !(input.amount > 0) || !(output.amount > 0)) return null;
+    const valueSol = quoteValueInSol(input.mint, input.symbol, input.amount)
+        || quoteValueInSol(output.mint, output.symbol, output.amount);
+    if (!(valueSol > 0)) return null;
+    const amountSol = parseFloat(valueSol.toFixed(4));
+
+    const leg = (action, token, quote) => Object.assign(ctx.newResult(), {
+        action,
+        tokenSymbol: token.symbol,
+        tokenMint: token.mint || '',
+        tokenAmount: token.amount,
+        amountSol,
+        quoteMint: quote.mint || '',
+        quoteSymbol: quote.symbol,
+        quoteAmount: quote.amount,
+    });
+    return [leg('Sell', input, output), leg('Buy', output, input)];
+}
+
+// Swap events and descriptions describe one actor's swap. When another
+// tracked wallet is the actor, this wallet must be parsed from its own
+// net flows instead (net_transfers).
+function swapEventActors(swap) {
+    const accounts = [swap.nativeInput?.account, swap.nativeOutput?.account];
+    for (const leg of [...(swap.tokenInputs || []), ...(swap.tokenOutputs || [])]) {
+        accounts.push(leg.userAccount);
+    }
+    return accounts.filter(Boolean);
+}
+
+function descriptionActor(ctx) {
+    const first = ctx.tx.description?.split(' ')[0] || '';
+    return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(first) ? first : null;
+}
+
+function isSkipToken(ctx, mint) {
+    if (mint === SOL_MINT || SKIP_MINTS.has(mint)) return true;
+    const sym = resolveSymbol(ctx, mint);
+    return !!(sym && SKIP_TOKENS.has(sym));
+}
+
+// ============================
+// Strategies
+// Each returns a populated trade (or [sell, buy] legs for a
+// memecoin-for-memecoin swap) or null so the next one can try.
+// ============================
+
+/**
+ * swap_event: Helius events.swap (most accurate)
+ * Skip SOL, stablecoins, and infra tokens when finding the primary
+ * token. Swaps paid in USDC/USD1/another token are recorded with that
+ * quote leg and a SOL-equivalent size.
+ */
+function parseSwapEvent(ctx) {
+    const swap = ctx.tx.events?.swap;
+    if (!swap) return null;
+    const actors = swapEventActors(swap);
+    if (actors.length > 0 && !actors.includes(ctx.walletAddress)) return null;
+
+    const result = ctx.newResult();
+    const nativeIn = swap.nativeInput;
+    const nativeOut = swap.nativeOutput;
+
+    // Find the actual memecoin, strictly skipping stablecoins
+    const tokenIn = swap.tokenInputs?.find(t => !isSkipToken(ctx, t.mint));
+    const tokenOut = swap.tokenOutputs?.find(t => !isSkipToken(ctx, t.mint));
+
+    if (nativeIn && nativeIn.amount > 0 && tokenOut) {
+        result.action = 'Buy';
+        result.amountSol = parseFloat((nativeIn.amount / 1e9).toFixed(4));
+        result.quoteAmount = result.amountSol;
+        result.tokenMint = tokenOut.mint || ctx.primaryMint;
+        result.tokenAmount = swapLegAmount(tokenOut) || ctx.primaryTokenAmount;
+    } else if (nativeOut && nativeOut.amount > 0 && tokenIn) {
+        result.action = 'Sell';
+        result.amountSol = parseFloat((nativeOut.amount / 1e9).toFixed(4));
+        result.quoteAmount = result.amountSol;
+        result.tokenMint = tokenIn.mint || ctx.primaryMint;
+        result.tokenAmount = swapLegAmount(tokenIn) || ctx.primaryTokenAmount;
+    } else if (tokenIn && tokenOut && tokenIn.mint !== tokenOut.mint) {
+        // Memecoin-for-memecoin: close one position, open the other
+        return tokenPairLegs(ctx,
+            { mint: tokenIn.mint, symbol: resolveSymbol(ctx, tokenIn.mint), amount: swapLegAmount(tokenIn) },
+            { mint: tokenOut.mint, symbol: resolveSymbol(ctx, tokenOut.mint), amount: swapLegAmount(tokenOut) });
+    } else if (tokenOut) {
+        // Bought with a stablecoin / infra token (USDC, USD1, ...)
+        const quoteIn = swap.tokenInputs?.find(t => t.mint && t.mint !== tokenOut.mint);
+        if (!quoteIn) return null;
+        result.action = 'Buy';
+        result.tokenMint = tokenOut.mint;
+        result.tokenAmount = swapLegAmount(tokenOut);
+        setQuote(ctx, result, quoteIn.mint, null, swapLegAmount(quoteIn));
+    } else if (tokenIn) {
+        // Sold into a stablecoin / infra token
+        const quoteOut = swap.tokenOutputs?.find(t => t.mint && t.mint !== tokenIn.mint);
+        if (!quoteOut) return null;
+        result.action = 'Sell';
+        result.tokenMint = tokenIn.mint;
+        result.tokenAmount = swapLegAmount(tokenIn);
+        setQuote(ctx, result, quoteOut.mint, null, swapLegAmount(quoteOut));
+    } else {
+        return null;
+    }
+
+    result.tokenSymbol = resolveSymbol(ctx, result.tokenMint) || symbolFromDescription(ctx);
+    if (result.amountSol > 0 && result.tokenSymbol) return result;
+    return null;
+}
+
+/**
+ * description: parse the Helius description
+ * Handles: "X swapped N SOL for M TOKEN" and token-to-token
+ * swaps such as "X swapped N USDC for M TOKEN"
+ */
+function parseDescription(ctx) {
+    const swapMatch = ctx.tx.description?.match(/swapped\s+([\d,.]+)\s+(\S+)\s+for\s+([\d,.]+)\s+(\S+)/i);
+    if (!swapMatch) return null;
+    const actor = descriptionActor(ctx);
+    if (actor && actor !== ctx.walletAddress) return null;
+
+    const result = ctx.newResult();
+    const [, amt1, tok1, amt2, tok2] = swapMatch;
+    if (tok1.toUpperCase() === 'SOL') {
+        result.action = 'Buy';
+        result.tokenSymbol = tok2;
+        result.amountSol = parseFloat(amt1.replace(/,/g, ''));
+        result.quoteAmount = result.amountSol;
+        result.tokenAmount = parseFloat(amt2.replace(/,/g, '')) || ctx.primaryTokenAmount;
+    } else if (tok2.toUpperCase() === 'SOL') {
+        result.action = 'Sell';
+        result.tokenSymbol = tok1;
+        result.amountSol = parseFloat(amt2.replace(/,/g, ''));
+        result.quoteAmount = result.amountSol;
+        result.tokenAmount = parseFloat(amt1.replace(/,/g, '')) || ctx.primaryTokenAmount;
+    } else {
+        // Token-to-token swap: the stablecoin/infra side is the quote.
+        // If both sides are memecoins, record a leg for each.
+        const tok1Skip = SKIP_TOKENS.has(tok1);
+        const tok2Skip = SKIP_TOKENS.has(tok2);
+        if (tok1Skip && tok2Skip) return null;
+
+        if (!tok1Skip && !tok2Skip) {
+            return tokenPairLegs(ctx,
+                { mint: mintForSymbol(ctx, tok1), symbol: tok1, amount: parseFloat(amt1.replace(/,/g, '')) || 0 },
+                { mint: mintForSymbol(ctx, tok2), symbol: tok2, amount: parseFloat(amt2.replace(/,/g, '')) || 0 });
+        }
+        if (!tok2Skip) {
+            result.action = 'Buy';
+            result.tokenSymbol = tok2;
+            result.tokenAmount = parseFloat(amt2.replace(/,/g, '')) || 0;
+            setQuote(ctx, result, mintForSymbol(ctx, tok1), tok1, parseFloat(amt1.replace(/,/g, '')) || 0);
+        } else {
+            result.action = 'Sell';
+            result.tokenSymbol = tok1;
+            result.tokenAmount = parseFloat(amt1.replace(/,/g, '')) || 0;
+            setQuote(ctx, result, mintForSymbol(ctx, tok2), tok2, parseFloat(amt2.replace(/,/g, '')) || 0);
+        }
+        result.tokenMint = mintForSymbol(ctx, result.tokenSymbol);
+        return result.amountSol > 0 ? result : null;
+    }
+
+    result.tokenMint = ctx.primaryMint;
+    if (!result.tokenMint && ctx.tokenMetadataMap) {
+        for (const [mint, meta] of Object.entries(ctx.tokenMetadataMap)) {
+            if (meta && meta.symbol === result.tokenSymbol) {
+                result.tokenMint = mint;
+                break;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * net_transfers: analyze raw nativeTransfers + tokenTransfers
+ * Catches pump.fun, new DEXes, multi-hop swaps, and anything
+ * events.swap misses. Uses NET token positions per mint so
+ * intermediary tokens (USDC routed through) cancel out. When the
+ * SOL leg only shows up as wrapped SOL (AMMs that settle in WSOL),
+ * the wallet's WSOL token flow stands in for native SOL.
+ */
+function parseNetTransfers(ctx) {
+    const { tx, walletAddress } = ctx;
+    if (!tx.nativeTransfers || !tx.tokenTransfers || tx.tokenTransfers.length === 0) return null;
+
+    let solOut = 0;
+    let solIn = 0;
+    for (const nt of tx.nativeTransfers) {
+        if (nt.fromUserAccount === walletAddress) solOut += (nt.amount || 0);
+        if (nt.toUserAccount === walletAddress) solIn += (nt.amount || 0);
+    }
+
+    // Calculate net token position per mint for this wallet
+    const tokenNets = {};
+    let wsolNet = 0;
+    for (const tt of tx.tokenTransfers) {
+        if (!tt.mint) continue;
+        const amt = Math.abs(tt.tokenAmount || 0);
+        if (amt === 0) continue;
+        if (tt.mint === SOL_MINT) {
+            if (tt.toUserAccount === walletAddress) wsolNet += amt;
+            if (tt.fromUserAccount === walletAddress) wsolNet -= amt;
+            continue;
+        }
+        if (!tokenNets[tt.mint]) tokenNets[tt.mint] = { in: 0, out: 0 };
+        if (tt.toUserAccount === walletAddress) tokenNets[tt.mint].in += amt;
+        if (tt.fromUserAccount === walletAddress) tokenNets[tt.mint].out += amt;
+    }
+
+    // Find primary token: largest absolute NET change, skip stablecoins
+    let primaryToken = null;
+    let maxNetAbs = 0;
+    for (const [mint, nets] of Object.entries(tokenNets)) {
+        if (SKIP_MINTS.has(mint)) continue;
+        const sym = resolveSymbol(ctx, mint);
+        if (sym && SKIP_TOKENS.has(sym)) continue;
+        const netIn = nets.in - nets.out;
+        const absNet = Math.abs(netIn);
+        if (absNet > 0 && absNet > maxNetAbs) {
+            maxNetAbs = absNet;
+            primaryToken = { mint, netIn, amount: Math.max(nets.in, nets.out) };
+        }
+    }
+    if (!primaryToken) return null;
+
+    let netSolSpent = (solOut - solIn) / 1e9;
+    if (Math.abs(netSolSpent) <= 0.001 && Math.abs(wsolNet) > 0.001) netSolSpent = -wsolNet;
+    const netSolGained = -netSolSpent;
+
+    const result = ctx.newResult();
+    if (netSolSpent > 0.001 && primaryToken.netIn > 0) {
+        result.action = 'Buy';
+        result.amountSol = parseFloat(netSolSpent.toFixed(4));
+        result.quoteAmount = result.amountSol;
+        result.tokenMint = primaryToken.mint;
+        result.tokenAmount = primaryToken.amount;
+    } else if (netSolGained > 0.001 && primaryToken.netIn < 0) {
+        result.action = 'Sell';
+        result.amountSol = parseFloat(netSolGained.toFixed(4));
+        result.quoteAmount = result.amountSol;
+        result.tokenMint = primaryToken.mint;
+        result.tokenAmount = primaryToken.amount;
+    } else {
+        // No SOL leg: settle against the token that moved the opposite
+        // way (USDC in for a buy, USDC out for a sell), valued in SOL.
+        // Another memecoin on the other side gets a leg of its own.
+        let quote = null;
+        let quoteSol = 0;
+        let counterToken = null;
+        for (const [mint, nets] of Object.entries(tokenNets)) {
+            if (mint === primaryToken.mint) continue;
+            const netIn = nets.in - nets.out;
+            if (netIn === 0 || Math.sign(netIn) === Math.sign(primaryToken.netIn)) continue;
+            const symbol = resolveSymbol(ctx, mint);
+            if (!SKIP_MINTS.has(mint) && !(symbol && SKIP_TOKENS.has(symbol))) {
+                if (!counterToken || Math.abs(netIn) > counterToken.amount) counterToken = { mint, symbol, amount: Math.abs(netIn) };
+                continue;
+            }
+            const valueSol = quoteValueInSol(mint, symbol, Math.abs(netIn));
+            if (valueSol > quoteSol) {
+                quoteSol = valueSol;
+                quote = { mint, amount: Math.abs(netIn) };
+            }
+        }
+        if ((!quote || quoteSol <= 0.001) && counterToken) {
+            const primary = { mint: primaryToken.mint, symbol: resolveSymbol(ctx, primaryToken.mint), amount: Math.abs(primaryToken.netIn) };
+            return primaryToken.netIn > 0
+                ? tokenPairLegs(ctx, counterToken, primary)
+                : tokenPairLegs(ctx, primary, counterToken);
+        }
+        if (!quote || quoteSol <= 0.001) return null;
+        result.action = primaryToken.netIn > 0 ? 'Buy' : 'Sell';
+        result.tokenMint = primaryToken.mint;
+        result.tokenAmount = primaryToken.amount;
+        setQuote(ctx, result, quote.mint, null, quote.amount);
+    }
+
+    if (result.amountSol <= 0) return null;
+    result.tokenSymbol = resolveSymbol(ctx, result.tokenMint) || symbolFromDescription(ctx);
+    return result.tokenSymbol ? result : null;
+}
+
+const STRATEGIES = {
+    swap_event: parseSwapEvent,
+    description: parseDescription,
+    net_transfers: parseNetTransfers,
+};
+
+// ============================
+// DEX Parser Registry
+// Venues are matched on program IDs (top-level instructions first,
+// so a Jupiter route through Raydium is attributed to Jupiter), then
+// on Helius' `source` field. The first strategy that yields a trade wins.
+// ============================
+
+const DEX_PARSERS = [];
+
+/**
+ * Register a venue parser.
+ * @param {object} parser
+ * @param {string} parser.name - stored in kol_trades.dex_source
+ * @param {string[]} [parser.programIds] - on-chain program IDs for the venue
+ * @param {string[]} [parser.sources] - Helius `source` values for the venue
+ * @param {string[]} parser.strategies - strategy names, tried in order
+ */
+export function registerDexParser({ name, programIds = [], sources = [], strategies }) {
+    for (const s of strategies) {
+        if (!STRATEGIES[s]) throw new Error(`Unknown parse strategy: ${s}`);
+    }
+    DEX_PARSERS.push({ name, programIds: new Set(programIds), sources: new Set(sources), strategies });
+}
+
+// pump.fun bonding curve: always SOL-settled and swap events are often
+// missing or partial, so net wallet flows are the most reliable view
+registerDexParser({
+    name: 'pumpfun',
+    programIds: ['6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P'],
+    sources: ['PUMP_FUN'],
+    strategies: ['net_transfers', 'swap_event', 'description'],
+});
+
+// PumpSwap AMM (graduated pump.fun tokens), settles in WSOL
+registerDexParser({
+    name: 'pumpswap',
+    programIds: ['pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'],
+    sources: ['PUMP_AMM'],
+    strategies: ['swap_event', 'net_transfers', 'description'],
+});
+
+registerDexParser({
+    name: 'raydium_amm',
+    programIds: [
+        '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // AMM v4
+        'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C', // CPMM
+        'LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj', // LaunchLab
+    ],
+    sources: ['RAYDIUM'],
+    strategies: ['swap_event', 'net_transfers', 'description'],
+});
+
+registerDexParser({
+    name: 'raydium_clmm',
+    programIds: ['CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK'],
+    strategies: ['swap_event', 'net_transfers', 'description'],
+});
+
+registerDexParser({
+    name: 'meteora_dlmm',
+    programIds: ['LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo'],
+    sources: ['METEORA'],
+    strategies: ['swap_event', 'net_transfers', 'description'],
+});
+
+// Jupiter routes: multi-hop, the aggregated swap event nets out the hops
+registerDexParser({
+    name: 'jupiter',
+    programIds: [
+        'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4', // v6
+        'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB', // v4
+    ],
+    sources: ['JUPITER'],
+    strategies: ['swap_event', 'net_transfers', 'description'],
+});
+
+// Anything else: original fallback order
+const GENERIC_PARSER = {
+    name: 'other',
+    programIds: new Set(),
+    sources: new Set(),
+    strategies: ['swap_event', 'description', 'net_transfers'],
+};
+
+/**
+ * Pick the registered venue parser for a transaction.
+ */
+export function detectDex(tx) {
+    const topLevel = (tx.instructions || []).map(ix => ix.programId).filter(Boolean);
+    const inner = [];
+    for (const ix of tx.instructions || []) {
+        for (const iix of ix.innerInstructions || []) {
+            if (iix.programId) inner.push(iix.programId);
+        }
+    }
+
+    for (const programIds of [topLevel, inner]) {
+        for (const parser of DEX_PARSERS) {
+            if (programIds.some(id => parser.programIds.has(id))) return parser;
+        }
+    }
+    if (tx.source) {
+        const parser = DEX_PARSERS.find(p => p.sources.has(tx.source));
+        if (parser) return parser;
+    }
+    return GENERIC_PARSER;
+}
+
+// Rejected by type or description before any strategy runs
+function isNonTradeTx(tx) {
+    if (tx.type && NON_TRADE_TYPES.has(tx.type)) return true;
+
+    // Skip plain transfers (but don't over-filter — only exact starts)
+    if (tx.description) {
+        const d = tx.description.toLowerCase();
+        if (d.includes(' transferred ') && !d.includes('swap')) return true;
+        if (d.startsWith('burned ') || d.startsWith('close ') || d.startsWith('staked ')) return true;
+    }
+    return false;
+}
+
+/**
+ * Trades a transaction represents for one wallet: usually a single Buy
+ * or Sell, two legs for a memecoin-for-memecoin swap, [] when it isn't
+ * a trade.
+ */
+export function parseTransaction(tx, kolName, kolAvatar, walletAddress, tokenMetadataMap) {
+    if (isNonTradeTx(tx)) return [];
+
+    const ctx = createContext(tx, kolName, kolAvatar, walletAddress, tokenMetadataMap);
+    const dex = detectDex(tx);
+
+    for (const strategy of dex.strategies) {
+        const result = STRATEGIES[strategy](ctx);
+        if (result) {
+            const trades = Array.isArray(result) ? result : [result];
+            for (const trade of trades) {
+                trade.dexSource = dex.name;
+                trade.parseStrategy = strategy;
+            }
+            return trades;
+        }
+    }
+    return [];
+}
+
+// Net flows for one wallet: SOL (native + WSOL) and each other mint
+function walletFlows(tx, walletAddress) {
+    let solNet = 0;
+    for (const nt of tx.nativeTransfers || []) {
+        if (nt.toUserAccount === walletAddress) solNet += (nt.amount || 0) / 1e9;
+        if (nt.fromUserAccount === walletAddress) solNet -= (nt.amount || 0) / 1e9;
+    }
+    const tokenNets = {};
+    for (const tt of tx.tokenTransfers || []) {
+        if (!tt.mint) continue;
+        const amt = Math.abs(tt.tokenAmount || 0);
+        const sign = tt.toUserAccount === walletAddress ? 1 : tt.fromUserAccount === walletAddress ? -1 : 0;
+        if (tt.mint === SOL_MINT) solNet += sign * amt;
+        else tokenNets[tt.mint] = (tokenNets[tt.mint] || 0) + sign * amt;
+    }
+    return { solNet, tokenNets };
+}
+
+// SOL a wallet may spend on a receipt (token account rent, tips)
+// without it counting as paying for the tokens
+const RECEIPT_MAX_SOL_OUT = 0.01;
+
+/**
+ * Tokens a wallet received without paying for them: inbound transfers
+ * in a transaction where it sent no other token and no SOL beyond
+ * account rent. One entry per mint: { mint, amount, fromWallet }.
+ */
+export function tokenReceipts(tx, walletAddress) {
+    if (tx.transactionError) return [];
+    const { solNet, tokenNets } = walletFlows(tx, walletAddress);
+    if (solNet < -RECEIPT_MAX_SOL_OUT) return [];
+    if (Object.values(tokenNets).some(net => net < 0)) return [];
+
+    const receipts = [];
+    for (const [mint, net] of Object.entries(tokenNets)) {
+        if (!(net > 0) || SKIP_MINTS.has(mint)) continue;
+        // Largest sender of this mint to the wallet
+        let fromWallet = '';
+        let largest = 0;
+        for (const tt of tx.tokenTransfers) {
+            if (tt.mint !== mint || tt.toUserAccount !== walletAddress) continue;
+            if (Math.abs(tt.tokenAmount || 0) > largest) {
+                largest = Math.abs(tt.tokenAmount || 0);
+                fromWallet = tt.fromUserAccount || '';
+            }
+        }
+        receipts.push({ mint, amount: net, fromWallet });
+    }
+    return receipts;
+}
+
+/**
+ * True when a transaction parseTransaction() couldn't turn into trades
+ * looks like a swap for this wallet -- a token without a known symbol
+ * moving against a SOL or quote leg -- so it may parse once metadata
+ * resolves. Transfers, airdrops and anything rejected by type or shape
+ * are never worth retrying.
+ */
+export function isAwaitingTokenMetadata(tx, walletAddress, tokenMetadataMap) {
+    if (isNonTradeTx(tx)) return false;
+    const ctx = createContext(tx, '', '', walletAddress, tokenMetadataMap);
+    const { solNet, tokenNets } = walletFlows(tx, walletAddress);
+
+    for (const [mint, net] of Object.entries(tokenNets)) {
+        if (net === 0 || SKIP_MINTS.has(mint) || resolveSymbol(ctx, mint)) continue;
+        if (Math.abs(solNet) > 0.001 && Math.sign(solNet) !== Math.sign(net)) return true;
+        const quoteLeg = Object.entries(tokenNets)
+            .some(([other, otherNet]) => other !== mint && otherNet !== 0 && Math.sign(otherNet) !== Math.sign(net));
+        if (quoteLeg) return true;
+    }
+    return false;
+}
+
+export function isValidTrade(trade) {
+    if (!trade) return false;
+    if (!trade.action || (trade.action !== 'Buy' && trade.action !== 'Sell')) return false;
+    const sym = trade.tokenSymbol;
+    if (!sym || sym.length > 15) return false;
+    if (/^[a-f0-9]{6,}$/i.test(sym)) return false;
+    if (trade.amountSol <= 0) return false;
+    // Skip non-memecoin tokens
+    if (SKIP_TOKENS.has(sym)) return false;
+    if (trade.tokenMint && SKIP_MINTS.has(trade.tokenMint)) return false;
+    return true;
+}
+
+// Fields of each leg the golden fixtures (test/fixtures/parser) compare
+const FIXTURE_FIELDS = [
+    'action', 'tokenSymbol', 'tokenMint', 'tokenAmount', 'amountSol',
+    'quoteMint', 'quoteSymbol', 'quoteAmount', 'dexSource', 'parseStrategy',
+];
+
+/**
+ * Parsed trades in golden-fixture form, shared by the fixture runner and
+ * capture-fixture.js: null when nothing parsed, one object for a single
+ * trade, an array for token-for-token legs.
+ */
+export function fixtureLegs(trades) {
+    const legs = trades.map(trade => {
+        const leg = {};
+        for (const field of FIXTURE_FIELDS) leg[field] = trade[field];
+        leg.valid = isValidTrade(trade);
+        return leg;
+    });
+    return legs.length === 0 ? null : legs.length === 1 ? legs[0] : legs;
+}
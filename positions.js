@@ -0,0 +1,152 @@
+// ============================
+// Kolscam: FIFO position engine
+// Matches each sell against the oldest open buys of the same token
+// (per wallet, or per KOL when side wallets are pooled) so PnL is
+// measured against real cost basis instead of "sells minus buys in
+// the window".
+//
+//   matchPositions(trades, { fallbackSolPrice }) -> { lots, closed }
+//   positionStats(positions)                    -> win rate, avg win/loss, ...
+//
+//   lots   - what is still held: remaining quantity and the cost of
+//            that remainder (SOL and USD at entry-time rates)
+//   closed - one row per (buy lot, sell) match with cost, proceeds
+//            and PnL; sells with no earlier buy to match (tokens
+//            bought before tracking, or received by transfer) are
+//            kept as `unmatched` rows with no cost basis
+// ============================
+
+// Remaining quantities below this fraction of the lot are rounding dust
+const DUST_RATIO = 1e-9;
+
+function usdRate(trade, fallbackSolPrice) {
+    return trade.sol_price_usd > 0 ? trade.sol_price_usd : fallbackSolPrice;
+}
+
+/**
+ * Run FIFO matching over one owner's trades in a single token.
+ * Trades are kol_trades rows; they are replayed in (tx_timestamp, id)
+ * order regardless of input order. Rows without a token amount can't
+ * be matched and are skipped.
+ */
+export function matchPositions(trades, { fallbackSolPrice = 0 } = {}) {
+    const ordered = [...trades]
+        .filter(t => (t.action === 'Buy' || t.action === 'Sell') && t.token_amount > 0)
+        .sort((a, b) => (a.tx_timestamp - b.tx_timestamp) || ((a.id || 0) - (b.id || 0)));
+
+    const lots = [];
+    const closed = [];
+
+    for (const trade of ordered) {
+        const rate = usdRate(trade, fallbackSolPrice);
+
+        if (trade.action === 'Buy') {
+            lots.push({
+                wallet: trade.wallet,
+                buySignature: trade.signature,
+                openedAt: trade.tx_timestamp,
+                qtyInitial: trade.token_amount,
+                qty: trade.token_amount,
+                costSol: trade.amount_sol,
+                costUsd: trade.amount_sol * rate,
+            });
+            continue;
+        }
+
+        // Sell: proceeds are split across matched lots by quantity
+        let remaining = trade.token_amount;
+        const proceedsPerToken = trade.amount_sol / trade.token_amount;
+        while (remaining > 0 && lots.length > 0) {
+            const lot = lots[0];
+            const qty = Math.min(lot.qty, remaining);
+            const share = qty / lot.qty;
+            const costSol = lot.costSol * share;
+            const costUsd = lot.costUsd * share;
+            const proceedsSol = proceedsPerToken * qty;
+            const proceedsUsd = proceedsSol * rate;
+
+            closed.push({
+                wallet: trade.wallet,
+                buySignature: lot.buySignature,
+                sellSignature: trade.signature,
+                openedAt: lot.openedAt,
+                closedAt: trade.tx_timestamp,
+                qty,
+                costSol,
+                costUsd,
+                proceedsSol,
+                proceedsUsd,
+                pnlSol: proceedsSol - costSol,
+                pnlUsd: proceedsUsd - costUsd,
+                unmatched: false,
+            });
+
+            lot.qty -= qty;
+            lot.costSol -= costSol;
+            lot.costUsd -= costUsd;
+            remaining -= qty;
+            if (lot.qty <= lot.qtyInitial * DUST_RATIO) lots.shift();
+        }
+
+        if (remaining > trade.token_amount * DUST_RATIO) {
+            const proceedsSol = proceedsPerToken * remaining;
+            closed.push({
+                wallet: trade.wallet,
+                buySignature: '',
+                sellSignature: trade.signature,
+                openedAt: trade.tx_timestamp,
+                closedAt: trade.tx_timestamp,
+                qty: remaining,
+                costSol: 0,
+                costUsd: 0,
+                proceedsSol,
+                proceedsUsd: proceedsSol * rate,
+                pnlSol: 0,
+                pnlUsd: 0,
+                unmatched: true,
+            });
+        }
+    }
+
+    return { lots, closed };
+}
+
+/**
+ * Trade statistics over closed positions (one per fully sold buy lot):
+ * win rate (exit value above cost), average win and loss, profit factor,
+ * max drawdown of cumulative realized PnL and median hold time.
+ * Positions are { costSol, proceedsSol, pnlSol, openedAt, closedAt }.
+ */
+export function positionStats(positions) {
+    const ordered = [...positions].sort((a, b) => a.closedAt - b.closedAt);
+    const wins = ordered.filter(p => p.proceedsSol > p.costSol);
+    const losses = ordered.filter(p => p.proceedsSol <= p.costSol);
+    const grossWin = wins.reduce((sum, p) => sum + p.pnlSol, 0);
+    const grossLoss = losses.reduce((sum, p) => sum + p.pnlSol, 0);
+
+    // Deepest fall of cumulative realized PnL from its running peak
+    let cumulative = 0, peak = 0, maxDrawdown = 0;
+    for (const p of ordered) {
+        cumulative += p.pnlSol;
+        peak = Math.max(peak, cumulative);
+        maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    }
+
+    const holds = ordered.map(p => p.closedAt - p.openedAt).sort((a, b) => a - b);
+    const mid = Math.floor(holds.length / 2);
+    const medianHoldSec = holds.length === 0 ? 0
+        : holds.length % 2 ? holds[mid] : Math.round((holds[mid - 1] + holds[mid]) / 2);
+
+    return {
+        closedPositions: ordered.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: ordered.length > 0 ? (wins.length / ordered.length) * 100 : 0,
+        avgWin: wins.length > 0 ? grossWin / wins.length : 0,
+        avgLoss: losses.length > 0 ? grossLoss / losses.length : 0,
+        // null when there are no losing positions to divide by
+        profitFactor: grossLoss < 0 ? grossWin / -grossLoss : null,
+        maxDrawdown,
+        medianHoldSec,
+    };
+}
@@ -0,0 +1,318 @@
+// ============================
+// Kolscam: transaction data providers
+// Ingestion talks to a provider instead of a specific API. Every
+// provider returns transactions in Helius' enhanced shape (the one
+// parser.js reads), newest first:
+//
+//   fetchTransactions(wallet, { limit, before, until }) -> tx[]
+//   fetchTokenMetadata(mints)                         -> [{ mint, name, symbol, image }]
+//
+//   helius - Helius enhanced API (metered: costs credits)
+//   rpc    - any Solana JSON-RPC endpoint (getSignaturesForAddress +
+//            getTransaction), including a local validator or mock
+//
+// Select with DATA_PROVIDER=helius|rpc (default helius).
+// ============================
+
+import { SOL_MINT } from './parser.js';
+import { configureHost, requestJson } from './http-client.js';
+
+const HELIUS_BASE = 'https://api.helius.xyz';
+const TOKEN_PROGRAMS = new Set(['spl-token', 'spl-token-2022']);
+
+// ============================
+// Helius
+// ============================
+
+export function createHeliusProvider({ apiKey, baseUrl = HELIUS_BASE }) {
+    return {
+        name: 'helius',
+        metered: true,
+        configured: !!apiKey,
+
+        async fetchTransactions(wallet, { limit = 100, before = null, until = null } = {}) {
+            let url = `${baseUrl}/v0/addresses/${wallet}/transactions?api-key=${apiKey}&limit=${limit}`;
+            if (before) url += `&before=${before}`;
+            if (until) url += `&until=${until}`;
+            return (await requestJson(url)) || [];
+        },
+
+        async fetchTokenMetadata(mints) {
+            const data = await requestJson(`${baseUrl}/v0/token-metadata?api-key=${apiKey}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mintAccounts: mints, includeOffChain: true, disableCache: false })
+            });
+            return data.map(token => {
+                const offChain = token.offChainMetadata?.metadata || {};
+                const onChain = token.onChainMetadata?.metadata?.data || {};
+                return {
+                    mint: token.account,
+                    name: offChain.name || onChain.name || '',
+                    symbol: offChain.symbol || onChain.symbol || '',
+                    image: offChain.image || '',
+                };
+            });
+        },
+    };
+}
+
+// ============================
+// Plain JSON-RPC
+// ============================
+
+function rpcRequest(url, body) {
+    return requestJson(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+/**
+ * Convert a jsonParsed getTransaction result into Helius' enhanced shape.
+ * Only the fields the parser and wallet matching read are filled:
+ * native/token transfers (from parsed system and SPL token instructions),
+ * program IDs, account balance changes and the fee payer. There is no
+ * swap event or description, so venues fall through to net_transfers.
+ * A missing transaction still yields a stub so page length and the
+ * last signature (the next `before`) stay intact.
+ *
+ * Programs that pay out by editing lamports directly (pump.fun curve
+ * sells) leave no instruction to read, so each signer's balance change
+ * that the parsed instructions and the fee don't explain is added as a
+ * native transfer with no counterparty.
+ */
+export function normalizeRpcTransaction(signature, rpcTx, blockTime = 0) {
+    const tx = {
+        signature,
+        timestamp: rpcTx?.blockTime || blockTime || 0,
+        type: 'UNKNOWN',
+        source: 'UNKNOWN',
+        description: '',
+        fee: 0,
+        feePayer: '',
+        transactionError: null,
+        nativeTransfers: [],
+        tokenTransfers: [],
+        accountData: [],
+        instructions: [],
+        events: {},
+    };
+    if (!rpcTx?.transaction?.message || !rpcTx.meta) return tx;
+
+    const { message } = rpcTx.transaction;
+    const meta = rpcTx.meta;
+    const keys = (message.accountKeys || []).map(k => (typeof k === 'string' ? k : k.pubkey));
+    tx.feePayer = keys[0] || '';
+    tx.fee = meta.fee || 0;
+    tx.transactionError = meta.err || null;
+
+    // Token account -> owner/mint, and mint decimals, from balances
+    const tokenAccounts = {};
+    const decimals = { [SOL_MINT]: 9 };
+    const rawBalances = {};
+    for (const [side, balances] of [['pre', meta.preTokenBalances], ['post', meta.postTokenBalances]]) {
+        for (const b of balances || []) {
+            const account = keys[b.accountIndex];
+            if (!account) continue;
+            tokenAccounts[account] = { owner: b.owner || '', mint: b.mint };
+            if (b.uiTokenAmount?.decimals !== undefined) decimals[b.mint] = b.uiTokenAmount.decimals;
+            rawBalances[account] ??= { mint: b.mint, owner: b.owner || '', pre: 0n, post: 0n };
+            rawBalances[account][side] = BigInt(b.uiTokenAmount?.amount || '0');
+        }
+    }
+
+    const inner = {};
+    for (const set of meta.innerInstructions || []) inner[set.index] = set.instructions || [];
+    const topLevel = message.instructions || [];
+    const flat = [];
+    topLevel.forEach((ix, i) => {
+        flat.push(ix);
+        flat.push(...(inner[i] || []));
+    });
+
+    // Token accounts opened and closed within the tx (WSOL wrappers)
+    // never show up in balances; their init instructions name the owner
+    for (const ix of flat) {
+        const info = ix.parsed?.info;
+        if (!info?.account) continue;
+        const type = ix.parsed.type || '';
+        if (TOKEN_PROGRAMS.has(ix.program) && type.startsWith('initializeAccount')) {
+            tokenAccounts[info.account] ??= { owner: info.owner || '', mint: info.mint };
+        } else if (ix.program === 'spl-associated-token-account' && (type === 'create' || type === 'createIdempotent')) {
+            tokenAccounts[info.account] ??= { owner: info.wallet || '', mint: info.mint };
+        }
+    }
+
+    // Lamports per account as instructions run, and the net each account
+    // moved through instructions we can read
+    const lamports = {};
+    const explained = {};
+    keys.forEach((account, i) => {
+        lamports[account] = meta.preBalances?.[i] ?? 0;
+        explained[account] = 0;
+    });
+    const moveLamports = (from, to, amount) => {
+        lamports[from] = (lamports[from] || 0) - amount;
+        lamports[to] = (lamports[to] || 0) + amount;
+        explained[from] = (explained[from] || 0) - amount;
+        explained[to] = (explained[to] || 0) + amount;
+    };
+    // Rent moves only carry trade value on WSOL wrapper accounts
+    const isWsolAccount = account => tokenAccounts[account]?.mint === SOL_MINT;
+
+    if (!meta.err) {
+        for (const ix of flat) {
+            const parsed = ix.parsed;
+            const info = parsed?.info;
+            if (!info) continue;
+
+            if (ix.program === 'system' && (parsed.type === 'transfer' || parsed.type === 'transferWithSeed')) {
+                const amount = Number(info.lamports) || 0;
+                moveLamports(info.source, info.destination, amount);
+                tx.nativeTransfers.push({
+                    fromUserAccount: info.source,
+                    toUserAccount: info.destination,
+                    amount,
+                });
+            } else if (ix.program === 'system' && (parsed.type === 'createAccount' || parsed.type === 'createAccountWithSeed')) {
+                const amount = Number(info.lamports) || 0;
+                moveLamports(info.source, info.newAccount, amount);
+                if (isWsolAccount(info.newAccount)) {
+                    tx.nativeTransfers.push({ fromUserAccount: info.source, toUserAccount: info.newAccount, amount });
+                }
+            } else if (TOKEN_PROGRAMS.has(ix.program) && parsed.type === 'closeAccount') {
+                const amount = Math.max(lamports[info.account] || 0, 0);
+                moveLamports(info.account, info.destination, amount);
+                if (isWsolAccount(info.account)) {
+                    tx.nativeTransfers.push({ fromUserAccount: info.account, toUserAccount: info.destination, amount });
+                }
+            } else if (TOKEN_PROGRAMS.has(ix.program) && (parsed.type === 'transfer' || parsed.type === 'transferChecked')) {
+                const from = tokenAccounts[info.source] || {};
+                const to = tokenAccounts[info.destination] || {};
+                const mint = info.mint || from.mint || to.mint;
+                if (!mint) continue;
+                const amount = info.tokenAmount
+                    ? Number(info.tokenAmount.uiAmountString ?? info.tokenAmount.uiAmount)
+                    : Number(info.amount) / 10 ** (decimals[mint] ?? 0);
+                tx.tokenTransfers.push({
+                    fromUserAccount: from.owner || info.authority || '',
+                    toUserAccount: to.owner || '',
+                    fromTokenAccount: info.source,
+                    toTokenAccount: info.destination,
+                    tokenAmount: amount,
+                    mint,
+                    tokenStandard: 'Fungible',
+                });
+                // WSOL moves lamports between the token accounts
+                if (mint === SOL_MINT) moveLamports(info.source, info.destination, Math.round(amount * 1e9));
+            }
+        }
+
+        // Signers' balance changes the instructions above don't explain
+        (message.accountKeys || []).forEach((key, i) => {
+            const account = keys[i];
+            if (!(i === 0 || key?.signer)) return;
+            const change = (meta.postBalances?.[i] ?? 0) - (meta.preBalances?.[i] ?? 0) + (account === tx.feePayer ? tx.fee : 0);
+            const unexplained = change - (explained[account] || 0);
+            if (unexplained > 0) tx.nativeTransfers.push({ fromUserAccount: '', toUserAccount: account, amount: unexplained });
+            else if (unexplained < 0) tx.nativeTransfers.push({ fromUserAccount: account, toUserAccount: '', amount: -unexplained });
+        });
+    }
+
+    tx.instructions = topLevel.map((ix, i) => ({
+        programId: ix.programId,
+        innerInstructions: (inner[i] || []).map(x => ({ programId: x.programId })),
+    }));
+
+    tx.accountData = keys.map((account, i) => {
+        const change = rawBalances[account];
+        const tokenBalanceChanges = change && change.post !== change.pre
+            ? [{
+                userAccount: change.owner,
+                tokenAccount: account,
+                mint: change.mint,
+                rawTokenAmount: { tokenAmount: (change.post - change.pre).toString(), decimals: decimals[change.mint] ?? 0 },
+            }]
+            : [];
+        return {
+            account,
+            nativeBalanceChange: (meta.postBalances?.[i] ?? 0) - (meta.preBalances?.[i] ?? 0),
+            tokenBalanceChanges,
+        };
+    });
+
+    return tx;
+}
+
+export function createRpcProvider({ url, batchSize = 20, ratePerSec = null }) {
+    if (url && ratePerSec) configureHost(new URL(url).host, { ratePerSec, burst: Math.max(Math.ceil(ratePerSec), 1) });
+    const txConfig = { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0, commitment: 'confirmed' };
+
+    async function getTransactions(signatures) {
+        const results = new Map();
+        for (let i = 0; i < signatures.length; i += batchSize) {
+            const chunk = signatures.slice(i, i + batchSize);
+            if (batchSize === 1) {
+                // Endpoints without batch support
+                const data = await rpcRequest(url, { jsonrpc: '2.0', id: 0, method: 'getTransaction', params: [chunk[0], txConfig] });
+                if (data.error) throw new Error(`getTransaction: ${data.error.message}`);
+                results.set(chunk[0], data.result);
+                continue;
+            }
+            const data = await rpcRequest(url, chunk.map((sig, id) => ({
+                jsonrpc: '2.0', id, method: 'getTransaction', params: [sig, txConfig]
+            })));
+            if (!Array.isArray(data)) throw new Error(`getTransaction batch: ${data.error?.message || 'unexpected response'}`);
+            for (const item of data) {
+                if (item.error) throw new Error(`getTransaction: ${item.error.message}`);
+                results.set(chunk[item.id], item.result);
+            }
+        }
+        return results;
+    }
+
+    return {
+        name: 'rpc',
+        metered: false,
+        configured: !!url,
+
+        async fetchTransactions(wallet, { limit = 100, before = null, until = null } = {}) {
+            const options = { limit, commitment: 'confirmed' };
+            if (before) options.before = before;
+            if (until) options.until = until;
+            const data = await rpcRequest(url, { jsonrpc: '2.0', id: 1, method: 'getSignaturesForAddress', params: [wallet, options] });
+            if (data.error) throw new Error(`getSignaturesForAddress: ${data.error.message}`);
+            const signatures = data.result || [];
+            if (signatures.length === 0) return [];
+
+            const txs = await getTransactions(signatures.map(s => s.signature));
+            return signatures.map(s => normalizeRpcTransaction(s.signature, txs.get(s.signature), s.blockTime));
+        },
+
+        // Plain RPC has no metadata endpoint; symbols come from token_cache
+        // and the DexScreener fallback instead
+        async fetchTokenMetadata() {
+            return [];
+        },
+    };
+}
+
+/**
+ * Provider selected by DATA_PROVIDER (helius | rpc).
+ */
+export function createProvider(env = process.env) {
+    const name = (env.DATA_PROVIDER || 'helius').toLowerCase();
+    if (name === 'rpc') {
+        return createRpcProvider({
+            url: env.SOLANA_RPC_URL || '',
+            batchSize: Math.max(parseInt(env.RPC_BATCH_SIZE) || 20, 1),
+            ratePerSec: parseFloat(env.RPC_RATE_LIMIT_PER_SEC) || null,
+        });
+    }
+    if (name !== 'helius') {
+        console.warn(`⚠️  Unknown DATA_PROVIDER "${env.DATA_PROVIDER}", using helius`);
+    }
+    return createHeliusProvider({ apiKey: env.HELIUS_API_KEY });
+}
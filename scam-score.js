@@ -0,0 +1,81 @@
+// ============================
+// Kolscam: composite scam score
+// Combines behaviour we can derive from kol_trades into a 0-100 score
+// per KOL, keeping each factor's contribution so the number can be
+// explained on the profile.
+//
+//   scamScore(metrics, { minTrades }) -> { score, factors }
+//
+// Each factor turns a raw ratio into 0..1 (ratio / saturation, capped)
+// and contributes weight * that to the score; weights sum to 100.
+// ============================
+
+export const SCAM_FACTORS = [
+    {
+        key: 'sideDumping',
+        label: 'Side-wallet dumping',
+        description: 'Net SOL side wallets took out while the main wallet was buying, per SOL bought',
+        weight: 30,
+        saturation: 0.25,
+        ratio: m => m.buySol > 0 ? m.sideDumpSol / m.buySol : 0,
+    },
+    {
+        key: 'exitLiquidity',
+        label: 'Selling into other KOLs\' buys',
+        description: 'Share of sell volume matched to other tracked KOLs buying the token at the same time',
+        weight: 25,
+        saturation: 0.5,
+        ratio: m => m.sellSol > 0 ? m.sellIntoBuysSol / m.sellSol : 0,
+    },
+    {
+        key: 'shortHolds',
+        label: 'Ultra-short holds on promoted tokens',
+        description: 'Share of main-wallet positions on promoted tokens (buying clusters or side-wallet activity) sold within minutes of buying',
+        weight: 15,
+        saturation: 0.5,
+        ratio: m => m.closedMain > 0 ? m.shortHoldsMain / m.closedMain : 0,
+    },
+    {
+        key: 'earlyEntries',
+        label: 'Early entries before clusters',
+        description: 'Buying clusters on tokens the KOL had bought into by the time the cluster started, per token bought',
+        weight: 15,
+        saturation: 0.2,
+        ratio: m => m.mintsBought > 0 ? m.earlyClusters / m.mintsBought : 0,
+    },
+    {
+        key: 'freeTokens',
+        label: 'Free token receipts',
+        description: 'Share of sell proceeds from tokens sent to the KOL for free and sold with no tracked buy',
+        weight: 15,
+        saturation: 0.5,
+        ratio: m => m.sellSol > 0 ? m.unmatchedSol / m.sellSol : 0,
+    },
+];
+
+/**
+ * Score one KOL from their metrics:
+ *   { tradeCount, buySol, sellSol, mintsBought, sideDumpSol,
+ *     sellIntoBuysSol, closedMain, shortHoldsMain, earlyClusters, unmatchedSol }
+ * score is null below minTrades (not enough activity to judge).
+ */
+export function scamScore(metrics, { minTrades = 10 } = {}) {
+    const factors = SCAM_FACTORS.map(f => {
+        const ratio = f.ratio(metrics);
+        const value = Math.min(Math.max(ratio / f.saturation, 0), 1);
+        return {
+            key: f.key,
+            label: f.label,
+            description: f.description,
+            weight: f.weight,
+            ratio,
+            value,
+            points: value * f.weight,
+        };
+    });
+    const total = factors.reduce((sum, f) => sum + f.points, 0);
+    return {
+        score: (metrics.tradeCount || 0) >= minTrades ? Math.round(total) : null,
+        factors,
+    };
+}
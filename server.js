@@ -7,12 +7,56 @@ import {
     getCachedToken, upsertTokenCache, upsertTokenMarketData,
     insertTrade, getRecentTrades, getRecentTradesRaw, getTradesSince,
     getLeaderboardStats, getKolTokenPnl, getRecentTokens, getTokenKolPositions,
+    getTradeSourceBreakdown, getTradesBySource,
     getTradeCount, getScannedKolCount,
+    insertRawTransaction, getRawTransactionCount, getAllRawTransactions, insertTokenReceipt, deleteTokenReceiptsForWallet,
+    getTradesWithRaw, deleteTradeBySignatureWallet,
+    insertBackfillJob, insertBackfillCheckpoint, getBackfillJob, getRecentBackfillJobs,
+    getLatestBackfillJobByStatus, setBackfillJobStatus, refreshBackfillJobTotals,
+    markRunningBackfillJobsInterrupted, getBackfillCheckpoints, getBackfillCheckpoint, getPendingBackfillCheckpoints,
+    saveBackfillCheckpoint,
+    recordCreditUsage, getCreditUsageSince, getCreditUsageByEndpointSince, getCreditUsageByDaySince,
+    insertTokenSnapshot, getTokenSnapshots, downsampleTokenSnapshots, pruneTokenSnapshots,
+    getTokenSnapshotStats, getTokenTradesSince,
+    getTokenTimeline, getLatestTokenSnapshot, getTokenClosedByKol, getTokenOpenByKol,
+    insertSolPrice, getSolPriceBefore, getSolPriceAfter, getSolPriceHistoryStats, fillTradeSolPrices,
+    getWalletMintTrades, getKolMintTrades, getAllPositionTrades, deletePositionLots, deleteClosedPositions,
+    insertPositionLot, insertClosedPosition, getClosedPositionStats, getOpenLotStats, getClosedLotPositions,
+    getKolClosedByToken, getKolOpenByToken,
+    bumpDailyTradeStats, getClosedPositionDays, refreshDailyRealizedStats, clearDailyStats,
+    rebuildDailyTradeStats, rebuildDailyRealizedStats, getDailyStatsTotals,
+    getKolDailyStatsRange, getKolHourlyTrades, getKolHourlyRealized, getKolClosedLegs, getKolOpenLotRows, getKolOpenLots, getKolClosedPositions, getPositionCounts,
+    getMaxTradeId, getMintsWithBuysAfter, getMintBuys, getMintClusterEventIds, upsertClusterEvent,
+    deleteClusterEvent, deleteClusterMembers, insertClusterMember, getAllClusterMembers,
+    clearKolPairStats, insertKolPairStat, getClusterEvents, getClusterEventMembers,
+    getKolPairStats, getKolPairStat, getLatestMintCluster, getClusterCounts,
+    getKolMintsTradedAfter, getKolMintFlagIds, upsertFlaggedEvent, deleteFlaggedEvent, getFlaggedEvents, getFlagCounts,
+    getMintsTradedAfter, getMintTradesAllKols, deleteExitLiquidityPairs, insertExitLiquidityPair,
+    getExitLiquidityOffenders, getExitLiquidityVictims, getExitLiquidityTopPairs, getExitLiquidityTotals,
+    getKolBacktestTrades,
+    getScamTradeTotals, getScamSideDumping, getScamSellsIntoBuys, getScamShortHolds, getScamEarlyClusters,
+    getScamUnmatchedSells, upsertScamScore, getScamScores, getScamScore,
+    getWalletSyncState, getAllWalletSyncStates, upsertWalletCursor, touchWalletSync,
+    setWalletGapCheckpoint, clearWalletGapCheckpoint,
+    markWalletSeen, getLatestTradeForWallet,
+    enqueueWebhookTx, getDueWebhookItems, markWebhookProcessing, markWebhookDone,
+    markWebhookRetry, markWebhookDead, resetStuckWebhookItems, getWebhookQueueStats,
+    getFailedWebhookItems, replayWebhookItem, replayDeadWebhookItems, pruneDoneWebhookItems,
     insertSideWalletSubmission, getAllSubmissions, getSubmissionCount
 } from './db.js';
 import { COL_DATA } from './src/data.js';
+import { parseTransaction, isValidTrade, isAwaitingTokenMetadata, tokenReceipts, setSolPrice, PARSER_VERSION, SKIP_TOKENS, SKIP_MINTS } from './parser.js';
+import { createProvider } from './providers.js';
+import { matchPositions, positionStats } from './positions.js';
+import { detectClusters, scorePairs } from './clusters.js';
+import { detectSideDivergence } from './divergence.js';
+import { pairExitLiquidity } from './exit-liquidity.js';
+import { runBacktest } from './backtest.js';
+import { scamScore } from './scam-score.js';
+import { requestJson, getHttpMetrics } from './http-client.js';
 
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -28,11 +72,14 @@ process.on('uncaughtException', (err) => {
 process.on('unhandledRejection', (err) => {
     console.error('UNHANDLED REJECTION:', err);
 });
-const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
-const HELIUS_BASE = `https://api.helius.xyz`;
-
-// Gate Helius usage behind a flag — set HELIUS_ENABLED=true when ready
+// Gate Helius usage behind a flag — set HELIUS_ENABLED=true when ready.
+// It gates all ingestion, whichever provider (DATA_PROVIDER) serves it.
 const HELIUS_ENABLED = process.env.HELIUS_ENABLED === 'true';
+const provider = createProvider(process.env);
+
+// Shared secret Helius sends back as the Authorization header
+// (registered by setup-webhook.js). Webhooks are rejected without it.
+const WEBHOOK_AUTH_SECRET = process.env.WEBHOOK_AUTH_SECRET || '';
 
 // Pre-build wallet→avatar map for fast lookups (main + side wallets)
 const WALLET_AVATAR_MAP = {};
@@ -67,31 +114,72 @@ app.use(express.static(path.join(__dirname, 'dist')));
 // ============================
 
 let SOL_PRICE_USD = 80; // default fallback
-let heliusCreditEstimate = 0; // rough credit counter for monitoring
+let solPriceLive = false; // true once a real quote has been fetched
+setSolPrice(SOL_PRICE_USD);
+
+// Trades take the SOL/USD sample nearest their tx_timestamp within this window
+const SOL_PRICE_MAX_GAP_SEC = 86400;
+
+function recordSolPrice(price, source) {
+    SOL_PRICE_USD = price;
+    setSolPrice(price);
+    try { insertSolPrice.run(Math.floor(Date.now() / 1000), price, source); } catch { /* history only */ }
+    if (!solPriceLive) {
+        solPriceLive = true;
+        // Trades saved before the first quote arrived
+        fillMissingTradeSolPrices();
+    }
+}
+
+/**
+ * SOL/USD rate at a unix timestamp from sol_price_history (nearest sample
+ * within SOL_PRICE_MAX_GAP_SEC). Falls back to the live price for trades
+ * from the last hour; 0 when unknown (filled later by fillMissingTradeSolPrices).
+ */
+function solPriceAt(timestamp) {
+    if (timestamp > 0) {
+        const before = getSolPriceBefore.get(timestamp);
+        const after = getSolPriceAfter.get(timestamp);
+        const candidates = [before, after]
+            .filter(p => p && Math.abs(p.timestamp - timestamp) <= SOL_PRICE_MAX_GAP_SEC)
+            .sort((a, b) => Math.abs(a.timestamp - timestamp) - Math.abs(b.timestamp - timestamp));
+        if (candidates.length > 0) return candidates[0].price_usd;
+    }
+    const recent = !timestamp || Math.abs(Date.now() / 1000 - timestamp) <= 3600;
+    return solPriceLive && recent ? SOL_PRICE_USD : 0;
+}
+
+function fillMissingTradeSolPrices() {
+    try {
+        const info = fillTradeSolPrices.run({ maxGap: SOL_PRICE_MAX_GAP_SEC });
+        if (info.changes > 0) {
+            console.log(`💰 Filled SOL/USD rate on ${info.changes} trades`);
+            // Lot and closed-position USD figures were priced without them
+            rebuildAllPositions();
+        }
+    } catch (err) {
+        console.error('SOL price fill error:', err.message);
+    }
+}
+let heliusCreditEstimate = 0; // session credit counter (persisted totals live in helius_credit_usage)
 
 async function fetchSolPrice() {
     try {
-        const res = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd');
-        if (res.ok) {
-            const data = await res.json();
-            if (data.solana?.usd) {
-                SOL_PRICE_USD = data.solana.usd;
-                console.log(`💰 SOL price: $${SOL_PRICE_USD}`);
-            }
+        const data = await requestJson('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd', { retries: 1 });
+        if (data.solana?.usd) {
+            recordSolPrice(data.solana.usd, 'coingecko');
+            console.log(`💰 SOL price: $${SOL_PRICE_USD}`);
         }
     } catch (err) {
         // Try Jupiter as fallback
         try {
-            const res2 = await fetch('https://api.jup.ag/price/v2?ids=So11111111111111111111111111111111111111112');
-            if (res2.ok) {
-                const data2 = await res2.json();
-                const price = data2.data?.['So11111111111111111111111111111111111111112']?.price;
-                if (price) {
-                    SOL_PRICE_USD = parseFloat(price);
-                    console.log(`💰 SOL price (Jupiter): $${SOL_PRICE_USD}`);
-                }
+            const data2 = await requestJson('https://api.jup.ag/price/v2?ids=So11111111111111111111111111111111111111112', { retries: 1 });
+            const price = data2.data?.['So11111111111111111111111111111111111111112']?.price;
+            if (price) {
+                recordSolPrice(parseFloat(price), 'jupiter');
+                console.log(`💰 SOL price (Jupiter): $${SOL_PRICE_USD}`);
             }
-        } catch { /* silent */ }
+        } catch { /* keep last known price */ }
     }
 }
 
@@ -109,10 +197,7 @@ async function fetchDexScreenerData(mints) {
         const batch = mints.slice(i, i + 30);
         try {
             const url = `https://api.dexscreener.com/latest/dex/tokens/${batch.join(',')}`;
-            const res = await fetch(url);
-            if (!res.ok) continue;
-
-            const data = await res.json();
+            const data = await requestJson(url);
             if (!data.pairs) continue;
 
             // Group pairs by base token, pick the most liquid pair
@@ -153,6 +238,15 @@ async function fetchDexScreenerData(mints) {
                         tokenData.priceUsd,
                         tokenData.priceChange24h
                     );
+                    insertTokenSnapshot.run(
+                        mint,
+                        Math.floor(Date.now() / 1000),
+                        tokenData.priceUsd,
+                        tokenData.mcap,
+                        tokenData.liquidity,
+                        tokenData.volume24h,
+                        tokenData.priceChange24h
+                    );
                 } catch { /* silent */ }
             }
 
@@ -169,94 +263,209 @@ async function fetchDexScreenerData(mints) {
 }
 
 // ============================
-// Helius API Helpers
+// Token Market Snapshot Retention
+// Every DexScreener read is appended to token_market_snapshots. Full
+// resolution is kept for SNAPSHOT_RAW_DAYS, then one per hour until
+// SNAPSHOT_HOURLY_DAYS, then one per day until SNAPSHOT_RETENTION_DAYS.
 // ============================
 
-async function fetchEnhancedTransactions(walletAddress, limit = 50) {
-    if (!HELIUS_ENABLED || !HELIUS_API_KEY) return [];
-    const url = `${HELIUS_BASE}/v0/addresses/${walletAddress}/transactions?api-key=${HELIUS_API_KEY}&limit=${limit}`;
+const SNAPSHOT_RAW_DAYS = parseInt(process.env.SNAPSHOT_RAW_DAYS) || 7;
+const SNAPSHOT_HOURLY_DAYS = parseInt(process.env.SNAPSHOT_HOURLY_DAYS) || 90;
+const SNAPSHOT_RETENTION_DAYS = parseInt(process.env.SNAPSHOT_RETENTION_DAYS) || 365;
+
+function compactTokenSnapshots() {
     try {
-        const res = await fetch(url);
-        heliusCreditEstimate += 100;
-        if (!res.ok) return [];
-        return await res.json();
+        const now = Math.floor(Date.now() / 1000);
+        const rawCutoff = now - SNAPSHOT_RAW_DAYS * 86400;
+        const hourlyCutoff = now - SNAPSHOT_HOURLY_DAYS * 86400;
+        const retentionCutoff = now - SNAPSHOT_RETENTION_DAYS * 86400;
+
+        const result = db.transaction(() => ({
+            hourly: downsampleTokenSnapshots.run({ from: hourlyCutoff, to: rawCutoff, bucket: 3600 }).changes,
+            daily: downsampleTokenSnapshots.run({ from: retentionCutoff, to: hourlyCutoff, bucket: 86400 }).changes,
+            expired: pruneTokenSnapshots.run(retentionCutoff).changes,
+        }))();
+        const removed = result.hourly + result.daily + result.expired;
+        if (removed > 0) {
+            console.log(`🗜️ Token snapshots compacted: -${result.hourly} (hourly) -${result.daily} (daily) -${result.expired} (expired)`);
+        }
     } catch (err) {
-        return [];
+        console.error('Snapshot compaction error:', err.message);
+    }
+}
+
+// ============================
+// Helius Credit Budget
+// Usage is persisted per UTC day and endpoint type. Backfill work stops
+// short of the reserve kept for real-time webhook enrichment; once the
+// budget is gone, metadata lookups fall back to cache and DexScreener.
+// ============================
+
+const HELIUS_DAILY_CREDIT_BUDGET = parseInt(process.env.HELIUS_DAILY_CREDIT_BUDGET) || 0;     // 0 = unlimited
+const HELIUS_MONTHLY_CREDIT_BUDGET = parseInt(process.env.HELIUS_MONTHLY_CREDIT_BUDGET) || 0; // 0 = unlimited
+const HELIUS_BACKFILL_RESERVE = 0.1; // share of each budget only real-time work may spend
+
+// Estimated credits per call
+const HELIUS_CREDIT_COSTS = {
+    transactions: 100,   // one page of /v0/addresses/:wallet/transactions
+    token_metadata: 10,  // one /v0/token-metadata batch (up to 100 mints)
+};
+
+let creditBudgetWarnedDay = null;
+
+function utcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function recordHeliusCredits(endpoint) {
+    if (!provider.metered) return;
+    const cost = HELIUS_CREDIT_COSTS[endpoint];
+    heliusCreditEstimate += cost;
+    try { recordCreditUsage.run(utcDay(), endpoint, cost); } catch { /* accounting only */ }
+}
+
+/**
+ * Whether one more call of this type fits today's and this month's budget.
+ * Backfill callers ('backfill') must also leave the real-time reserve untouched.
+ */
+function heliusBudgetAllows(endpoint, priority = 'realtime') {
+    if (!provider.metered) return true;
+    if (!HELIUS_DAILY_CREDIT_BUDGET && !HELIUS_MONTHLY_CREDIT_BUDGET) return true;
+    const today = utcDay();
+    const cost = HELIUS_CREDIT_COSTS[endpoint];
+    const share = priority === 'backfill' ? 1 - HELIUS_BACKFILL_RESERVE : 1;
+
+    const dayUsed = getCreditUsageSince.get(today).credits;
+    const monthUsed = getCreditUsageSince.get(`${today.slice(0, 8)}01`).credits;
+    const allowed =
+        (!HELIUS_DAILY_CREDIT_BUDGET || dayUsed + cost <= HELIUS_DAILY_CREDIT_BUDGET * share) &&
+        (!HELIUS_MONTHLY_CREDIT_BUDGET || monthUsed + cost <= HELIUS_MONTHLY_CREDIT_BUDGET * share);
+
+    if (!allowed && creditBudgetWarnedDay !== `${today}:${priority}`) {
+        creditBudgetWarnedDay = `${today}:${priority}`;
+        console.warn(`💳 Helius credit budget reached for ${priority} work (today ${dayUsed.toLocaleString()}, month ${monthUsed.toLocaleString()})`);
     }
+    return allowed;
+}
+
+function creditBudgetStatus() {
+    const today = utcDay();
+    const monthStart = `${today.slice(0, 8)}01`;
+    const period = (since, budget) => {
+        const used = getCreditUsageSince.get(since).credits;
+        return {
+            used,
+            budget: budget || null,
+            remaining: budget ? Math.max(budget - used, 0) : null,
+            byEndpoint: getCreditUsageByEndpointSince.all(since),
+        };
+    };
+    return {
+        today: period(today, HELIUS_DAILY_CREDIT_BUDGET),
+        month: period(monthStart, HELIUS_MONTHLY_CREDIT_BUDGET),
+        backfillReserve: HELIUS_BACKFILL_RESERVE,
+        backfillAllowed: heliusBudgetAllows('transactions', 'backfill'),
+        realtimeAllowed: heliusBudgetAllows('token_metadata'),
+        sessionEstimate: heliusCreditEstimate,
+    };
+}
+
+// ============================
+// Transaction Data Helpers
+// Go through the configured provider (providers.js); only metered
+// providers (Helius) count against the credit budget.
+// ============================
+
+async function fetchEnhancedTransactions(walletAddress, limit = 50, priority = 'backfill') {
+    if (!HELIUS_ENABLED || !provider.configured) return [];
+    if (!heliusBudgetAllows('transactions', priority)) return [];
+    recordHeliusCredits('transactions');
+    return provider.fetchTransactions(walletAddress, { limit });
 }
 
 /**
- * Paginate through ALL transactions for a wallet until sinceTimestamp.
+ * Paginate through ALL transactions for a wallet until sinceTimestamp
+ * (or `until` signature, exclusive). Newest first, optionally starting
+ * below a `before` signature.
  * Each page = 100 txns = ~100 credits. Stops when txns are older than cutoff.
+ * `onPage(pageTxs, lastSignature)` runs after each page; returning false stops the walk.
+ * `complete` is true when the walk reached the cutoff or the end of history
+ * rather than stopping early on maxPages, onPage, the credit budget or an
+ * upstream error (`error`, after the HTTP client's retries).
  */
-async function fetchPaginatedTransactions(walletAddress, sinceTimestamp, maxPages = 50) {
-    if (!HELIUS_ENABLED || !HELIUS_API_KEY) return [];
+async function fetchPaginatedTransactions(walletAddress, sinceTimestamp, { maxPages = 50, until = null, before = null, onPage = null } = {}) {
+    if (!HELIUS_ENABLED || !provider.configured) return { txs: [], complete: false, budgetExhausted: false };
 
     const allTxs = [];
-    let beforeSig = undefined;
+    let beforeSig = before || undefined;
+    let complete = false;
+    let budgetExhausted = false;
+    let error = null;
+    const untilSignature = until;
 
     for (let page = 0; page < maxPages; page++) {
-        let url = `${HELIUS_BASE}/v0/addresses/${walletAddress}/transactions?api-key=${HELIUS_API_KEY}&limit=100`;
-        if (beforeSig) url += `&before=${beforeSig}`;
+        if (!heliusBudgetAllows('transactions', 'backfill')) {
+            budgetExhausted = true;
+            break;
+        }
 
         try {
-            const res = await fetch(url);
-            heliusCreditEstimate += 100;
-            if (!res.ok) break;
-
-            const txs = await res.json();
-            if (!txs || txs.length === 0) break;
+            recordHeliusCredits('transactions');
+            const txs = await provider.fetchTransactions(walletAddress, { limit: 100, before: beforeSig, until: untilSignature });
+            if (!txs || txs.length === 0) {
+                complete = true;
+                break;
+            }
 
             let reachedCutoff = false;
+            const pageTxs = [];
             for (const tx of txs) {
-                if (tx.timestamp && tx.timestamp < sinceTimestamp) {
+                if ((tx.timestamp && tx.timestamp < sinceTimestamp) ||
+                    (untilSignature && tx.signature === untilSignature)) {
                     reachedCutoff = true;
                     break;
                 }
-                allTxs.push(tx);
+                pageTxs.push(tx);
             }
+            allTxs.push(...pageTxs);
+            beforeSig = txs[txs.length - 1].signature;
 
-            if (reachedCutoff || txs.length < 100) break;
+            if (onPage && (await onPage(pageTxs, beforeSig)) === false) break;
+
+            if (reachedCutoff || txs.length < 100) {
+                complete = true;
+                break;
+            }
 
-            beforeSig = txs[txs.length - 1].signature;
             await new Promise(r => setTimeout(r, 250));
         } catch (err) {
             console.error(`  Pagination error for ${walletAddress.slice(0, 8)}...: ${err.message}`);
+            error = err.message;
             break;
         }
     }
 
-    return allTxs;
+    return { txs: allTxs, complete, budgetExhausted, error };
 }
 
-async function batchGetTokenMetadata(mints) {
-    if (!HELIUS_ENABLED || !HELIUS_API_KEY) return {};
+/**
+ * Resolve symbols for mints from token_cache, fetching misses from the
+ * provider while the credit budget allows (cache-only once it's exhausted).
+ */
+async function batchGetTokenMetadata(mints, priority = 'realtime') {
+    if (!HELIUS_ENABLED || !provider.configured) return {};
     const uncached = mints.filter(m => {
         if (m === 'So11111111111111111111111111111111111111112') return false;
         return !getCachedToken.get(m);
     });
 
-    if (uncached.length > 0) {
+    for (let i = 0; i < uncached.length; i += 100) {
+        if (!heliusBudgetAllows('token_metadata', priority)) break;
+        const chunk = uncached.slice(i, i + 100);
         try {
-            for (let i = 0; i < uncached.length; i += 100) {
-                const chunk = uncached.slice(i, i + 100);
-                const res = await fetch(`${HELIUS_BASE}/v0/token-metadata?api-key=${HELIUS_API_KEY}`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ mintAccounts: chunk, includeOffChain: true, disableCache: false })
-                });
-                if (res.ok) {
-                    const data = await res.json();
-                    for (const token of data) {
-                        const mint = token.account;
-                        const offChain = token.offChainMetadata?.metadata || {};
-                        const onChain = token.onChainMetadata?.metadata?.data || {};
-                        const name = offChain.name || onChain.name || '';
-                        const symbol = offChain.symbol || onChain.symbol || '';
-                        const image = offChain.image || '';
-                        if (symbol) upsertTokenCache.run(mint, name, symbol, image);
-                    }
-                }
+            recordHeliusCredits('token_metadata');
+            for (const token of await provider.fetchTokenMetadata(chunk)) {
+                if (token.symbol) upsertTokenCache.run(token.mint, token.name, token.symbol, token.image);
             }
         } catch (err) { /* silent */ }
     }
@@ -276,490 +485,1519 @@ async function batchGetTokenMetadata(mints) {
 }
 
 // ============================
-// Transaction Parser (Buy/Sell only)
+// Trade Storage
 // ============================
 
-function parseTransaction(tx, kolName, kolAvatar, walletAddress, tokenMetadataMap) {
-    const SOL_MINT = 'So11111111111111111111111111111111111111112';
-    const result = {
-        signature: tx.signature,
-        timestamp: tx.timestamp,
-        kolName: kolName || 'Unknown',
-        kolAvatar: kolAvatar || '/logo.png',
-        action: null,
-        tokenSymbol: null,
-        tokenMint: '',
-        tokenAmount: 0,
-        amountSol: 0,
-    };
-
-    // Skip obviously non-trade transaction types
-    const NON_TRADE_TYPES = new Set([
-        'TRANSFER', 'BURN', 'BURN_NFT', 'COMPRESSED_NFT_MINT',
-        'COMPRESSED_NFT_TRANSFER', 'COMPRESSED_NFT_BURN',
-        'NFT_MINT', 'NFT_SALE', 'NFT_LISTING', 'NFT_CANCEL_LISTING',
-        'STAKE', 'UNSTAKE', 'INIT_BANK', 'SET_BANK_FLAGS',
-        'CLOSE_POSITION', 'WITHDRAW', 'DEPOSIT',
-    ]);
-    if (tx.type && NON_TRADE_TYPES.has(tx.type)) return null;
-
-    // Skip plain transfers (but don't over-filter — only exact starts)
-    if (tx.description) {
-        const d = tx.description.toLowerCase();
-        if (d.includes(' transferred ') && !d.includes('swap')) return null;
-        if (d.startsWith('burned ') || d.startsWith('close ') || d.startsWith('staked ')) return null;
-    }
-
-    // Helper: find first non-SOL mint from tokenTransfers
-    let primaryMint = '';
-    let primaryTokenAmount = 0;
-    if (tx.tokenTransfers && tx.tokenTransfers.length > 0) {
-        for (const transfer of tx.tokenTransfers) {
-            if (transfer.mint && transfer.mint !== SOL_MINT) {
-                primaryMint = transfer.mint;
-                primaryTokenAmount = Math.abs(transfer.tokenAmount || 0);
-                break;
-            }
-        }
+/**
+ * Insert a parsed trade for a wallet. Returns true if a new row was written
+ * (false for duplicates already stored under the same signature).
+ * New rows bump the KOL's daily rollup and re-run FIFO matching for the
+ * trade's token unless the caller rebuilds positions itself afterwards.
+ * All of it commits together (a savepoint when the caller is already in
+ * a transaction), so the rollup and positions never drift from the rows.
+ */
+const saveTrade = db.transaction((wallet, trade, { refreshPositions = true } = {}) => {
+    const info = insertTrade.run(
+        wallet, trade.kolName, trade.kolAvatar || '',
+        trade.action, trade.tokenSymbol, trade.amountSol,
+        trade.signature, trade.timestamp || 0,
+        trade.tokenMint || '', trade.tokenAmount || 0,
+        trade.quoteMint || '', trade.quoteSymbol || 'SOL', trade.quoteAmount || trade.amountSol,
+        trade.parseStrategy || '', trade.dexSource || '', PARSER_VERSION,
+        solPriceAt(trade.timestamp || 0)
+    );
+    if (info.changes > 0 && (trade.action === 'Buy' || trade.action === 'Sell')) {
+        bumpDailyTradeStats.run({
+            kol: trade.kolName,
+            day: utcDayStart(trade.timestamp || 0),
+            buy: trade.action === 'Buy' ? 1 : 0,
+            sell: trade.action === 'Sell' ? 1 : 0,
+            volume: trade.amountSol || 0,
+        });
     }
-
-    // Helper: resolve token symbol from multiple sources
-    function resolveSymbol(mint) {
-        if (!mint || mint === SOL_MINT) return null;
-        // Source 1: metadata map from batch fetch
-        const meta = tokenMetadataMap?.[mint];
-        if (meta && meta.symbol && meta.symbol.length <= 15) return meta.symbol;
-        // Source 2: DB token_cache
-        try {
-            const cached = getCachedToken.get(mint);
-            if (cached && cached.symbol) return cached.symbol;
-        } catch { /* */ }
-        return null;
+    if (info.changes > 0 && refreshPositions && trade.tokenMint) {
+        refreshPosition(wallet, trade.kolName, trade.tokenMint);
     }
+    return info.changes > 0;
+});
 
-    // Helper: extract symbol from description
-    function symbolFromDescription() {
-        if (!tx.description) return null;
-        const m = tx.description.match(/swapped\s+[\d,.]+\s+(\S+)\s+for\s+[\d,.]+\s+(\S+)/i);
-        if (m) {
-            const [, tok1, tok2] = m;
-            return tok1.toUpperCase() === 'SOL' ? tok2 : tok1;
+/**
+ * Every tracked wallet (main or side) involved in a transaction.
+ */
+function trackedWalletsInTx(tx) {
+    const involvedAccounts = new Set();
+    if (tx.feePayer) involvedAccounts.add(tx.feePayer);
+    if (tx.accountData) {
+        for (const a of tx.accountData) {
+            if (a.account) involvedAccounts.add(a.account);
         }
-        return null;
     }
-
-    // ============================================================
-    // STRATEGY 0: Helius Swap Events (most accurate)
-    // Skip SOL, stablecoins, and infra tokens when finding the
-    // primary token. If only stablecoins found, fall through to
-    // Strategy 2 which uses net positions across all transfers.
-    // ============================================================
-    const swap = tx.events?.swap;
-    if (swap) {
-        const nativeIn = swap.nativeInput;
-        const nativeOut = swap.nativeOutput;
-
-        // Find the actual memecoin, strictly skipping stablecoins
-        const isSkipToken = (t) => {
-            if (t.mint === SOL_MINT || SKIP_MINTS.has(t.mint)) return true;
-            const sym = resolveSymbol(t.mint);
-            return sym && SKIP_TOKENS.has(sym);
-        };
-        const tokenIn = swap.tokenInputs?.find(t => !isSkipToken(t));
-        const tokenOut = swap.tokenOutputs?.find(t => !isSkipToken(t));
-
-        if (nativeIn && nativeIn.amount > 0 && tokenOut) {
-            result.action = 'Buy';
-            result.amountSol = parseFloat((nativeIn.amount / 1e9).toFixed(4));
-            result.tokenMint = tokenOut.mint || primaryMint;
-            result.tokenAmount = Math.abs(tokenOut.rawTokenAmount?.tokenAmount
-                ? tokenOut.rawTokenAmount.tokenAmount / Math.pow(10, tokenOut.rawTokenAmount.decimals || 0)
-                : tokenOut.tokenAmount || primaryTokenAmount);
-            result.tokenSymbol = resolveSymbol(result.tokenMint) || symbolFromDescription();
-        } else if (nativeOut && nativeOut.amount > 0 && tokenIn) {
-            result.action = 'Sell';
-            result.amountSol = parseFloat((nativeOut.amount / 1e9).toFixed(4));
-            result.tokenMint = tokenIn.mint || primaryMint;
-            result.tokenAmount = Math.abs(tokenIn.rawTokenAmount?.tokenAmount
-                ? tokenIn.rawTokenAmount.tokenAmount / Math.pow(10, tokenIn.rawTokenAmount.decimals || 0)
-                : tokenIn.tokenAmount || primaryTokenAmount);
-            result.tokenSymbol = resolveSymbol(result.tokenMint) || symbolFromDescription();
+    if (tx.nativeTransfers) {
+        for (const t of tx.nativeTransfers) {
+            if (t.fromUserAccount) involvedAccounts.add(t.fromUserAccount);
+            if (t.toUserAccount) involvedAccounts.add(t.toUserAccount);
         }
-
-        if (result.action && result.amountSol > 0 && result.tokenSymbol) return result;
-        // Reset if Strategy 0 couldn't find a valid memecoin
-        result.action = null;
-        result.amountSol = 0;
-    }
-
-    // ============================================================
-    // STRATEGY 1: Parse Helius description
-    // Handles: "X swapped N SOL for M TOKEN"
-    // ============================================================
-    const swapMatch = tx.description?.match(/swapped\s+([\d,.]+)\s+(\S+)\s+for\s+([\d,.]+)\s+(\S+)/i);
-    if (swapMatch) {
-        const [, amt1, tok1, amt2, tok2] = swapMatch;
-        if (tok1.toUpperCase() === 'SOL') {
-            result.action = 'Buy';
-            result.tokenSymbol = tok2;
-            result.amountSol = parseFloat(amt1.replace(/,/g, ''));
-            result.tokenAmount = parseFloat(amt2.replace(/,/g, '')) || primaryTokenAmount;
-        } else if (tok2.toUpperCase() === 'SOL') {
-            result.action = 'Sell';
-            result.tokenSymbol = tok1;
-            result.amountSol = parseFloat(amt2.replace(/,/g, ''));
-            result.tokenAmount = parseFloat(amt1.replace(/,/g, '')) || primaryTokenAmount;
-        } else {
-            // Token-to-token swap (not SOL-based), skip
-            return null;
+    }
+    if (tx.tokenTransfers) {
+        for (const t of tx.tokenTransfers) {
+            if (t.fromUserAccount) involvedAccounts.add(t.fromUserAccount);
+            if (t.toUserAccount) involvedAccounts.add(t.toUserAccount);
         }
+    }
+    return [...involvedAccounts].filter(account => WALLET_KOL_MAP[account]);
+}
 
-        result.tokenMint = primaryMint;
-        if (!result.tokenMint && tokenMetadataMap) {
-            for (const [mint, meta] of Object.entries(tokenMetadataMap)) {
-                if (meta && meta.symbol === result.tokenSymbol) {
-                    result.tokenMint = mint;
-                    break;
-                }
-            }
-        }
-        return result;
-    }
-
-    // ============================================================
-    // STRATEGY 2: Analyze raw nativeTransfers + tokenTransfers
-    // Catches pump.fun, new DEXes, multi-hop swaps, and anything
-    // events.swap misses. Uses NET token positions per mint so
-    // intermediary tokens (USDC routed through) cancel out.
-    // ============================================================
-    if (tx.nativeTransfers && tx.tokenTransfers && tx.tokenTransfers.length > 0) {
-        let solOut = 0;
-        let solIn = 0;
-        for (const nt of tx.nativeTransfers) {
-            if (nt.fromUserAccount === walletAddress) solOut += (nt.amount || 0);
-            if (nt.toUserAccount === walletAddress) solIn += (nt.amount || 0);
-        }
+/**
+ * Parse a scanned transaction for the scanned wallet and for every other
+ * tracked wallet it touches, saving each wallet's trades (one row, or two
+ * legs for a token-for-token swap). Returns rows saved.
+ */
+function saveScannedTransaction(tx, wallet, kolName, kolAvatar, tokenMeta, source) {
+    const participants = [{ wallet, kolName, kolAvatar }];
+    for (const account of trackedWalletsInTx(tx)) {
+        if (account === wallet) continue;
+        const kol = WALLET_KOL_MAP[account];
+        participants.push({ wallet: account, kolName: kol.Name, kolAvatar: kol.Avatar });
+        saveRawTransactions(account, [tx], source);
+    }
 
-        // Calculate net token position per mint for this wallet
-        const tokenNets = {};
-        for (const tt of tx.tokenTransfers) {
-            if (!tt.mint || tt.mint === SOL_MINT) continue;
-            const amt = Math.abs(tt.tokenAmount || 0);
-            if (amt === 0) continue;
-            if (!tokenNets[tt.mint]) tokenNets[tt.mint] = { in: 0, out: 0 };
-            if (tt.toUserAccount === walletAddress) tokenNets[tt.mint].in += amt;
-            if (tt.fromUserAccount === walletAddress) tokenNets[tt.mint].out += amt;
+    let saved = 0;
+    for (const p of participants) {
+        for (const trade of parseTransaction(tx, p.kolName, p.kolAvatar, p.wallet, tokenMeta)) {
+            if (!isValidTrade(trade) || !trade.signature) continue;
+            try {
+                if (saveTrade(p.wallet, trade)) saved++;
+            } catch (e) { /* duplicate */ }
         }
+    }
+    return saved;
+}
 
-        // Find primary token: largest absolute NET change, skip stablecoins
-        let primaryToken = null;
-        let maxNetAbs = 0;
-        for (const [mint, nets] of Object.entries(tokenNets)) {
-            if (SKIP_MINTS.has(mint)) continue;
-            const sym = resolveSymbol(mint);
-            if (sym && SKIP_TOKENS.has(sym)) continue;
-            const netIn = nets.in - nets.out;
-            const absNet = Math.abs(netIn);
-            if (absNet > 0 && absNet > maxNetAbs) {
-                maxNetAbs = absNet;
-                primaryToken = { mint, netIn, amount: Math.max(nets.in, nets.out) };
+/**
+ * Resolve token metadata for a batch of scanned transactions (Helius, then
+ * DexScreener for what Helius missed) and save trades for every tracked
+ * participant. Returns rows saved.
+ */
+async function ingestScannedTransactions(wallet, kolName, kolAvatar, txs, source) {
+    saveRawTransactions(wallet, txs, source);
+
+    const mints = new Set();
+    for (const tx of txs) {
+        if (tx.tokenTransfers) {
+            for (const t of tx.tokenTransfers) {
+                if (t.mint) mints.add(t.mint);
             }
         }
-
-        const netSolSpent = (solOut - solIn) / 1e9;
-        const netSolGained = (solIn - solOut) / 1e9;
-
-        if (netSolSpent > 0.001 && primaryToken && primaryToken.netIn > 0) {
-            result.action = 'Buy';
-            result.amountSol = parseFloat(netSolSpent.toFixed(4));
-            result.tokenMint = primaryToken.mint;
-            result.tokenAmount = primaryToken.amount;
-        } else if (netSolGained > 0.001 && primaryToken && primaryToken.netIn < 0) {
-            result.action = 'Sell';
-            result.amountSol = parseFloat(netSolGained.toFixed(4));
-            result.tokenMint = primaryToken.mint;
-            result.tokenAmount = primaryToken.amount;
-        }
-
-        if (result.action && result.amountSol > 0) {
-            result.tokenSymbol = resolveSymbol(result.tokenMint) || symbolFromDescription();
-            if (result.tokenSymbol) return result;
+    }
+    const tokenMeta = await batchGetTokenMetadata([...mints], 'backfill');
+
+    // DexScreener fallback: resolve symbols Helius missed (pump.fun, new tokens)
+    const unresolvedMints = [...mints].filter(m =>
+        m !== 'So11111111111111111111111111111111111111112' &&
+        (!tokenMeta[m] || !tokenMeta[m].symbol)
+    );
+    if (unresolvedMints.length > 0) {
+        const dexData = await fetchDexScreenerData(unresolvedMints);
+        for (const [mint, data] of Object.entries(dexData)) {
+            if (data.symbol) {
+                tokenMeta[mint] = { name: data.name, symbol: data.symbol, image: data.image };
+            }
         }
     }
 
-    return null;
+    let saved = 0;
+    for (const tx of txs) {
+        saved += saveScannedTransaction(tx, wallet, kolName, kolAvatar, tokenMeta, source);
+    }
+    return saved;
 }
 
-// Tokens to skip -- these are not memecoins
-const SKIP_TOKENS = new Set([
-    'SOL', 'WSOL', 'USDC', 'USDT', 'USDS', 'USD1', 'EURC', 'DAI', 'FRAX', 'TUSD', 'BUSD', 'USDH', 'UXD',
-    'mSOL', 'jitoSOL', 'bSOL', 'stSOL', 'JitoSOL', 'INF', 'hSOL', 'vSOL', 'jupSOL', 'LST',
-    'WETH', 'WBTC', 'RAY', 'JLP', 'JTO', 'PYTH', 'JUP', 'ORCA', 'MNDE', 'STEP',
-    'BONK',
-]);
-
-// Known stablecoin / infrastructure mints to skip
-const SKIP_MINTS = new Set([
-    'So11111111111111111111111111111111111111112',  // Wrapped SOL
-    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
-    'BJUH9GJLaMSLV1E7B3SQLCy9eCfyr6zsrm3WYMFQmpuN', // USD1
-]);
+/**
+ * Keep the raw Helius payloads for a wallet so trades can be re-derived
+ * later (POST /api/reparse) without paying for the fetch again.
+ * Only transactions that move tokens are kept; nothing else can parse
+ * into a trade.
+ */
+const saveRawTransactions = db.transaction((wallet, txs, source) => {
+    for (const tx of txs) {
+        if (!tx?.signature) continue;
+        if (!(tx.tokenTransfers?.length > 0) && !tx.events?.swap) continue;
+        insertRawTransaction.run(tx.signature, wallet, tx.timestamp || 0, source, JSON.stringify(tx));
+        for (const receipt of receiptRows(wallet, tx)) insertTokenReceipt.run(receipt);
+    }
+});
 
-function isValidTrade(trade) {
-    if (!trade) return false;
-    if (!trade.action || (trade.action !== 'Buy' && trade.action !== 'Sell')) return false;
-    const sym = trade.tokenSymbol;
-    if (!sym || sym.length > 15) return false;
-    if (/^[a-f0-9]{6,}$/i.test(sym)) return false;
-    if (trade.amountSol <= 0) return false;
-    // Skip non-memecoin tokens
-    if (SKIP_TOKENS.has(sym)) return false;
-    if (trade.tokenMint && SKIP_MINTS.has(trade.tokenMint)) return false;
-    return true;
+/**
+ * token_receipts rows for tokens the wallet was sent without paying
+ * (scam score's free receipts). Transfers from another wallet of the
+ * same KOL don't count.
+ */
+function receiptRows(wallet, tx) {
+    const kol = WALLET_KOL_MAP[wallet];
+    if (!kol || !tx.signature) return [];
+    return tokenReceipts(tx, wallet)
+        .filter(receipt => WALLET_KOL_MAP[receipt.fromWallet]?.Name !== kol.Name)
+        .map(receipt => ({
+            signature: tx.signature,
+            wallet,
+            kolName: kol.Name,
+            mint: receipt.mint,
+            amount: receipt.amount,
+            fromWallet: receipt.fromWallet,
+            receivedAt: tx.timestamp || 0,
+        }));
 }
 
 // ============================
-// Background Scanner (catchup/backfill only)
-// Webhooks handle real-time. This runs every 6 hours
-// to catch anything webhooks might have missed.
+// FIFO Positions
+// position_lots / closed_positions are derived from kol_trades by
+// positions.js. A new trade re-matches its (owner, token); a full
+// rebuild runs at startup and after bulk changes (reparse, reset,
+// SOL/USD backfill). Owner is the wallet, or the KOL name when
+// POSITION_POOL_SIDE_WALLETS=true so a buy on a side wallet can be
+// closed by a sell on the main one.
 // ============================
 
-let scannerPhase = 'idle';
-let scanProgress = { done: 0, total: 0 };
-
-async function scanSingleWallet(wallet, kolName, kolAvatar, txLimit = 10) {
-    if (!wallet || wallet.length < 10) return 0;
+const POSITION_POOL_SIDE_WALLETS = process.env.POSITION_POOL_SIDE_WALLETS === 'true';
 
-    try {
-        const txs = await fetchEnhancedTransactions(wallet, txLimit);
-        if (!txs || txs.length === 0) return 0;
+function positionOwner(trade) {
+    return POSITION_POOL_SIDE_WALLETS ? trade.kol_name : trade.wallet;
+}
 
-        const mints = new Set();
-        for (const tx of txs) {
-            if (tx.tokenTransfers) {
-                for (const t of tx.tokenTransfers) {
-                    if (t.mint) mints.add(t.mint);
-                }
-            }
-        }
-        const tokenMeta = await batchGetTokenMetadata([...mints]);
-        // DexScreener fallback for unresolved tokens
-        const unresolvedMints = [...mints].filter(m =>
-            m !== 'So11111111111111111111111111111111111111112' &&
-            (!tokenMeta[m] || !tokenMeta[m].symbol)
+function writePositions(owner, mint, trades) {
+    deletePositionLots.run(owner, mint);
+    deleteClosedPositions.run(owner, mint);
+    if (trades.length === 0) return;
+
+    const kolName = trades[0].kol_name;
+    const symbol = trades.reduce((latest, t) => (t.tx_timestamp >= latest.tx_timestamp ? t : latest)).token_symbol || '';
+    const { lots, closed } = matchPositions(trades, { fallbackSolPrice: SOL_PRICE_USD });
+    for (const lot of lots) {
+        insertPositionLot.run(
+            owner, kolName, lot.wallet, mint, symbol, lot.buySignature, lot.openedAt,
+            lot.qtyInitial, lot.qty, lot.costSol, lot.costUsd
+        );
+    }
+    for (const c of closed) {
+        insertClosedPosition.run(
+            owner, kolName, c.wallet, mint, symbol, c.buySignature, c.sellSignature, c.openedAt, c.closedAt,
+            c.qty, c.costSol, c.costUsd, c.proceedsSol, c.proceedsUsd, c.pnlSol, c.pnlUsd, c.unmatched ? 1 : 0
         );
-        if (unresolvedMints.length > 0) {
-            const dexData = await fetchDexScreenerData(unresolvedMints);
-            for (const [mint, data] of Object.entries(dexData)) {
-                if (data.symbol) tokenMeta[mint] = { name: data.name, symbol: data.symbol, image: data.image };
-            }
-        }
-
-        let saved = 0;
-        for (const tx of txs) {
-            const trade = parseTransaction(tx, kolName, kolAvatar, wallet, tokenMeta);
-
-            if (isValidTrade(trade) && trade.signature) {
-                try {
-                    insertTrade.run(
-                        wallet,
-                        trade.kolName,
-                        trade.kolAvatar || '',
-                        trade.action,
-                        trade.tokenSymbol,
-                        trade.amountSol,
-                        trade.signature,
-                        trade.timestamp || 0,
-                        trade.tokenMint || '',
-                        trade.tokenAmount || 0
-                    );
-                    saved++;
-                } catch (e) { /* duplicate */ }
-            }
-        }
-        return saved;
-    } catch (err) {
-        return 0;
     }
 }
 
-async function scanKolWallet(kol, txLimit = 10) {
-    let total = 0;
-    // Scan main wallet
-    total += await scanSingleWallet(kol['Wallet Address'], kol.Name, kol.Avatar, txLimit);
-    // Scan side wallets too (with smaller limit to save credits)
-    if (Array.isArray(kol['Side Wallets'])) {
-        const sideLimit = Math.max(Math.floor(txLimit / 4), 5);
-        for (const sw of kol['Side Wallets']) {
-            if (sw && sw.length > 10 && sw !== kol['Wallet Address']) {
-                total += await scanSingleWallet(sw, kol.Name, kol.Avatar, sideLimit);
-            }
-        }
-    }
-    return total;
+function utcDayStart(timestamp) {
+    return Math.floor(timestamp / 86400) * 86400;
 }
 
-async function runBackgroundScan(isBackfill = false) {
-    if (scannerPhase === 'scanning') return;
-    scannerPhase = 'scanning';
+/**
+ * Re-run FIFO matching for the owner of `wallet` in one token, then
+ * refresh the realized rollup for every day that gained or lost
+ * closed positions.
+ */
+const refreshPosition = db.transaction((wallet, kolName, mint) => {
+    const owner = positionOwner({ wallet, kol_name: kolName });
+    const days = new Map();
+    const collectDays = () => {
+        for (const row of getClosedPositionDays.all(owner, mint)) days.set(`${row.kol_name}:${row.day}`, row);
+    };
+    collectDays();
+    const trades = POSITION_POOL_SIDE_WALLETS
+        ? getKolMintTrades.all(kolName, mint)
+        : getWalletMintTrades.all(wallet, mint);
+    writePositions(owner, mint, trades);
+    collectDays();
+    for (const { kol_name, day } of days.values()) refreshDailyRealizedStats.run({ kol: kol_name, day });
+});
 
-    const validKols = COL_DATA.filter(k => k['Wallet Address'] && k['Wallet Address'].length > 10);
-    const shuffled = [...validKols].sort(() => Math.random() - 0.5);
-    const txLimit = isBackfill ? 100 : 10;
+/**
+ * Rebuild every lot and closed position from kol_trades, then the
+ * daily rollup from both.
+ */
+const rebuildAllPositions = db.transaction(() => {
+    db.exec('DELETE FROM position_lots');
+    db.exec('DELETE FROM closed_positions');
+
+    let groups = 0;
+    let currentMint = null;
+    let byOwner = new Map();
+    const flush = () => {
+        for (const [owner, trades] of byOwner) writePositions(owner, currentMint, trades);
+        groups += byOwner.size;
+        byOwner = new Map();
+    };
+    // Rows arrive ordered by mint; group per owner one token at a time
+    for (const trade of getAllPositionTrades.all()) {
+        if (trade.token_mint !== currentMint) {
+            flush();
+            currentMint = trade.token_mint;
+        }
+        const owner = positionOwner(trade);
+        if (!byOwner.has(owner)) byOwner.set(owner, []);
+        byOwner.get(owner).push(trade);
+    }
+    flush();
 
-    scanProgress = { done: 0, total: shuffled.length };
-    console.log(`\n🔍 ${isBackfill ? 'INITIAL BACKFILL' : 'Background scan'}: ${shuffled.length} KOL wallets (${txLimit} txns each)...\n`);
+    clearDailyStats.run();
+    rebuildDailyTradeStats.run();
+    rebuildDailyRealizedStats.run();
+    return groups;
+});
 
-    let totalSaved = 0;
+/**
+ * Trade counts, volume and realized PnL per KOL for [from, to] (unix
+ * seconds, inclusive). Whole UTC days are summed from kol_daily_stats;
+ * only the partial days at either end touch kol_trades/closed_positions.
+ * kolName = '' for every KOL.
+ */
+function kolRangeTotals(from, to, kolName = '') {
+    const totals = {};
+    const add = (row) => {
+        const t = (totals[row.kol_name] ??= {
+            trade_count: 0, buy_count: 0, sell_count: 0, volume_sol: 0,
+            closed_count: 0, cost_sol: 0, realized_sol: 0, realized_usd: 0, unmatched_sol: 0,
+        });
+        for (const key of Object.keys(t)) t[key] += row[key] || 0;
+    };
+    const addRaw = (start, end) => {
+        for (const row of getLeaderboardStats.all(start, end, kolName, kolName)) add(row);
+        for (const row of getClosedPositionStats.all(start, end, kolName, kolName)) add(row);
+    };
 
-    for (let i = 0; i < shuffled.length; i += 5) {
-        const group = shuffled.slice(i, i + 5);
-        const results = await Promise.all(group.map(kol => scanKolWallet(kol, txLimit)));
-        const groupSaved = results.reduce((a, b) => a + b, 0);
-        totalSaved += groupSaved;
-        scanProgress.done = Math.min(i + 5, shuffled.length);
+    const firstDay = Math.ceil(from / 86400) * 86400;
+    const endDay = utcDayStart(to + 1); // days before this are fully inside
+    if (firstDay >= endDay) {
+        addRaw(from, to);
+        return totals;
+    }
+    if (from < firstDay) addRaw(from, firstDay - 1);
+    for (const row of getDailyStatsTotals.all(firstDay, endDay, kolName, kolName)) add(row);
+    if (endDay <= to) addRaw(endDay, to);
+    return totals;
+}
 
-        if (groupSaved > 0) {
-            console.log(`   [${scanProgress.done}/${shuffled.length}] ${group.map(k => k.Name).join(', ')} +${groupSaved}`);
-        }
+/**
+ * Per-KOL leaderboard figures for [from, to]: trade counts and volume,
+ * realized PnL from positions closed in the range, and unrealized PnL
+ * (at the cached token price, as of now) on lots opened in the range
+ * that are still held. Open lots on unpriced tokens count toward cost
+ * basis but not PnL.
+ */
+function kolRangeStats(from, to = Math.floor(Date.now() / 1000), kolName = '') {
+    const result = {};
+    const entry = (name) => (result[name] ??= {
+        tradeCount: 0, buyCount: 0, sellCount: 0, volumeSol: 0,
+        realizedSol: 0, realizedUsd: 0, unrealizedSol: 0, unrealizedUsd: 0,
+        costBasisSol: 0, costBasisUsd: 0, closedCostSol: 0, openLots: 0, unpricedLots: 0,
+        closedCount: 0, unmatchedSol: 0,
+    });
+    for (const [name, t] of Object.entries(kolRangeTotals(from, to, kolName))) {
+        const e = entry(name);
+        e.tradeCount = t.trade_count;
+        e.buyCount = t.buy_count;
+        e.sellCount = t.sell_count;
+        e.volumeSol = t.volume_sol;
+        e.closedCostSol = t.cost_sol;
+        e.realizedSol = t.realized_sol;
+        e.realizedUsd = t.realized_usd;
+        e.closedCount = t.closed_count;
+        e.unmatchedSol = t.unmatched_sol;
+    }
+    for (const row of getOpenLotStats.all(from, to, kolName, kolName)) {
+        const e = entry(row.kol_name);
+        const valueSol = SOL_PRICE_USD > 0 ? row.value_usd / SOL_PRICE_USD : 0;
+        e.unrealizedSol = valueSol - row.priced_cost_sol;
+        e.unrealizedUsd = row.value_usd - row.priced_cost_usd;
+        e.costBasisSol = row.cost_sol || 0;
+        e.costBasisUsd = row.cost_usd || 0;
+        e.openLots = row.lot_count;
+        e.unpricedLots = row.unpriced_lots;
+    }
+    return result;
+}
 
-        await new Promise(r => setTimeout(r, 500));
+/**
+ * Win rate, average win/loss, profit factor, max drawdown and median
+ * hold time per KOL over buy lots fully closed in [from, to].
+ */
+function positionStatsByKol(from, to = Math.floor(Date.now() / 1000), kolName = '') {
+    const byKol = {};
+    for (const row of getClosedLotPositions.all(kolName, kolName, from, to)) {
+        (byKol[row.kol_name] ??= []).push({
+            costSol: row.cost_sol,
+            proceedsSol: row.proceeds_sol,
+            pnlSol: row.pnl_sol,
+            openedAt: row.opened_at,
+            closedAt: row.closed_at,
+        });
     }
+    const result = {};
+    for (const [name, positions] of Object.entries(byKol)) result[name] = positionStats(positions);
+    return result;
+}
 
-    const stats = getTradeCount.get();
-    const kolCount = getScannedKolCount.get();
-    console.log(`\n✅ Background scan done: +${totalSaved} trades | DB: ${stats.count} trades from ${kolCount.count} KOLs\n`);
+// Leaderboard/profile shape of positionStats() output
+function formatPositionStats(stats) {
+    return {
+        closedPositions: stats?.closedPositions || 0,
+        winRate: parseFloat((stats?.winRate || 0).toFixed(1)),
+        avgWin: parseFloat((stats?.avgWin || 0).toFixed(4)),
+        avgLoss: parseFloat((stats?.avgLoss || 0).toFixed(4)),
+        profitFactor: stats?.profitFactor != null ? parseFloat(stats.profitFactor.toFixed(2)) : null,
+        maxDrawdown: parseFloat((stats?.maxDrawdown || 0).toFixed(4)),
+        medianHoldSec: stats?.medianHoldSec || 0,
+    };
+}
 
-    scannerPhase = 'done';
-    refreshTokenMarketData();
+/**
+ * One leaderboard row for a KOL from kolRangeStats()/positionStatsByKol()
+ * output (either may be missing when the KOL was inactive).
+ */
+function leaderboardEntry(kol, stats = {}, tradeStats = null) {
+    const realized = stats.realizedSol || 0;
+    const unrealized = stats.unrealizedSol || 0;
+    const realizedUsd = stats.realizedUsd || 0;
+    const unrealizedUsd = stats.unrealizedUsd || 0;
+    // Return on SOL put into the positions behind the PnL
+    const invested = (stats.closedCostSol || 0) + (stats.costBasisSol || 0);
+    return {
+        wallet: kol['Wallet Address'],
+        name: kol.Name,
+        avatar: kol.Avatar || '/logo.png',
+        twitter: kol['Twitter Handle'] || '',
+        tradeCount: stats.tradeCount || 0,
+        buyCount: stats.buyCount || 0,
+        sellCount: stats.sellCount || 0,
+        pnl: parseFloat((realized + unrealized).toFixed(2)),
+        pnlUsd: parseFloat((realizedUsd + unrealizedUsd).toFixed(1)),
+        realizedPnl: parseFloat(realized.toFixed(2)),
+        unrealizedPnl: parseFloat(unrealized.toFixed(2)),
+        realizedPnlUsd: parseFloat(realizedUsd.toFixed(1)),
+        unrealizedPnlUsd: parseFloat(unrealizedUsd.toFixed(1)),
+        costBasis: parseFloat((stats.costBasisSol || 0).toFixed(2)),
+        costBasisUsd: parseFloat((stats.costBasisUsd || 0).toFixed(1)),
+        openPositions: stats.openLots || 0,
+        roi: invested > 0 ? parseFloat(((realized + unrealized) / invested * 100).toFixed(1)) : 0,
+        volume: parseFloat((stats.volumeSol || 0).toFixed(2)),
+        // Not period-bound: the latest scheduled score over SCAM_SCORE_DAYS
+        scamScore: scamScores.get(kol.Name)?.score ?? null,
+        ...formatPositionStats(tradeStats),
+    };
 }
 
 // ============================
-// Deep Paginated Backfill
-// Fetches ALL trades going back N days for every KOL.
-// Credit cost: ~100 per page × pages per wallet × wallets.
-// 7-day backfill ≈ 60-100k credits. 30-day ≈ 300-500k credits.
+// Leaderboard Ranges
+// period=daily|weekly|monthly|all as a rolling window ending now, or
+// aligned to calendar boundaries (midnight, Monday, the 1st) in a
+// timezone with align=calendar. Explicit from/to override the period.
 // ============================
 
-async function scanSingleWalletDeep(wallet, kolName, kolAvatar, sinceTimestamp, maxPages = 30) {
-    if (!wallet || wallet.length < 10) return { saved: 0, pages: 0 };
+const LEADERBOARD_TIMEZONE = process.env.LEADERBOARD_TIMEZONE || 'UTC';
+const LEADERBOARD_PERIODS = { daily: 86400, weekly: 7 * 86400, monthly: 30 * 86400, all: null };
+const LEADERBOARD_SORTS = {
+    pnl: k => k.pnl,
+    roi: k => k.roi,
+    volume: k => k.volume,
+    winrate: k => k.winRate,
+    trades: k => k.tradeCount,
+    unrealized: k => k.unrealizedPnl,
+    scam: k => k.scamScore ?? -1,
+};
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Wall-clock fields of a UTC instant in a timezone
+function zonedParts(ms, timeZone) {
+    const parts = {};
+    const fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', weekday: 'short',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    for (const p of fmt.formatToParts(new Date(ms))) parts[p.type] = p.value;
+    return {
+        year: +parts.year, month: +parts.month, day: +parts.day,
+        hour: +parts.hour, minute: +parts.minute, second: +parts.second, weekday: parts.weekday,
+    };
+}
+
+/**
+ * UTC instant (ms) of local midnight on a calendar date in a timezone.
+ * The offset is re-checked at the result so DST changes land right.
+ */
+function zonedMidnight(year, month, day, timeZone) {
+    const wall = Date.UTC(year, month - 1, day);
+    const offsetAt = (ms) => {
+        const p = zonedParts(ms, timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+    };
+    const guess = wall - offsetAt(wall);
+    return wall - offsetAt(guess);
+}
+
+function calendarPeriodStart(period, timeZone, nowMs = Date.now()) {
+    const today = zonedParts(nowMs, timeZone);
+    if (period === 'monthly') return zonedMidnight(today.year, today.month, 1, timeZone);
+    if (period === 'weekly') {
+        // Date.UTC normalizes day underflow into the previous month/year
+        const monday = new Date(Date.UTC(today.year, today.month - 1, today.day - WEEKDAYS.indexOf(today.weekday)));
+        return zonedMidnight(monday.getUTCFullYear(), monday.getUTCMonth() + 1, monday.getUTCDate(), timeZone);
+    }
+    return zonedMidnight(today.year, today.month, today.day, timeZone);
+}
+
+// Unix seconds, or anything Date.parse understands
+function parseTimeParam(value) {
+    if (value === undefined || value === '') return null;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? NaN : Math.floor(ms / 1000);
+}
 
+/**
+ * Resolve leaderboard query params to { from, to, period, align, timezone }
+ * (unix seconds, inclusive), or { error } for a bad request.
+ */
+function resolveLeaderboardRange(query) {
+    const now = Math.floor(Date.now() / 1000);
+    const period = query.period === 'alltime' ? 'all' : (query.period || 'daily');
+    const align = query.align === 'calendar' ? 'calendar' : 'rolling';
+    const timezone = query.tz || LEADERBOARD_TIMEZONE;
+    if (!Object.hasOwn(LEADERBOARD_PERIODS, period)) return { error: `Unknown period "${period}"` };
     try {
-        const txs = await fetchPaginatedTransactions(wallet, sinceTimestamp, maxPages);
-        if (!txs || txs.length === 0) return { saved: 0, pages: 0 };
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+        return { error: `Unknown timezone "${timezone}"` };
+    }
 
-        const pages = Math.ceil(txs.length / 100);
+    const fromParam = parseTimeParam(query.from);
+    const toParam = parseTimeParam(query.to);
+    if (Number.isNaN(fromParam) || Number.isNaN(toParam)) return { error: 'from/to must be unix seconds or ISO dates' };
 
-        const mints = new Set();
-        for (const tx of txs) {
-            if (tx.tokenTransfers) {
-                for (const t of tx.tokenTransfers) {
-                    if (t.mint) mints.add(t.mint);
-                }
-            }
-        }
-        const tokenMeta = await batchGetTokenMetadata([...mints]);
+    let from;
+    if (fromParam !== null) from = fromParam;
+    else if (period === 'all') from = 0;
+    else if (align === 'calendar') from = Math.floor(calendarPeriodStart(period, timezone) / 1000);
+    else from = now - LEADERBOARD_PERIODS[period];
+    const to = toParam ?? now;
+    if (from > to) return { error: 'from must be before to' };
 
-        // DexScreener fallback: resolve symbols Helius missed (pump.fun, new tokens)
-        const unresolvedMints = [...mints].filter(m =>
-            m !== 'So11111111111111111111111111111111111111112' &&
-            (!tokenMeta[m] || !tokenMeta[m].symbol)
-        );
-        if (unresolvedMints.length > 0) {
-            const dexData = await fetchDexScreenerData(unresolvedMints);
-            for (const [mint, data] of Object.entries(dexData)) {
-                if (data.symbol) {
-                    tokenMeta[mint] = { name: data.name, symbol: data.symbol, image: data.image };
-                }
-            }
+    return { from, to, period: fromParam !== null || toParam !== null ? 'custom' : period, align, timezone };
+}
+
+// ============================
+// KOL Equity Curve
+// Cumulative realized PnL per bucket (daily from kol_daily_stats,
+// hourly from the raw tables) plus mark-to-market on what was held at
+// each bucket's end, priced from token_market_snapshots. Lot history is
+// rebuilt from the FIFO tables: a lot's original size is everything
+// closed from it plus what is still open.
+// ============================
+
+const EQUITY_INTERVALS = { hour: 3600, day: 86400 };
+const EQUITY_MAX_HOURLY_DAYS = 14;
+// Snapshots older than this don't price a holding (it counts at cost)
+const EQUITY_PRICE_MAX_AGE_SEC = 2 * 86400;
+// Newest copied trades returned by /api/backtest
+const BACKTEST_MAX_LOG = 500;
+
+function kolLotHistory(kolName) {
+    const lots = new Map();
+    const lotFor = (row) => {
+        const key = `${row.owner}:${row.token_mint}:${row.buy_signature}`;
+        if (!lots.has(key)) {
+            lots.set(key, { mint: row.token_mint, openedAt: row.opened_at, qty: 0, costSol: 0, costUsd: 0, closes: [] });
         }
+        return lots.get(key);
+    };
+    for (const row of getKolClosedLegs.all(kolName)) {
+        const lot = lotFor(row);
+        lot.qty += row.qty;
+        lot.costSol += row.cost_sol;
+        lot.costUsd += row.cost_usd;
+        lot.closes.push({ at: row.closed_at, qty: row.qty, costSol: row.cost_sol, costUsd: row.cost_usd });
+    }
+    for (const row of getKolOpenLotRows.all(kolName)) {
+        const lot = lotFor(row);
+        lot.qty += row.qty_remaining;
+        lot.costSol += row.cost_sol;
+        lot.costUsd += row.cost_usd;
+    }
+    return [...lots.values()];
+}
 
-        let saved = 0;
-        for (const tx of txs) {
-            const trade = parseTransaction(tx, kolName, kolAvatar, wallet, tokenMeta);
-            if (isValidTrade(trade) && trade.signature) {
-                try {
-                    insertTrade.run(
-                        wallet, trade.kolName, trade.kolAvatar || '',
-                        trade.action, trade.tokenSymbol, trade.amountSol,
-                        trade.signature, trade.timestamp || 0,
-                        trade.tokenMint || '', trade.tokenAmount || 0
-                    );
-                    saved++;
-                } catch (e) { /* duplicate */ }
+// Open quantity and remaining cost per mint at time t
+function holdingsAt(lots, t) {
+    const holdings = new Map();
+    for (const lot of lots) {
+        if (lot.openedAt > t) continue;
+        let { qty, costSol, costUsd } = lot;
+        for (const c of lot.closes) {
+            if (c.at > t) continue;
+            qty -= c.qty;
+            costSol -= c.costSol;
+            costUsd -= c.costUsd;
+        }
+        if (qty <= lot.qty * 1e-9) continue;
+        const h = holdings.get(lot.mint) || { qty: 0, costSol: 0, costUsd: 0 };
+        h.qty += qty;
+        h.costSol += costSol;
+        h.costUsd += costUsd;
+        holdings.set(lot.mint, h);
+    }
+    return holdings;
+}
+
+/**
+ * Token price lookup over snapshots loaded once per mint.
+ */
+function snapshotPriceLookup(since) {
+    const series = new Map();
+    return (mint, t) => {
+        if (!series.has(mint)) {
+            series.set(mint, getTokenSnapshots.all(mint, since - EQUITY_PRICE_MAX_AGE_SEC).filter(s => s.price_usd > 0));
+        }
+        const points = series.get(mint);
+        // Latest snapshot at or before t
+        let lo = 0, hi = points.length - 1, found = null;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (points[mid].timestamp <= t) { found = points[mid]; lo = mid + 1; } else hi = mid - 1;
+        }
+        return found && t - found.timestamp <= EQUITY_PRICE_MAX_AGE_SEC ? found.price_usd : 0;
+    };
+}
+
+// Unrealized PnL (SOL and USD) of the holdings open at t; unpriced
+// tokens count at cost
+function unrealizedAt(lots, t, priceOf) {
+    const solUsd = getSolPriceBefore.get(t)?.price_usd || SOL_PRICE_USD;
+    let sol = 0, usd = 0;
+    for (const [mint, h] of holdingsAt(lots, t)) {
+        const price = priceOf(mint, t);
+        if (!price) continue;
+        const valueUsd = h.qty * price;
+        usd += valueUsd - h.costUsd;
+        sol += (solUsd > 0 ? valueUsd / solUsd : 0) - h.costSol;
+    }
+    return { sol, usd };
+}
+
+/**
+ * Equity curve points for a KOL over [from, to]. PnL is cumulative from
+ * `from`: equity = realized since then + change in unrealized since then.
+ */
+function buildEquityCurve(kolName, from, to, interval) {
+    const size = EQUITY_INTERVALS[interval];
+    const start = Math.floor(from / size) * size;
+    const end = to + 1;
+
+    const buckets = new Map();
+    const bucket = (t) => {
+        if (!buckets.has(t)) buckets.set(t, { trade_count: 0, buy_count: 0, sell_count: 0, volume_sol: 0, realized_sol: 0, realized_usd: 0 });
+        return buckets.get(t);
+    };
+    if (interval === 'day') {
+        for (const row of getKolDailyStatsRange.all(kolName, start, end)) Object.assign(bucket(row.bucket), row);
+    } else {
+        for (const row of getKolHourlyTrades.all(kolName, start, end)) Object.assign(bucket(row.bucket), row);
+        for (const row of getKolHourlyRealized.all(kolName, start, end)) Object.assign(bucket(row.bucket), row);
+    }
+
+    const lots = kolLotHistory(kolName);
+    const priceOf = snapshotPriceLookup(start);
+    const baseline = unrealizedAt(lots, start, priceOf);
+
+    const points = [];
+    let realizedSol = 0, realizedUsd = 0;
+    for (let t = start; t <= to; t += size) {
+        const b = buckets.get(t) || {};
+        realizedSol += b.realized_sol || 0;
+        realizedUsd += b.realized_usd || 0;
+        const unrealized = unrealizedAt(lots, Math.min(t + size - 1, to), priceOf);
+        points.push({
+            t,
+            trades: b.trade_count || 0,
+            buys: b.buy_count || 0,
+            sells: b.sell_count || 0,
+            volume: parseFloat((b.volume_sol || 0).toFixed(4)),
+            realizedPnl: parseFloat(realizedSol.toFixed(4)),
+            realizedPnlUsd: parseFloat(realizedUsd.toFixed(2)),
+            unrealizedPnl: parseFloat(unrealized.sol.toFixed(4)),
+            unrealizedPnlUsd: parseFloat(unrealized.usd.toFixed(2)),
+            equity: parseFloat((realizedSol + unrealized.sol - baseline.sol).toFixed(4)),
+            equityUsd: parseFloat((realizedUsd + unrealized.usd - baseline.usd).toFixed(2)),
+        });
+    }
+    return points;
+}
+
+// ============================
+// Incremental Detectors
+// Clusters, side-wallet divergence and exit liquidity are derived from
+// kol_trades one key at a time (a mint, or a KOL and mint). Each detector
+// remembers the highest trade id it has seen and a run re-derives only
+// the keys with newer trades, in one transaction. Deleting or re-inserting
+// trades must reset them: the next run then covers every key, including
+// keys whose trades are gone and that only have stale output left.
+// ============================
+
+const incrementalDetectors = [];
+
+/**
+ * `collectKeys(afterId)` lists the keys with trades after that id (all of
+ * them for 0), `write(key)` replaces a key's output and returns how many
+ * rows it wrote, and the optional `finish()` runs once per pass and adds
+ * its fields to the result. `run()` returns { cursor, keys, written, ... },
+ * or null if the pass failed (the cursor stays, so it's retried).
+ */
+function makeIncrementalDetector(name, { collectKeys, write, finish = () => ({}) }) {
+    let tradeCursor = 0;
+    const detectSince = db.transaction((afterId) => {
+        const cursor = getMaxTradeId.get().id;
+        const keys = collectKeys(afterId);
+        let written = 0;
+        for (const key of keys) written += write(key);
+        return { cursor, keys: keys.length, written, ...finish() };
+    });
+    const detector = {
+        run() {
+            try {
+                const result = detectSince(tradeCursor);
+                tradeCursor = result.cursor;
+                return result;
+            } catch (err) {
+                console.error(`${name} detection error:`, err.message);
+                return null;
+            }
+        },
+        reset() {
+            tradeCursor = 0;
+        },
+    };
+    incrementalDetectors.push(detector);
+    return detector;
+}
+
+function resetIncrementalDetectors() {
+    for (const detector of incrementalDetectors) detector.reset();
+}
+
+// ============================
+// Coordinated Buying Clusters
+// cluster_events are derived from kol_trades by clusters.js: distinct
+// KOLs buying the same token within CLUSTER_WINDOW_SEC of each other.
+// Re-detected per mint with new buys, then every KOL pair is re-scored
+// from the stored events.
+// ============================
+
+const CLUSTER_WINDOW_SEC = parseInt(process.env.CLUSTER_WINDOW_SEC) || 300;
+const CLUSTER_MIN_KOLS = Math.max(parseInt(process.env.CLUSTER_MIN_KOLS) || 3, 2);
+const CLUSTER_PAIR_HALF_LIFE_DAYS = parseFloat(process.env.CLUSTER_PAIR_HALF_LIFE_DAYS) || 30;
+
+function writeMintClusters(mint) {
+    const buys = getMintBuys.all(mint);
+    const events = detectClusters(buys, { windowSec: CLUSTER_WINDOW_SEC, minKols: CLUSTER_MIN_KOLS });
+    const symbol = buys.length > 0 ? buys[buys.length - 1].token_symbol || '' : '';
+
+    const kept = new Set();
+    for (const event of events) {
+        const { id } = upsertClusterEvent.get({ mint, symbol, ...event });
+        kept.add(id);
+        deleteClusterMembers.run(id);
+        for (const member of event.members) insertClusterMember.run({ eventId: id, ...member });
+    }
+    // Events that no longer form (window/threshold changed, trades deleted)
+    for (const row of getMintClusterEventIds.all(mint)) {
+        if (kept.has(row.id)) continue;
+        deleteClusterMembers.run(row.id);
+        deleteClusterEvent.run(row.id);
+    }
+    return events.length;
+}
+
+function rescoreKolPairs() {
+    const events = new Map();
+    for (const row of getAllClusterMembers.all()) {
+        if (!events.has(row.event_id)) events.set(row.event_id, { startedAt: row.started_at, members: [] });
+        events.get(row.event_id).members.push({ kolName: row.kol_name });
+    }
+    const pairs = scorePairs([...events.values()], { halfLifeSec: CLUSTER_PAIR_HALF_LIFE_DAYS * 86400 });
+    clearKolPairStats.run();
+    for (const pair of pairs) insertKolPairStat.run(pair);
+    return pairs.length;
+}
+
+const clusterDetector = makeIncrementalDetector('Cluster', {
+    collectKeys: (afterId) => getMintsWithBuysAfter.all({ afterId }).map(r => r.token_mint).filter(m => !SKIP_MINTS.has(m)),
+    write: writeMintClusters,
+    finish: () => ({ pairs: rescoreKolPairs() }),
+});
+
+function formatClusterEvent(event) {
+    const members = getClusterEventMembers.all(event.id);
+    // Pairs in this event that have co-bought before or since
+    const recurringPairs = [];
+    for (let a = 0; a < members.length; a++) {
+        for (let b = a + 1; b < members.length; b++) {
+            const [kolA, kolB] = [members[a].kol_name, members[b].kol_name].sort();
+            const pair = getKolPairStat.get(kolA, kolB);
+            if (pair && pair.co_events >= 2) {
+                recurringPairs.push({ kolA, kolB, coEvents: pair.co_events, score: parseFloat(pair.score.toFixed(3)) });
             }
         }
-        return { saved, pages };
+    }
+    recurringPairs.sort((a, b) => b.score - a.score);
+
+    return {
+        id: event.id,
+        mint: event.token_mint,
+        symbol: event.token_symbol,
+        startedAt: event.started_at,
+        endedAt: event.ended_at,
+        spanSec: event.ended_at - event.started_at,
+        kolCount: event.kol_count,
+        buyCount: event.buy_count,
+        totalSol: parseFloat(event.total_sol.toFixed(4)),
+        detectedAt: event.detected_at,
+        members: members.map(m => ({
+            kolName: m.kol_name,
+            kolAvatar: WALLET_AVATAR_MAP[m.wallet] || '/logo.png',
+            wallet: m.wallet,
+            isSideWallet: SIDE_WALLET_SET.has(m.wallet),
+            firstBuyAt: m.first_buy_at,
+            delaySec: m.first_buy_at - event.started_at,
+            signature: m.signature,
+            buyCount: m.buy_count,
+            amountSol: parseFloat(m.amount_sol.toFixed(4)),
+        })),
+        recurringPairs,
+    };
+}
+
+// ============================
+// Side-Wallet Divergence
+// Flags a KOL's main wallet buying a token while their side wallets
+// are net selling it (divergence.js). Flags go to flagged_events as
+// 'side_divergence', re-checked per (KOL, token) pair with new trades.
+// ============================
+
+const SIDE_DIVERGENCE_WINDOW_SEC = parseInt(process.env.SIDE_DIVERGENCE_WINDOW_SEC) || 3600;
+const SIDE_DIVERGENCE_MIN_SOL = parseFloat(process.env.SIDE_DIVERGENCE_MIN_SOL) || 0.5;
+
+// KOL name -> { main, sides } for KOLs that have side wallets
+const KOL_WALLET_SETS = new Map();
+for (const kol of COL_DATA) {
+    const sides = (kol['Side Wallets'] || []).filter(sw => sw && sw.length > 10 && sw !== kol['Wallet Address']);
+    if (kol['Wallet Address'] && sides.length > 0) {
+        KOL_WALLET_SETS.set(kol.Name, { main: kol['Wallet Address'], sides: new Set(sides) });
+    }
+}
+
+function writeSideDivergence(kolName, mint) {
+    const wallets = KOL_WALLET_SETS.get(kolName);
+    const trades = wallets
+        ? getKolMintTrades.all(kolName, mint).filter(t => t.wallet === wallets.main || wallets.sides.has(t.wallet))
+        : [];
+    const episodes = detectSideDivergence(trades, {
+        mainWallet: wallets?.main,
+        windowSec: SIDE_DIVERGENCE_WINDOW_SEC,
+        minSideSol: SIDE_DIVERGENCE_MIN_SOL,
+    });
+    const symbol = trades.reduce((latest, t) => (!latest || t.tx_timestamp >= latest.tx_timestamp ? t : latest), null)?.token_symbol || '';
+
+    const kept = new Set();
+    for (const episode of episodes) {
+        const { evidence, ...summary } = episode;
+        const { id } = upsertFlaggedEvent.get({
+            type: 'side_divergence',
+            kolName,
+            mint,
+            symbol,
+            occurredAt: episode.startedAt,
+            severity: episode.netSideSol,
+            summary: `Main wallet bought ${episode.mainBoughtSol.toFixed(2)} SOL of ${symbol || mint.slice(0, 6)} while ${episode.sideWallets.length} side wallet(s) sold ${episode.sideSoldSol.toFixed(2)} SOL`,
+            details: JSON.stringify({ ...summary, evidence }),
+        });
+        kept.add(id);
+    }
+    for (const row of getKolMintFlagIds.all('side_divergence', kolName, mint)) {
+        if (!kept.has(row.id)) deleteFlaggedEvent.run(row.id);
+    }
+    return episodes.length;
+}
+
+const sideDivergenceDetector = makeIncrementalDetector('Side divergence', {
+    collectKeys: (afterId) => getKolMintsTradedAfter.all({ afterId, type: 'side_divergence' })
+        .filter(p => KOL_WALLET_SETS.has(p.kol_name) && !SKIP_MINTS.has(p.token_mint)),
+    write: (pair) => writeSideDivergence(pair.kol_name, pair.token_mint),
+});
+
+function formatFlaggedEvent(row) {
+    let details = {};
+    try { details = JSON.parse(row.details); } catch { /* */ }
+    return {
+        id: row.id,
+        type: row.type,
+        kolName: row.kol_name,
+        mint: row.token_mint,
+        symbol: row.token_symbol,
+        occurredAt: row.occurred_at,
+        severity: parseFloat(row.severity.toFixed(4)),
+        summary: row.summary,
+        detectedAt: row.detected_at,
+        details,
+    };
+}
+
+// ============================
+// Exit Liquidity
+// exit_liquidity_pairs are derived from kol_trades by exit-liquidity.js:
+// a KOL's sell matched with other KOLs' buys of the token within
+// EXIT_LIQUIDITY_WINDOW_SEC, re-paired per mint with new trades.
+// ============================
+
+const EXIT_LIQUIDITY_WINDOW_SEC = parseInt(process.env.EXIT_LIQUIDITY_WINDOW_SEC) || 600;
+
+function writeExitLiquidity(mint) {
+    const trades = getMintTradesAllKols.all(mint);
+    const symbol = trades.length > 0 ? trades[trades.length - 1].token_symbol || '' : '';
+    const pairs = pairExitLiquidity(trades, { windowSec: EXIT_LIQUIDITY_WINDOW_SEC });
+    deleteExitLiquidityPairs.run(mint);
+    for (const pair of pairs) insertExitLiquidityPair.run({ mint, symbol, ...pair });
+    return pairs.length;
+}
+
+const exitLiquidityDetector = makeIncrementalDetector('Exit liquidity', {
+    collectKeys: (afterId) => getMintsTradedAfter.all({ afterId }).map(r => r.token_mint).filter(m => !SKIP_MINTS.has(m)),
+    write: writeExitLiquidity,
+});
+
+// ============================
+// Scam Score
+// Composite 0-100 score per KOL (scam-score.js) from the last
+// SCAM_SCORE_DAYS of trades, positions, clusters, divergence flags and
+// exit-liquidity pairs.
+// Recomputed on a schedule into kol_scam_scores; the latest scores are
+// kept in memory for the leaderboard.
+// ============================
+
+const SCAM_SCORE_DAYS = parseInt(process.env.SCAM_SCORE_DAYS) || 90;
+const SCAM_SCORE_INTERVAL_MS = (parseFloat(process.env.SCAM_SCORE_INTERVAL_MIN) || 30) * 60 * 1000;
+const SCAM_SCORE_MIN_TRADES = parseInt(process.env.SCAM_SCORE_MIN_TRADES) || 10;
+// Main-wallet holds shorter than this count as ultra-short
+const SCAM_SHORT_HOLD_SEC = 300;
+// How long before a cluster a KOL's buy counts as an early entry
+const SCAM_EARLY_LEAD_SEC = 3600;
+
+// KOL name -> { score, computedAt }; starts from the last stored run
+let scamScores = new Map(getScamScores.all().map(r => [r.kol_name, { score: r.score, computedAt: r.computed_at }]));
+
+function kolScamMetrics(kol, since) {
+    const params = { kol: kol.Name, since };
+    const totals = getScamTradeTotals.get(params);
+    const shortHolds = getScamShortHolds.get({ ...params, wallet: kol['Wallet Address'], maxHold: SCAM_SHORT_HOLD_SEC });
+    return {
+        tradeCount: totals.trade_count,
+        buySol: totals.buy_sol,
+        sellSol: totals.sell_sol,
+        mintsBought: totals.mints_bought,
+        sideDumpSol: getScamSideDumping.get(params).sol,
+        sellIntoBuysSol: getScamSellsIntoBuys.get(params).sol,
+        closedMain: shortHolds.closed,
+        shortHoldsMain: shortHolds.short,
+        earlyClusters: getScamEarlyClusters.get({ ...params, lead: SCAM_EARLY_LEAD_SEC }).count,
+        unmatchedSol: getScamUnmatchedSells.get(params).sol,
+    };
+}
+
+const computeScamScores = db.transaction(() => {
+    const computedAt = Math.floor(Date.now() / 1000);
+    const since = computedAt - SCAM_SCORE_DAYS * 86400;
+    const scores = new Map();
+    for (const kol of COL_DATA) {
+        const metrics = kolScamMetrics(kol, since);
+        const { score, factors } = scamScore(metrics, { minTrades: SCAM_SCORE_MIN_TRADES });
+        upsertScamScore.run({
+            kolName: kol.Name,
+            score,
+            factors: JSON.stringify(factors),
+            metrics: JSON.stringify(metrics),
+            since,
+            computedAt,
+        });
+        scores.set(kol.Name, { score, computedAt });
+    }
+    return scores;
+});
+
+function runScamScores() {
+    try {
+        scamScores = computeScamScores();
+        return scamScores;
     } catch (err) {
-        console.error(`  Deep scan error for ${wallet.slice(0, 8)}...: ${err.message}`);
-        return { saved: 0, pages: 0 };
+        console.error('Scam score error:', err.message);
+        return null;
     }
 }
 
-async function runDeepBackfill(days = 7) {
+// ============================
+// Background Scanner (catchup/backfill only)
+// Webhooks handle real-time. This runs every 6 hours
+// to catch anything webhooks might have missed.
+// ============================
+
+let scannerPhase = 'idle';
+let scanProgress = { done: 0, total: 0 };
+
+async function scanSingleWallet(wallet, kolName, kolAvatar, txLimit = 10) {
+    if (!wallet || wallet.length < 10) return 0;
+
+    try {
+        const txs = await fetchEnhancedTransactions(wallet, txLimit);
+        if (!txs || txs.length === 0) return 0;
+
+        const saved = await ingestScannedTransactions(wallet, kolName, kolAvatar, txs, 'scan');
+        // A short page means we saw the wallet's whole history
+        advanceSyncCursor(wallet, txs, txs.length < txLimit ? 0 : txs[txs.length - 1].timestamp);
+        return saved;
+    } catch (err) {
+        console.error(`  Scan error for ${wallet.slice(0, 8)}... (${kolName}): ${err.message}`);
+        return 0;
+    }
+}
+
+async function scanKolWallet(kol, txLimit = 10) {
+    let total = 0;
+    // Scan main wallet
+    total += await scanSingleWallet(kol['Wallet Address'], kol.Name, kol.Avatar, txLimit);
+    // Scan side wallets too (with smaller limit to save credits)
+    if (Array.isArray(kol['Side Wallets'])) {
+        const sideLimit = Math.max(Math.floor(txLimit / 4), 5);
+        for (const sw of kol['Side Wallets']) {
+            if (sw && sw.length > 10 && sw !== kol['Wallet Address']) {
+                total += await scanSingleWallet(sw, kol.Name, kol.Avatar, sideLimit);
+            }
+        }
+    }
+    return total;
+}
+
+async function runBackgroundScan(isBackfill = false) {
     if (scannerPhase === 'scanning') return;
     scannerPhase = 'scanning';
 
-    const sinceTimestamp = Math.floor(Date.now() / 1000) - (days * 86400);
     const validKols = COL_DATA.filter(k => k['Wallet Address'] && k['Wallet Address'].length > 10);
+    const shuffled = [...validKols].sort(() => Math.random() - 0.5);
+    const txLimit = isBackfill ? 100 : 10;
 
-    scanProgress = { done: 0, total: validKols.length };
-    const startCredits = heliusCreditEstimate;
-    console.log(`\n🔍 DEEP BACKFILL: ${validKols.length} KOLs, going back ${days} days (since ${new Date(sinceTimestamp * 1000).toISOString()})...\n`);
+    scanProgress = { done: 0, total: shuffled.length };
+    console.log(`\n🔍 ${isBackfill ? 'INITIAL BACKFILL' : 'Background scan'}: ${shuffled.length} KOL wallets (${txLimit} txns each)...\n`);
 
     let totalSaved = 0;
-    let totalPages = 0;
 
-    for (let i = 0; i < validKols.length; i++) {
-        const kol = validKols[i];
-        let kolSaved = 0;
-        let kolPages = 0;
+    for (let i = 0; i < shuffled.length; i += 5) {
+        if (!heliusBudgetAllows('transactions', 'backfill')) {
+            console.log(`   💳 Credit budget exhausted — stopping scan at ${i}/${shuffled.length}`);
+            break;
+        }
+        const group = shuffled.slice(i, i + 5);
+        const results = await Promise.all(group.map(kol => scanKolWallet(kol, txLimit)));
+        const groupSaved = results.reduce((a, b) => a + b, 0);
+        totalSaved += groupSaved;
+        scanProgress.done = Math.min(i + 5, shuffled.length);
 
-        // Main wallet — up to 50 pages (5000 txns)
-        const mainResult = await scanSingleWalletDeep(
-            kol['Wallet Address'], kol.Name, kol.Avatar, sinceTimestamp, 50
-        );
-        kolSaved += mainResult.saved;
-        kolPages += mainResult.pages;
+        if (groupSaved > 0) {
+            console.log(`   [${scanProgress.done}/${shuffled.length}] ${group.map(k => k.Name).join(', ')} +${groupSaved}`);
+        }
+
+        await new Promise(r => setTimeout(r, 500));
+    }
+
+    const stats = getTradeCount.get();
+    const kolCount = getScannedKolCount.get();
+    console.log(`\n✅ Background scan done: +${totalSaved} trades | DB: ${stats.count} trades from ${kolCount.count} KOLs\n`);
+
+    scannerPhase = 'done';
+    refreshTokenMarketData();
+}
+
+// ============================
+// Deep Paginated Backfill
+// Fetches ALL trades going back N days for every KOL.
+// Credit cost: ~100 per page × pages per wallet × wallets.
+// 7-day backfill ≈ 60-100k credits. 30-day ≈ 300-500k credits.
+// Runs are persisted as jobs (backfill_jobs) with a checkpoint per
+// wallet, so a restart or pause resumes instead of starting over.
+// ============================
+
+const BACKFILL_RETRY_DELAY_MS = 30000;
+
+let activeBackfillJobId = null;
+let backfillStopRequest = null; // 'pause' | 'cancel' for the active job
+
+/**
+ * Scan one wallet for a backfill job, page by page. Each page is ingested
+ * and then checkpointed, so an interrupted wallet resumes from the next page.
+ */
+async function scanSingleWalletDeep(checkpoint, sinceTimestamp) {
+    const { job_id: jobId, wallet, max_pages: maxPages } = checkpoint;
+    const kol = WALLET_KOL_MAP[wallet];
+    const progress = {
+        before: checkpoint.before_signature,
+        newest: checkpoint.newest_signature
+            ? { signature: checkpoint.newest_signature, timestamp: checkpoint.newest_timestamp }
+            : null,
+        oldestTimestamp: null,
+        pages: checkpoint.pages,
+        saved: checkpoint.saved,
+        credits: checkpoint.credits,
+    };
+    const save = (status, error = '') => saveBackfillCheckpoint.run(
+        status, progress.before || '', progress.newest?.signature || '', progress.newest?.timestamp || 0,
+        progress.pages, progress.saved, progress.credits, error, jobId, wallet
+    );
+
+    if (!kol || !wallet || wallet.length < 10) {
+        save('done');
+        return { saved: 0, pages: 0, status: 'done' };
+    }
 
-        // Side wallets — up to 15 pages each
+    const startPages = progress.pages;
+    const startSaved = progress.saved;
+    const startCredits = heliusCreditEstimate;
+    save('running');
+
+    try {
+        const { complete, budgetExhausted, error } = await fetchPaginatedTransactions(wallet, sinceTimestamp, {
+            maxPages: Math.max(maxPages - progress.pages, 0),
+            before: progress.before || null,
+            onPage: async (txs, lastSignature) => {
+                if (txs.length > 0) {
+                    if (!progress.newest) progress.newest = txs.find(tx => tx.signature && tx.timestamp) || null;
+                    progress.oldestTimestamp = txs[txs.length - 1].timestamp;
+                    progress.saved += await ingestScannedTransactions(wallet, kol.Name, kol.Avatar, txs, 'deep');
+                }
+                progress.pages++;
+                progress.before = lastSignature;
+                progress.credits = checkpoint.credits + (heliusCreditEstimate - startCredits);
+                save('running');
+                return !backfillStopRequest;
+            },
+        });
+
+        let status;
+        if (backfillStopRequest) status = 'pending';
+        else if (budgetExhausted) status = 'deferred';
+        else if (complete || progress.pages >= maxPages) status = 'done';
+        else status = 'failed';
+        const failure = status === 'failed' ? (error || 'stopped early') : '';
+        progress.credits = checkpoint.credits + (heliusCreditEstimate - startCredits);
+        // Deferred wallets stay pending and continue from their checkpoint
+        save(status === 'deferred' ? 'pending' : status, failure);
+
+        if (status === 'done' && progress.newest) {
+            advanceSyncCursor(wallet, [progress.newest], complete ? sinceTimestamp : (progress.oldestTimestamp ?? Infinity));
+        }
+        return { saved: progress.saved - startSaved, pages: progress.pages - startPages, status, error: failure };
+    } catch (err) {
+        console.error(`  Deep scan error for ${wallet.slice(0, 8)}...: ${err.message}`);
+        save('failed', err.message);
+        return { saved: progress.saved - startSaved, pages: progress.pages - startPages, status: 'failed', error: err.message };
+    }
+}
+
+/**
+ * Create a deep backfill job with a checkpoint per wallet:
+ * main wallets up to 50 pages (5000 txns), side wallets up to 15 each.
+ */
+const createBackfillJob = db.transaction((days) => {
+    const sinceTimestamp = Math.floor(Date.now() / 1000) - (days * 86400);
+    const validKols = COL_DATA.filter(k => k['Wallet Address'] && k['Wallet Address'].length > 10);
+
+    const wallets = new Map();
+    for (const kol of validKols) {
+        wallets.set(kol['Wallet Address'], [kol.Name, 50]);
         if (Array.isArray(kol['Side Wallets'])) {
             for (const sw of kol['Side Wallets']) {
-                if (sw && sw.length > 10 && sw !== kol['Wallet Address']) {
-                    const sideResult = await scanSingleWalletDeep(
-                        sw, kol.Name, kol.Avatar, sinceTimestamp, 15
-                    );
-                    kolSaved += sideResult.saved;
-                    kolPages += sideResult.pages;
+                if (sw && sw.length > 10 && !wallets.has(sw)) {
+                    wallets.set(sw, [kol.Name, 15]);
                 }
             }
         }
+    }
+
+    const jobId = Number(insertBackfillJob.run(days, sinceTimestamp, wallets.size).lastInsertRowid);
+    for (const [wallet, [kolName, maxPages]] of wallets) {
+        insertBackfillCheckpoint.run(jobId, wallet, kolName, maxPages);
+    }
+    return jobId;
+});
 
-        totalSaved += kolSaved;
-        totalPages += kolPages;
-        scanProgress.done = i + 1;
+async function runDeepBackfill(days = 7) {
+    if (scannerPhase === 'scanning') return null;
+    const jobId = createBackfillJob(days);
+    runBackfillJob(jobId);
+    return jobId;
+}
 
-        if (kolSaved > 0) {
-            console.log(`   [${i + 1}/${validKols.length}] ${kol.Name}: +${kolSaved} trades (${kolPages} API pages)`);
-        } else {
-            console.log(`   [${i + 1}/${validKols.length}] ${kol.Name}: 0 new trades`);
+/**
+ * Run (or resume) a backfill job over its unfinished checkpoints.
+ * Jobs that hit the credit budget end 'deferred' and are picked up
+ * again by resumeDeferredBackfill once there's budget.
+ */
+async function runBackfillJob(jobId) {
+    if (scannerPhase === 'scanning') return;
+    const job = getBackfillJob.get(jobId);
+    if (!job) return;
+    scannerPhase = 'scanning';
+    activeBackfillJobId = jobId;
+    backfillStopRequest = null;
+    setBackfillJobStatus.run('running', '', 'running', jobId);
+
+    const pending = getPendingBackfillCheckpoints.all(jobId);
+    const resumed = pending.length < job.total_wallets;
+    scanProgress = { done: job.total_wallets - pending.length, total: job.total_wallets };
+    const startCredits = heliusCreditEstimate;
+    console.log(`\n🔍 DEEP BACKFILL #${jobId}${resumed ? ' (resumed)' : ''}: ${pending.length}/${job.total_wallets} wallets left, going back ${job.days} days (since ${new Date(job.since_timestamp * 1000).toISOString()})...\n`);
+
+    let totalSaved = 0;
+    let totalPages = 0;
+    let failed = 0;
+    let deferred = false;
+    let finalStatus = 'completed';
+    let error = '';
+
+    try {
+        // Wallets whose fetch failed (after the HTTP client's own retries)
+        // keep their checkpoint and get one more pass once the upstream's
+        // circuit breaker has had time to cool down
+        let queue = pending;
+        for (let pass = 0; pass < 2 && queue.length > 0; pass++) {
+            if (pass > 0) {
+                console.log(`   🔁 Retrying ${queue.length} failed wallet(s) in ${BACKFILL_RETRY_DELAY_MS / 1000}s...`);
+                await new Promise(r => setTimeout(r, BACKFILL_RETRY_DELAY_MS));
+            }
+            const failedThisPass = [];
+            for (const checkpoint of queue) {
+                if (backfillStopRequest) break;
+                const result = await scanSingleWalletDeep(checkpoint, job.since_timestamp);
+                refreshBackfillJobTotals.run(jobId);
+                totalSaved += result.saved;
+                totalPages += result.pages;
+                if (result.status === 'failed') failedThisPass.push(getBackfillCheckpoint.get(jobId, checkpoint.wallet));
+                if (result.status === 'pending' || result.status === 'deferred') {
+                    deferred = result.status === 'deferred';
+                    break;
+                }
+                if (pass === 0) scanProgress.done++;
+
+                const walletTag = SIDE_WALLET_SET.has(checkpoint.wallet) ? ' [SIDE]' : '';
+                const position = pass === 0 ? `[${scanProgress.done}/${scanProgress.total}]` : '[retry]';
+                if (result.status === 'failed') {
+                    console.log(`   ${position} ${checkpoint.kol_name}${walletTag}: failed after ${result.pages} page(s) — ${result.error}`);
+                } else if (result.saved > 0) {
+                    console.log(`   ${position} ${checkpoint.kol_name}${walletTag}: +${result.saved} trades (${result.pages} API pages)`);
+                } else {
+                    console.log(`   ${position} ${checkpoint.kol_name}${walletTag}: 0 new trades`);
+                }
+
+                await new Promise(r => setTimeout(r, 200));
+            }
+            if (backfillStopRequest || deferred) break;
+            failed = failedThisPass.length;
+            queue = failedThisPass;
         }
 
-        await new Promise(r => setTimeout(r, 200));
+        if (backfillStopRequest === 'pause') finalStatus = 'paused';
+        else if (backfillStopRequest === 'cancel') finalStatus = 'cancelled';
+        else if (deferred) {
+            finalStatus = 'deferred';
+            error = 'Helius credit budget exhausted — resumes when budget allows';
+        } else if (failed > 0) {
+            finalStatus = 'failed';
+            error = `${failed} wallet(s) failed — resume to retry them`;
+        }
+    } catch (err) {
+        console.error(`Deep backfill #${jobId} error:`, err);
+        finalStatus = 'failed';
+        error = err.message;
     }
 
+    refreshBackfillJobTotals.run(jobId);
+    setBackfillJobStatus.run(finalStatus, error, finalStatus, jobId);
+
     const creditsUsed = heliusCreditEstimate - startCredits;
     const stats = getTradeCount.get();
     const kolCount = getScannedKolCount.get();
-    console.log(`\n✅ Deep backfill complete!`);
+    console.log(`\n${finalStatus === 'completed' ? '✅' : '⏸️ '} Deep backfill #${jobId} ${finalStatus}!`);
     console.log(`   +${totalSaved} new trades | ${totalPages} API pages | ~${creditsUsed.toLocaleString()} credits used`);
     console.log(`   DB total: ${stats.count} trades from ${kolCount.count} wallets\n`);
 
+    activeBackfillJobId = null;
+    backfillStopRequest = null;
     scannerPhase = 'done';
     refreshTokenMarketData();
 }
 
+function resumeDeferredBackfill() {
+    if (scannerPhase === 'scanning') return;
+    const job = getLatestBackfillJobByStatus.get('deferred');
+    if (!job || !heliusBudgetAllows('transactions', 'backfill')) return;
+    console.log(`▶️  Credit budget available — resuming deferred deep backfill #${job.id}`);
+    runBackfillJob(job.id);
+}
+
+function formatBackfillJob(job) {
+    return {
+        id: job.id,
+        days: job.days,
+        since: new Date(job.since_timestamp * 1000).toISOString(),
+        status: job.status,
+        progress: `${job.done_wallets}/${job.total_wallets}`,
+        saved: job.saved,
+        pages: job.pages,
+        credits: job.credits,
+        error: job.error || null,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+        finishedAt: job.finished_at,
+    };
+}
+
+// ============================
+// Sync Cursors & Gap Backfill
+// Each wallet's cursor marks the newest transaction up to which its
+// history is known to be complete. Webhooks only record what they saw
+// (a missed delivery would otherwise hide a gap); contiguous newest-first
+// fetches that reach the cursor are what move it forward.
+// ============================
+
+const GAP_FILL_INTERVAL_MS = (parseFloat(process.env.GAP_FILL_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+const GAP_FILL_MAX_PAGES = parseInt(process.env.GAP_FILL_MAX_PAGES) || 20;
+
+let lastGapFill = null;
+
+/**
+ * Advance a wallet's cursor after a newest-first fetch. `coveredSince` is
+ * the timestamp the fetch is contiguous back to; if that's still newer than
+ * the stored cursor there's an unfetched gap in between and the cursor stays.
+ */
+function advanceSyncCursor(wallet, txs, coveredSince) {
+    const newest = txs.find(tx => tx.signature && tx.timestamp);
+    if (!newest) return;
+    const state = getWalletSyncState.get(wallet);
+    if (state && state.last_signature && coveredSince > state.last_timestamp) return;
+    upsertWalletCursor.run(wallet, newest.signature, newest.timestamp);
+}
+
+/**
+ * Cursor for a wallet, seeding it from the newest stored trade for
+ * wallets that were synced before cursors existed. Null if never synced.
+ */
+function getSyncCursor(wallet) {
+    const state = getWalletSyncState.get(wallet);
+    if (state && state.last_signature) return state;
+    const latest = getLatestTradeForWallet.get(wallet);
+    if (!latest) return null;
+    upsertWalletCursor.run(wallet, latest.signature, latest.tx_timestamp);
+    return getWalletSyncState.get(wallet);
+}
+
+/**
+ * Fetch everything newer than a wallet's cursor and ingest it.
+ * Wallets without a cursor are left to the deep backfill. A gap larger
+ * than GAP_FILL_MAX_PAGES is worked through over several runs: each run
+ * checkpoints the oldest signature it reached and the next one continues
+ * below it, moving the cursor up to the top of the gap once it's closed.
+ */
+async function fillWalletGap(wallet, kolName, kolAvatar) {
+    const cursor = getSyncCursor(wallet);
+    if (!cursor) return { saved: 0, fetched: 0, skipped: true };
+
+    // A deep backfill may have moved the cursor past the gap in the meantime
+    const resuming = !!cursor.gap_before_signature && cursor.gap_top_timestamp > cursor.last_timestamp;
+    if (cursor.gap_before_signature && !resuming) clearWalletGapCheckpoint.run(wallet);
+
+    const { txs, complete, budgetExhausted, error } = await fetchPaginatedTransactions(wallet, cursor.last_timestamp, {
+        maxPages: GAP_FILL_MAX_PAGES,
+        until: cursor.last_signature,
+        before: resuming ? cursor.gap_before_signature : null,
+    });
+    const saved = txs.length > 0 ? await ingestScannedTransactions(wallet, kolName, kolAvatar, txs, 'gap') : 0;
+
+    const top = resuming
+        ? { signature: cursor.gap_top_signature, timestamp: cursor.gap_top_timestamp }
+        : txs.find(tx => tx.signature && tx.timestamp);
+    if (complete) {
+        if (top) upsertWalletCursor.run(wallet, top.signature, top.timestamp);
+        else touchWalletSync.run(wallet);
+        if (resuming) clearWalletGapCheckpoint.run(wallet);
+    } else if (top && txs.length > 0) {
+        const oldest = txs[txs.length - 1];
+        setWalletGapCheckpoint.run({
+            wallet,
+            topSignature: top.signature,
+            topTimestamp: top.timestamp,
+            beforeSignature: oldest.signature,
+            beforeTimestamp: oldest.timestamp || 0,
+        });
+        if (!budgetExhausted && !error) {
+            console.log(`   ⚠️  ${kolName} ${wallet.slice(0, 8)}...: gap exceeds ${GAP_FILL_MAX_PAGES} pages, resuming below ${oldest.signature.slice(0, 8)}... next run`);
+        }
+    }
+    return { saved, fetched: txs.length, complete, budgetExhausted, error };
+}
+
+async function runGapFill() {
+    if (scannerPhase === 'scanning') return;
+    if (!heliusBudgetAllows('transactions', 'backfill')) {
+        console.log('🧩 Gap backfill deferred: Helius credit budget exhausted');
+        return;
+    }
+    scannerPhase = 'scanning';
+
+    const wallets = Object.entries(WALLET_KOL_MAP);
+    scanProgress = { done: 0, total: wallets.length };
+    const startCredits = heliusCreditEstimate;
+    console.log(`\n🧩 Gap backfill: checking ${wallets.length} wallets since their sync cursor...`);
+
+    let totalSaved = 0, totalFetched = 0, incomplete = 0, skipped = 0, failed = 0;
+    for (const [wallet, kol] of wallets) {
+        try {
+            const result = await fillWalletGap(wallet, kol.Name, kol.Avatar);
+            if (result.skipped) skipped++;
+            else if (result.error) failed++;
+            else if (!result.complete) incomplete++;
+            totalSaved += result.saved;
+            totalFetched += result.fetched;
+            if (result.saved > 0) {
+                console.log(`   ${kol.Name} ${wallet.slice(0, 8)}...: +${result.saved} trades from ${result.fetched} missed txns`);
+            }
+            if (result.budgetExhausted) {
+                console.log('   💳 Credit budget exhausted — remaining wallets wait for the next run');
+                break;
+            }
+        } catch (err) {
+            console.error(`  Gap fill error for ${wallet.slice(0, 8)}...: ${err.message}`);
+        }
+        scanProgress.done++;
+        await new Promise(r => setTimeout(r, 200));
+    }
+
+    lastGapFill = {
+        finishedAt: new Date().toISOString(),
+        saved: totalSaved,
+        fetched: totalFetched,
+        incomplete,
+        failed,
+        skipped,
+        credits: heliusCreditEstimate - startCredits,
+    };
+    console.log(`✅ Gap backfill done: +${totalSaved} trades | ${totalFetched} txns fetched | ${incomplete} incomplete | ${failed} failed | ${skipped} without cursor | ~${lastGapFill.credits.toLocaleString()} credits\n`);
+
+    scannerPhase = 'done';
+    if (totalSaved > 0) refreshTokenMarketData();
+}
+
+// ============================
+// Reparse from stored raw transactions
+// Re-derives every trade that has a raw payload using the current
+// parser (and cached token metadata only — no Helius calls).
+// Trades without a stored payload are left untouched, as are trades of
+// wallets no longer in the KOL list (reported as unattributed).
+// ============================
+
+function summarizeTrades(trades) {
+    const summary = { trades: 0, buys: 0, sells: 0, volumeSol: 0 };
+    for (const t of trades) {
+        summary.trades++;
+        if (t.action === 'Buy') summary.buys++;
+        else if (t.action === 'Sell') summary.sells++;
+        summary.volumeSol += t.amountSol || 0;
+    }
+    summary.volumeSol = parseFloat(summary.volumeSol.toFixed(4));
+    return summary;
+}
+
+function reparseStoredTransactions({ dryRun = false } = {}) {
+    const existing = new Map();
+    const unattributed = { wallets: new Set(), trades: 0 };
+    for (const row of getTradesWithRaw.all()) {
+        // Nothing to re-derive them with; deleting would lose them for good
+        if (!WALLET_KOL_MAP[row.wallet]) {
+            unattributed.wallets.add(row.wallet);
+            unattributed.trades++;
+            continue;
+        }
+        existing.set(`${row.signature}:${row.wallet}:${row.action}`, {
+            action: row.action,
+            tokenMint: row.token_mint,
+            amountSol: row.amount_sol,
+            parserVersion: row.parser_version,
+        });
+    }
+
+    const reparsed = new Map();
+    const receipts = [];
+    const wallets = new Set();
+    let rawCount = 0;
+    for (const row of getAllRawTransactions.iterate()) {
+        rawCount++;
+        const kol = WALLET_KOL_MAP[row.wallet];
+        if (!kol) continue;
+        wallets.add(row.wallet);
+        let tx;
+        try { tx = JSON.parse(row.payload); } catch { continue; }
+        receipts.push(...receiptRows(row.wallet, tx));
+        for (const trade of parseTransaction(tx, kol.Name, kol.Avatar, row.wallet, {})) {
+            if (isValidTrade(trade) && trade.signature) {
+                reparsed.set(`${row.signature}:${row.wallet}:${trade.action}`, { wallet: row.wallet, trade });
+            }
+        }
+    }
+
+    let added = 0, removed = 0, changed = 0, unchanged = 0;
+    for (const [key, { trade }] of reparsed) {
+        const old = existing.get(key);
+        if (!old) added++;
+        else if (old.action !== trade.action || old.tokenMint !== (trade.tokenMint || '') ||
+            Math.abs(old.amountSol - trade.amountSol) > 1e-6) changed++;
+        else unchanged++;
+    }
+    for (const key of existing.keys()) {
+        if (!reparsed.has(key)) removed++;
+    }
+
+    if (!dryRun) {
+        db.transaction(() => {
+            for (const key of existing.keys()) {
+                const [signature, wallet] = key.split(':');
+                deleteTradeBySignatureWallet.run(signature, wallet);
+            }
+            for (const { wallet, trade } of reparsed.values()) {
+                saveTrade(wallet, trade, { refreshPositions: false });
+            }
+            for (const wallet of wallets) deleteTokenReceiptsForWallet.run(wallet);
+            for (const receipt of receipts) insertTokenReceipt.run(receipt);
+        })();
+        rebuildAllPositions();
+        // Trades were deleted and re-inserted; re-detect every mint
+        resetIncrementalDetectors();
+    }
+
+    return {
+        dryRun,
+        parserVersion: PARSER_VERSION,
+        rawTransactions: rawCount,
+        before: summarizeTrades([...existing.values()]),
+        after: summarizeTrades([...reparsed.values()].map(r => r.trade)),
+        added,
+        removed,
+        changed,
+        unchanged,
+        unattributed: { wallets: unattributed.wallets.size, trades: unattributed.trades },
+    };
+}
+
 // Refresh DexScreener market data for recently active tokens
 async function refreshTokenMarketData() {
     try {
@@ -781,122 +2019,196 @@ async function refreshTokenMarketData() {
 
 // ============================
 // Helius Webhook Receiver
+// Payloads are written to webhook_queue before we reply, then a
+// worker loop processes them with retry/backoff. Items that keep
+// failing end up 'dead' and can be replayed via the API.
 // ============================
 
-app.post('/webhook/helius', async (req, res) => {
-    // Respond immediately (Helius expects 200 within 5s)
-    res.status(200).json({ received: true });
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_BATCH_SIZE = 25;
+let webhookWorkerBusy = false;
+let webhookAuthRejected = 0; // forged/unauthenticated requests this session
+
+// Constant-time compare; hashing first makes the lengths equal
+function isAuthorizedWebhook(req) {
+    if (!WEBHOOK_AUTH_SECRET) return false;
+    const provided = req.get('authorization') || '';
+    const a = crypto.createHash('sha256').update(provided).digest();
+    const b = crypto.createHash('sha256').update(WEBHOOK_AUTH_SECRET).digest();
+    return crypto.timingSafeEqual(a, b);
+}
 
-    if (!HELIUS_ENABLED) return;
+// 30s, 1m, 2m, 4m ... capped at 1h
+function webhookRetryDelaySec(attempts) {
+    return Math.min(30 * Math.pow(2, attempts - 1), 3600);
+}
 
-    const transactions = req.body;
-    if (!Array.isArray(transactions)) {
-        console.log(`⚠️ Webhook: received non-array body (type: ${typeof req.body})`);
-        return;
+// Thrown when a transaction belongs to a KOL but couldn't be parsed
+// because upstream metadata was unavailable -- worth retrying later
+class RetryableWebhookError extends Error {}
+
+/**
+ * Parse and store one webhook transaction, once per tracked wallet it
+ * touches (each from that wallet's own flows).
+ * Returns one outcome per wallet: 'saved' | 'dupe' | 'no_parse' | 'invalid',
+ * or ['no_kol'] when no tracked wallet is involved.
+ */
+async function processWebhookTransaction(tx) {
+    const kolWallets = trackedWalletsInTx(tx);
+    if (kolWallets.length === 0) return ['no_kol'];
+    for (const kolWallet of kolWallets) {
+        saveRawTransactions(kolWallet, [tx], 'webhook');
+        if (tx.signature && tx.timestamp) markWalletSeen.run(kolWallet, tx.signature, tx.timestamp);
     }
 
-    console.log(`📨 Webhook: received ${transactions.length} transaction(s)`);
+    // Get token metadata for mints in this tx
+    const mints = new Set();
+    if (tx.tokenTransfers) {
+        for (const t of tx.tokenTransfers) {
+            if (t.mint) mints.add(t.mint);
+        }
+    }
+    const tokenMeta = mints.size > 0 ? await batchGetTokenMetadata([...mints]) : {};
+    // DexScreener fallback for unresolved tokens in webhook
+    let unresolvedMints = [];
+    if (mints.size > 0) {
+        unresolvedMints = [...mints].filter(m =>
+            m !== 'So11111111111111111111111111111111111111112' &&
+            (!tokenMeta[m] || !tokenMeta[m].symbol)
+        );
+        if (unresolvedMints.length > 0) {
+            try {
+                const dexData = await fetchDexScreenerData(unresolvedMints);
+                for (const [mint, data] of Object.entries(dexData)) {
+                    if (data.symbol) tokenMeta[mint] = { name: data.name, symbol: data.symbol, image: data.image };
+                }
+            } catch { /* DexScreener fallback failed, retried below */ }
+            unresolvedMints = unresolvedMints.filter(m => !tokenMeta[m] || !tokenMeta[m].symbol);
+        }
+    }
 
-    let saved = 0;
-    let skippedNoKol = 0;
-    let skippedNoParse = 0;
-    let skippedInvalid = 0;
-    let skippedDupe = 0;
+    // Parse and save for each tracked participant
+    const outcomes = [];
+    let awaitingMetadata = false;
+    for (const kolWallet of kolWallets) {
+        const kol = WALLET_KOL_MAP[kolWallet];
+        const isSideWallet = SIDE_WALLET_SET.has(kolWallet);
+        const trades = parseTransaction(tx, kol.Name, kol.Avatar, kolWallet, tokenMeta);
+        if (trades.length === 0) {
+            outcomes.push('no_parse');
+            if (unresolvedMints.length > 0 && isAwaitingTokenMetadata(tx, kolWallet, tokenMeta)) awaitingMetadata = true;
+            continue;
+        }
+        const valid = trades.filter(trade => isValidTrade(trade) && trade.signature);
+        if (valid.length === 0) {
+            outcomes.push('invalid');
+            continue;
+        }
+        // Both legs of a token-for-token swap count as one outcome
+        const saved = valid.filter(trade => saveTrade(kolWallet, trade));
+        outcomes.push(saved.length > 0 ? 'saved' : 'dupe');
+
+        const walletTag = isSideWallet ? ' [SIDE]' : '';
+        for (const trade of saved) {
+            const quoteTag = trade.quoteSymbol && trade.quoteSymbol !== 'SOL' ? ` via ${trade.quoteAmount} ${trade.quoteSymbol}` : '';
+            console.log(`🔔 Webhook: ${kol.Name}${walletTag} ${trade.action} ${trade.tokenSymbol} (${trade.amountSol} SOL${quoteTag})`);
+        }
+    }
 
-    for (const tx of transactions) {
-        try {
-            // Find which KOL wallet this belongs to
-            const involvedAccounts = new Set();
-            if (tx.feePayer) involvedAccounts.add(tx.feePayer);
-            if (tx.accountData) {
-                for (const a of tx.accountData) {
-                    if (a.account) involvedAccounts.add(a.account);
-                }
-            }
-            if (tx.nativeTransfers) {
-                for (const t of tx.nativeTransfers) {
-                    if (t.fromUserAccount) involvedAccounts.add(t.fromUserAccount);
-                    if (t.toUserAccount) involvedAccounts.add(t.toUserAccount);
-                }
-            }
-            if (tx.tokenTransfers) {
-                for (const t of tx.tokenTransfers) {
-                    if (t.fromUserAccount) involvedAccounts.add(t.fromUserAccount);
-                    if (t.toUserAccount) involvedAccounts.add(t.toUserAccount);
-                }
-            }
+    // Retry later only if a wallet's swap didn't parse for want of a
+    // symbol; rows already saved for other wallets come back as dupes
+    if (awaitingMetadata) {
+        throw new RetryableWebhookError(`unresolved token metadata: ${unresolvedMints.map(m => m.slice(0, 8)).join(', ')}`);
+    }
+    return outcomes;
+}
 
-            let kolWallet = null;
-            let kol = null;
-            for (const account of involvedAccounts) {
-                if (WALLET_KOL_MAP[account]) {
-                    kolWallet = account;
-                    kol = WALLET_KOL_MAP[account];
-                    break;
-                }
-            }
+/**
+ * Drain due items from webhook_queue. Safe to call repeatedly;
+ * only one pass runs at a time.
+ */
+async function processWebhookQueue() {
+    if (webhookWorkerBusy || !HELIUS_ENABLED) return;
+    webhookWorkerBusy = true;
 
-            if (!kolWallet || !kol) {
-                skippedNoKol++;
-                continue;
-            }
+    const counts = { saved: 0, dupe: 0, no_kol: 0, no_parse: 0, invalid: 0, retry: 0, dead: 0 };
+    let processed = 0;
 
-            // Get token metadata for mints in this tx
-            const mints = new Set();
-            if (tx.tokenTransfers) {
-                for (const t of tx.tokenTransfers) {
-                    if (t.mint) mints.add(t.mint);
-                }
-            }
-            const tokenMeta = mints.size > 0 ? await batchGetTokenMetadata([...mints]) : {};
-            // DexScreener fallback for unresolved tokens in webhook
-            if (mints.size > 0) {
-                const unresolvedMints = [...mints].filter(m =>
-                    m !== 'So11111111111111111111111111111111111111112' &&
-                    (!tokenMeta[m] || !tokenMeta[m].symbol)
-                );
-                if (unresolvedMints.length > 0) {
-                    try {
-                        const dexData = await fetchDexScreenerData(unresolvedMints);
-                        for (const [mint, data] of Object.entries(dexData)) {
-                            if (data.symbol) tokenMeta[mint] = { name: data.name, symbol: data.symbol, image: data.image };
+    try {
+        while (true) {
+            const now = Math.floor(Date.now() / 1000);
+            const items = getDueWebhookItems.all(now, WEBHOOK_BATCH_SIZE);
+            if (items.length === 0) break;
+
+            for (const item of items) {
+                markWebhookProcessing.run(item.id);
+                const attempts = item.attempts + 1;
+                processed++;
+                try {
+                    const tx = JSON.parse(item.payload);
+                    const outcomes = await processWebhookTransaction(tx);
+                    for (const outcome of outcomes) counts[outcome]++;
+                    markWebhookDone.run(item.id);
+                } catch (err) {
+                    const message = (err.message || String(err)).slice(0, 500);
+                    if (attempts >= WEBHOOK_MAX_ATTEMPTS || err instanceof SyntaxError) {
+                        counts.dead++;
+                        markWebhookDead.run(message, item.id);
+                        console.error(`☠️ Webhook item ${item.id} (${item.signature.slice(0, 12)}...) dead after ${attempts} attempt(s): ${message}`);
+                    } else {
+                        counts.retry++;
+                        markWebhookRetry.run(Math.floor(Date.now() / 1000) + webhookRetryDelaySec(attempts), message, item.id);
+                        if (!(err instanceof RetryableWebhookError)) {
+                            console.error(`Webhook item ${item.id} failed (attempt ${attempts}): ${message}`);
                         }
-                    } catch { /* DexScreener fallback failed, continue */ }
+                    }
                 }
             }
+        }
+    } catch (err) {
+        console.error('Webhook queue error:', err.message);
+    } finally {
+        webhookWorkerBusy = false;
+    }
 
-            // Parse and save
-            const isSideWallet = SIDE_WALLET_SET.has(kolWallet);
-            const trade = parseTransaction(tx, kol.Name, kol.Avatar, kolWallet, tokenMeta);
-            if (!trade) {
-                skippedNoParse++;
-                continue;
-            }
-            if (!isValidTrade(trade) || !trade.signature) {
-                skippedInvalid++;
-                continue;
-            }
+    if (processed > 0) {
+        console.log(`📨 Webhook result: ${counts.saved} saved, ${counts.dupe} dupes, ${counts.no_parse} not-swap, ${counts.invalid} invalid, ${counts.no_kol} no-KOL, ${counts.retry} retrying, ${counts.dead} dead (of ${processed} txns processed)`);
+    }
+}
 
-            try {
-                insertTrade.run(
-                    kolWallet, trade.kolName, trade.kolAvatar || '',
-                    trade.action, trade.tokenSymbol, trade.amountSol,
-                    trade.signature, trade.timestamp || 0,
-                    trade.tokenMint || '', trade.tokenAmount || 0
-                );
-                saved++;
-                const walletTag = isSideWallet ? ' [SIDE]' : '';
-                console.log(`🔔 Webhook: ${kol.Name}${walletTag} ${trade.action} ${trade.tokenSymbol} (${trade.amountSol} SOL)`);
-            } catch (e) {
-                skippedDupe++;
+app.post('/webhook/helius', (req, res) => {
+    if (!isAuthorizedWebhook(req)) {
+        webhookAuthRejected++;
+        const count = Array.isArray(req.body) ? req.body.length : 0;
+        console.warn(`🚫 Webhook rejected: bad or missing auth header from ${req.ip} (${count} txn(s), ${webhookAuthRejected} rejected this session)`);
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!HELIUS_ENABLED) return res.status(200).json({ received: true });
+
+    const transactions = req.body;
+    if (!Array.isArray(transactions)) {
+        console.log(`⚠️ Webhook: received non-array body (type: ${typeof req.body})`);
+        return res.status(200).json({ received: true });
+    }
+
+    // Persist before acknowledging so a restart can't lose the batch
+    try {
+        db.transaction(() => {
+            for (const tx of transactions) {
+                enqueueWebhookTx.run(tx?.signature || '', JSON.stringify(tx));
             }
-        } catch (err) {
-            console.error('Webhook parse error:', err.message);
-        }
+        })();
+    } catch (err) {
+        console.error('Webhook enqueue error:', err.message);
+        // Non-2xx makes Helius redeliver
+        return res.status(500).json({ error: 'Failed to queue' });
     }
 
-    const total = transactions.length;
-    console.log(`📨 Webhook result: ${saved} saved, ${skippedDupe} dupes, ${skippedNoParse} not-swap, ${skippedInvalid} invalid, ${skippedNoKol} no-KOL (of ${total} total)`);
+    // Respond immediately (Helius expects 200 within 5s)
+    res.status(200).json({ received: true, queued: transactions.length });
+    console.log(`📨 Webhook: queued ${transactions.length} transaction(s)`);
+    processWebhookQueue();
 });
 
 // ============================
@@ -904,10 +2216,16 @@ app.post('/webhook/helius', async (req, res) => {
 // ============================
 
 /**
- * GET /api/sol-price
+ * GET /api/sol-price?at=<unix> - Current SOL/USD, or the historical rate at a timestamp
  */
 app.get('/api/sol-price', (req, res) => {
-    res.json({ price: SOL_PRICE_USD });
+    const at = parseInt(req.query.at);
+    if (at > 0) {
+        const price = solPriceAt(at);
+        return res.json({ at, price: price || null });
+    }
+    const history = getSolPriceHistoryStats.get();
+    res.json({ price: SOL_PRICE_USD, history: { samples: history.count, from: history.first, to: history.last } });
 });
 
 /**
@@ -925,6 +2243,56 @@ app.post('/api/backfill', async (req, res) => {
     runBackgroundScan(true);
 });
 
+/**
+ * POST /api/gap-fill - Fetch everything each wallet missed since its sync cursor
+ */
+app.post('/api/gap-fill', async (req, res) => {
+    if (!HELIUS_ENABLED) {
+        return res.status(400).json({ error: 'Helius is disabled' });
+    }
+    if (scannerPhase === 'scanning') {
+        return res.status(409).json({ error: 'Scan already in progress', progress: `${scanProgress.done}/${scanProgress.total}` });
+    }
+    console.log('🧩 Gap backfill triggered via API');
+    res.json({ success: true, message: 'Gap backfill started' });
+    runGapFill();
+});
+
+/**
+ * GET /api/sync/status - Per-wallet sync cursors and how far behind webhooks they are
+ */
+app.get('/api/sync/status', (req, res) => {
+    try {
+        const states = new Map(getAllWalletSyncStates.all().map(s => [s.wallet, s]));
+        const wallets = Object.entries(WALLET_KOL_MAP).map(([wallet, kol]) => {
+            const s = states.get(wallet);
+            return {
+                wallet,
+                kolName: kol.Name,
+                isSideWallet: SIDE_WALLET_SET.has(wallet),
+                cursorSignature: s?.last_signature || null,
+                cursorTimestamp: s?.last_timestamp || null,
+                lastSeenTimestamp: s?.last_seen_timestamp || null,
+                lastSyncedAt: s?.last_synced_at || null,
+                gapCheckpointTimestamp: s?.gap_before_timestamp || null,
+                behindWebhook: !!(s && s.last_seen_timestamp > s.last_timestamp),
+            };
+        });
+        res.json({
+            wallets: wallets.length,
+            withCursor: wallets.filter(w => w.cursorSignature).length,
+            behindWebhook: wallets.filter(w => w.behindWebhook).length,
+            resumingGap: wallets.filter(w => w.gapCheckpointTimestamp).length,
+            lastGapFill,
+            intervalHours: GAP_FILL_INTERVAL_MS / 3600000,
+            details: wallets,
+        });
+    } catch (err) {
+        console.error('Sync status error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
 /**
  * POST /api/deep-backfill?days=7 - Deep paginated backfill
  * Fetches ALL trades going back N days for every KOL.
@@ -940,8 +2308,82 @@ app.post('/api/deep-backfill', async (req, res) => {
     }
     const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
     console.log(`📥 Deep backfill triggered: ${days} days`);
-    res.json({ success: true, message: `Deep backfill started (${days} days, all pages)`, estimatedCredits: `~${(days * 15000).toLocaleString()}` });
-    runDeepBackfill(days);
+    const jobId = await runDeepBackfill(days);
+    res.json({ success: true, jobId, message: `Deep backfill started (${days} days, all pages)`, estimatedCredits: `~${(days * 15000).toLocaleString()}` });
+});
+
+/**
+ * GET /api/backfill-jobs/:id - A backfill job with its per-wallet checkpoints
+ */
+app.get('/api/backfill-jobs/:id', (req, res) => {
+    try {
+        const job = getBackfillJob.get(parseInt(req.params.id));
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        const checkpoints = getBackfillCheckpoints.all(job.id).map(c => ({
+            wallet: c.wallet,
+            kolName: c.kol_name,
+            status: c.status,
+            pages: c.pages,
+            maxPages: c.max_pages,
+            saved: c.saved,
+            credits: c.credits,
+            lastPageSignature: c.before_signature || null,
+            error: c.error || null,
+            updatedAt: c.updated_at,
+        }));
+        res.json({ ...formatBackfillJob(job), checkpoints });
+    } catch (err) {
+        console.error('Backfill job error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * POST /api/backfill-jobs/:id/pause|resume|cancel - Control a backfill job
+ * Pause and cancel take effect after the current page; paused,
+ * interrupted, failed and deferred jobs resume from their checkpoints.
+ */
+app.post('/api/backfill-jobs/:id/:action', (req, res) => {
+    const job = getBackfillJob.get(parseInt(req.params.id));
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const isActive = activeBackfillJobId === job.id;
+
+    switch (req.params.action) {
+        case 'pause':
+            if (!isActive) return res.status(409).json({ error: `Job is ${job.status}, not running` });
+            backfillStopRequest = 'pause';
+            console.log(`⏸️  Deep backfill #${job.id} pausing...`);
+            return res.json({ success: true, message: 'Pausing after the current page' });
+
+        case 'cancel':
+            if (['completed', 'cancelled'].includes(job.status)) {
+                return res.status(409).json({ error: `Job is already ${job.status}` });
+            }
+            if (isActive) {
+                backfillStopRequest = 'cancel';
+            } else {
+                setBackfillJobStatus.run('cancelled', '', 'cancelled', job.id);
+            }
+            console.log(`🛑 Deep backfill #${job.id} cancelled`);
+            return res.json({ success: true, message: isActive ? 'Cancelling after the current page' : 'Job cancelled' });
+
+        case 'resume':
+            if (!HELIUS_ENABLED) {
+                return res.status(400).json({ error: 'Helius is disabled' });
+            }
+            if (!['paused', 'interrupted', 'failed', 'deferred'].includes(job.status)) {
+                return res.status(409).json({ error: `Job is ${job.status}, nothing to resume` });
+            }
+            if (scannerPhase === 'scanning') {
+                return res.status(409).json({ error: 'Scan already in progress', progress: `${scanProgress.done}/${scanProgress.total}` });
+            }
+            console.log(`▶️  Deep backfill #${job.id} resuming`);
+            runBackfillJob(job.id);
+            return res.json({ success: true, message: `Resuming job #${job.id} (${job.done_wallets}/${job.total_wallets} wallets done)` });
+
+        default:
+            return res.status(400).json({ error: 'Unknown action (pause, resume, cancel)' });
+    }
 });
 
 /**
@@ -958,72 +2400,72 @@ app.post('/api/reset-trades', async (req, res) => {
         const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
         const before = getTradeCount.get();
         db.exec('DELETE FROM kol_trades');
+        db.exec('DELETE FROM wallet_sync_state');
+        rebuildAllPositions();
+        resetIncrementalDetectors();
         console.log(`🗑️ Wiped ${before.count} trades. Starting deep backfill (${days} days)...`);
         res.json({ success: true, wiped: before.count, message: `Trades wiped. Deep backfill starting (${days} days)...` });
         runDeepBackfill(days);
     } catch (err) {
-        console.error('Reset error:', err);
-        res.status(500).json({ error: 'Failed to reset' });
+        console.error('Reset error:', err);
+        res.status(500).json({ error: 'Failed to reset' });
+    }
+});
+
+/**
+ * POST /api/reparse?dryRun=true - Re-derive trades from stored raw payloads
+ * Uses the current parser (PARSER_VERSION) and costs no Helius credits.
+ * Returns a before/after summary; dryRun reports without writing.
+ */
+app.post('/api/reparse', (req, res) => {
+    if (scannerPhase === 'scanning') {
+        return res.status(409).json({ error: 'Scan already in progress' });
+    }
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        const started = Date.now();
+        const summary = reparseStoredTransactions({ dryRun });
+        console.log(`♻️ Reparse${dryRun ? ' (dry run)' : ''}: ${summary.rawTransactions} raw txns → ${summary.after.trades} trades (+${summary.added} / -${summary.removed} / ~${summary.changed}) in ${Date.now() - started}ms`);
+        if (summary.unattributed.trades > 0) {
+            console.log(`   ⚠️  Kept ${summary.unattributed.trades} trades from ${summary.unattributed.wallets} wallets no longer in the KOL list`);
+        }
+        res.json({ success: true, ...summary });
+    } catch (err) {
+        console.error('Reparse error:', err);
+        res.status(500).json({ error: 'Failed to reparse' });
     }
 });
 
 /**
- * GET /api/leaderboard?period=daily|weekly|monthly
+ * GET /api/leaderboard?period=daily|weekly|monthly|all&align=rolling|calendar&tz=UTC
+ *   &from=&to=&sort=pnl|roi|volume|winrate|trades|unrealized|scam
+ * from/to (unix seconds or ISO dates) override the period.
  */
 app.get('/api/leaderboard', (req, res) => {
+    const range = resolveLeaderboardRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const sort = req.query.sort || 'pnl';
+    if (!Object.hasOwn(LEADERBOARD_SORTS, sort)) return res.status(400).json({ error: `Unknown sort "${sort}"` });
     try {
-        const period = req.query.period || 'daily';
-        const now = Math.floor(Date.now() / 1000);
-
-        let since;
-        if (period === 'weekly') since = now - 7 * 86400;
-        else if (period === 'monthly') since = now - 30 * 86400;
-        else since = now - 86400;
+        const { from, to } = range;
 
-        const stats = getLeaderboardStats.all(since, 100);
-
-        // Build a map of KOLs that have trades in this period
-        const statsMap = {};
-        for (const row of stats) {
-            statsMap[row.kol_name] = row;
-        }
+        // Counts and PnL per KOL (daily rollups plus partial-day edges);
+        // PnL = FIFO-matched sells closed in the range plus open lots
+        // bought in the range, marked to the cached token price
+        const stats = kolRangeStats(from, to);
+        // Win rate and trade stats: buy lots fully closed in the range
+        const tradeStats = positionStatsByKol(from, to);
 
         // Include ALL tracked KOLs, even those with 0 trades in period
-        const allKols = COL_DATA.map(kol => {
-            const row = statsMap[kol.Name];
-            if (row) {
-                return {
-                    wallet: row.wallet || kol['Wallet Address'],
-                    name: row.kol_name,
-                    avatar: row.kol_avatar || kol.Avatar || '/logo.png',
-                    twitter: kol['Twitter Handle'] || '',
-                    tradeCount: row.trade_count,
-                    buyCount: row.buy_count || 0,
-                    sellCount: row.sell_count || 0,
-                    pnl: parseFloat(row.pnl?.toFixed(2) || 0),
-                    pnlUsd: parseFloat((row.pnl * SOL_PRICE_USD).toFixed(1) || 0),
-                    winRate: parseFloat(row.win_rate?.toFixed(1) || 0),
-                };
-            }
-            return {
-                wallet: kol['Wallet Address'],
-                name: kol.Name,
-                avatar: kol.Avatar || '/logo.png',
-                twitter: kol['Twitter Handle'] || '',
-                tradeCount: 0,
-                buyCount: 0,
-                sellCount: 0,
-                pnl: 0,
-                pnlUsd: 0,
-                winRate: 0,
-            };
-        });
+        const allKols = COL_DATA.map(kol => leaderboardEntry(kol, stats[kol.Name], tradeStats[kol.Name]));
 
-        // Sort: KOLs with trades first (by PnL desc), then inactive KOLs alphabetically
+        // Sort: KOLs with trades first (by the sort key desc, PnL breaking
+        // ties), then inactive KOLs alphabetically
+        const sortKey = LEADERBOARD_SORTS[sort];
         allKols.sort((a, b) => {
             if (a.tradeCount > 0 && b.tradeCount === 0) return -1;
             if (a.tradeCount === 0 && b.tradeCount > 0) return 1;
-            if (a.tradeCount > 0 && b.tradeCount > 0) return b.pnl - a.pnl;
+            if (a.tradeCount > 0 && b.tradeCount > 0) return (sortKey(b) - sortKey(a)) || (b.pnl - a.pnl);
             return a.name.localeCompare(b.name);
         });
 
@@ -1036,7 +2478,9 @@ app.get('/api/leaderboard', (req, res) => {
         const totalKols = getScannedKolCount.get();
 
         res.json({
-            period,
+            period: range.period,
+            range: { from, to, align: range.align, timezone: range.timezone },
+            sort,
             solPrice: SOL_PRICE_USD,
             leaderboard: enriched,
             meta: {
@@ -1052,6 +2496,163 @@ app.get('/api/leaderboard', (req, res) => {
     }
 });
 
+/**
+ * GET /api/kol/:name/stats - One KOL's leaderboard figures
+ * Same period/align/tz/from/to params as /api/leaderboard, without
+ * computing (or downloading) the whole board.
+ */
+app.get('/api/kol/:name/stats', (req, res) => {
+    const kol = COL_DATA.find(k => k.Name.toLowerCase() === req.params.name.toLowerCase());
+    if (!kol) return res.status(404).json({ error: 'KOL not found' });
+    const range = resolveLeaderboardRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    try {
+        const { from, to } = range;
+        const stats = kolRangeStats(from, to, kol.Name)[kol.Name];
+        const tradeStats = positionStatsByKol(from, to, kol.Name)[kol.Name];
+        res.json({
+            period: range.period,
+            range: { from, to, align: range.align, timezone: range.timezone },
+            solPrice: SOL_PRICE_USD,
+            stats: leaderboardEntry(kol, stats, tradeStats),
+        });
+    } catch (err) {
+        console.error('KOL stats error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/backtest?kols=Name1,Name2&days=30&interval=day|hour&delay=0
+ *   &sizing=fixed|proportional&size=1&ratio=0.1&slippage=1&fee=0.001
+ *   &mirror=true&tp=&sl=
+ * "What if I had copied X": replays the KOLs' trades with the given
+ * entry delay (seconds), sizing (SOL per buy, or a ratio of the KOL's
+ * buy), slippage (%) and fee (SOL per trade), exiting by mirroring
+ * sells and/or take-profit / stop-loss (%) on price snapshots.
+ */
+app.get('/api/backtest', (req, res) => {
+    const names = String(req.query.kols || '').split(',').map(n => n.trim()).filter(Boolean);
+    if (names.length === 0) return res.status(400).json({ error: 'kols is required' });
+    if (names.length > 20) return res.status(400).json({ error: 'At most 20 KOLs per backtest' });
+    const kols = [];
+    for (const name of names) {
+        const kol = COL_DATA.find(k => k.Name.toLowerCase() === name.toLowerCase());
+        if (!kol) return res.status(404).json({ error: `KOL not found: ${name}` });
+        if (!kols.includes(kol)) kols.push(kol);
+    }
+
+    const invalid = [];
+    const num = (key, fallback) => {
+        if (req.query[key] === undefined || req.query[key] === '') return fallback;
+        const value = parseFloat(req.query[key]);
+        if (!Number.isFinite(value)) invalid.push(key);
+        return value;
+    };
+    const options = {
+        entryDelaySec: num('delay', 0),
+        sizing: req.query.sizing || 'fixed',
+        sizeSol: num('size', 1),
+        sizeRatio: num('ratio', 0.1),
+        slippagePct: num('slippage', 1),
+        feeSol: num('fee', 0.001),
+        mirrorSells: req.query.mirror !== 'false',
+        takeProfitPct: num('tp', null),
+        stopLossPct: num('sl', null),
+    };
+    const days = Math.min(Math.max(num('days', 30) || 30, 1), 365);
+    const interval = req.query.interval || (days <= 7 ? 'hour' : 'day');
+
+    if (invalid.length > 0) return res.status(400).json({ error: `Invalid ${invalid.join(', ')}` });
+    if (!['fixed', 'proportional'].includes(options.sizing)) return res.status(400).json({ error: 'sizing must be fixed or proportional' });
+    if (!Object.hasOwn(EQUITY_INTERVALS, interval)) return res.status(400).json({ error: 'interval must be day or hour' });
+    if (interval === 'hour' && days > EQUITY_MAX_HOURLY_DAYS) {
+        return res.status(400).json({ error: `Hourly backtests cover at most ${EQUITY_MAX_HOURLY_DAYS} days` });
+    }
+    if (options.entryDelaySec < 0 || options.entryDelaySec > 86400) return res.status(400).json({ error: 'delay must be 0-86400 seconds' });
+    if (options.sizeSol <= 0 || options.sizeRatio <= 0) return res.status(400).json({ error: 'size and ratio must be positive' });
+    if (options.slippagePct < 0 || options.slippagePct >= 100 || options.feeSol < 0) return res.status(400).json({ error: 'slippage must be 0-100 and fee non-negative' });
+    if ((options.takeProfitPct != null && options.takeProfitPct <= 0) || (options.stopLossPct != null && (options.stopLossPct <= 0 || options.stopLossPct > 100))) {
+        return res.status(400).json({ error: 'tp must be positive and sl between 0 and 100' });
+    }
+
+    try {
+        const to = Math.floor(Date.now() / 1000);
+        const from = to - days * 86400;
+        const trades = kols.flatMap(kol => getKolBacktestTrades.all(kol.Name, from, to))
+            .filter(t => !SKIP_MINTS.has(t.token_mint));
+        const snapshots = new Map();
+        for (const mint of new Set(trades.map(t => t.token_mint))) {
+            snapshots.set(mint, getTokenSnapshots.all(mint, from - EQUITY_PRICE_MAX_AGE_SEC).filter(s => s.price_usd > 0));
+        }
+
+        const result = runBacktest(trades, snapshots, { ...options, from, to, interval: EQUITY_INTERVALS[interval] });
+        const round = (v, digits = 4) => (v == null ? null : parseFloat(v.toFixed(digits)));
+        const log = result.trades.slice(-BACKTEST_MAX_LOG).map(t => ({
+            ...t,
+            priceSol: round(t.priceSol, 12),
+            sol: round(t.sol),
+            pnlSol: round(t.pnlSol),
+        }));
+
+        res.json({
+            kols: kols.map(k => k.Name),
+            days,
+            interval,
+            options,
+            solPrice: SOL_PRICE_USD,
+            summary: {
+                ...Object.fromEntries(Object.entries(result.summary).map(([k, v]) => [k, round(v, k === 'roi' || k === 'winRate' ? 1 : 4)])),
+                kolTrades: trades.length,
+            },
+            equity: result.equity.map(p => ({
+                t: p.t,
+                trades: p.trades,
+                volume: round(p.volume),
+                realizedPnl: round(p.realizedPnl),
+                unrealizedPnl: round(p.unrealizedPnl),
+                equity: round(p.equity),
+            })),
+            trades: log,
+            tradeLogTruncated: result.trades.length > log.length,
+        });
+    } catch (err) {
+        console.error('Backtest error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/kol/:name/scam-score - Latest scam score with its factor breakdown
+ */
+app.get('/api/kol/:name/scam-score', (req, res) => {
+    const kol = COL_DATA.find(k => k.Name.toLowerCase() === req.params.name.toLowerCase());
+    if (!kol) return res.status(404).json({ error: 'KOL not found' });
+    try {
+        const row = getScamScore.get(kol.Name);
+        if (!row) return res.json({ kolName: kol.Name, score: null, factors: [], computedAt: null });
+        const factors = JSON.parse(row.factors).map(f => ({
+            ...f,
+            ratio: parseFloat(f.ratio.toFixed(4)),
+            value: parseFloat(f.value.toFixed(3)),
+            points: parseFloat(f.points.toFixed(1)),
+        }));
+        res.json({
+            kolName: kol.Name,
+            score: row.score,
+            minTrades: SCAM_SCORE_MIN_TRADES,
+            days: SCAM_SCORE_DAYS,
+            since: row.since,
+            computedAt: row.computed_at,
+            factors,
+            metrics: JSON.parse(row.metrics),
+        });
+    } catch (err) {
+        console.error('Scam score error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
 /**
  * GET /api/trades/feed - Latest trades from DB with token images
  * Diverse feed: max 2 trades per KOL so no single trader floods the feed
@@ -1094,6 +2695,9 @@ app.get('/api/trades/feed', (req, res) => {
                 tokenImage: t.token_image || '',
                 tokenPrice: t.token_price || 0,
                 amountSol: t.amount_sol,
+                quoteSymbol: t.quote_symbol || 'SOL',
+                quoteAmount: t.quote_amount || t.amount_sol,
+                dexSource: t.dex_source || '',
                 timestamp: t.tx_timestamp,
                 signature: t.signature,
                 isSideWallet: SIDE_WALLET_SET.has(t.wallet)
@@ -1104,6 +2708,47 @@ app.get('/api/trades/feed', (req, res) => {
     }
 });
 
+/**
+ * GET /api/trades/sources?dex=pumpfun&strategy=net_transfers&limit=50
+ * Audit view: trade counts per venue/parse strategy, plus the latest
+ * trades matching the optional dex / strategy filters.
+ */
+app.get('/api/trades/sources', (req, res) => {
+    try {
+        const dex = req.query.dex || '';
+        const strategy = req.query.strategy || '';
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+        const breakdown = getTradeSourceBreakdown.all();
+        const trades = getTradesBySource.all(dex, dex, strategy, strategy, limit);
+
+        res.json({
+            breakdown: breakdown.map(b => ({
+                dexSource: b.dex_source || 'unknown',
+                parseStrategy: b.parse_strategy || 'unknown',
+                tradeCount: b.trade_count,
+                volumeSol: parseFloat((b.volume_sol || 0).toFixed(2)),
+            })),
+            trades: trades.map(t => ({
+                kolName: t.kol_name,
+                wallet: t.wallet,
+                action: t.action,
+                tokenSymbol: t.token_symbol,
+                tokenMint: t.token_mint || '',
+                amountSol: t.amount_sol,
+                quoteSymbol: t.quote_symbol || 'SOL',
+                dexSource: t.dex_source || '',
+                parseStrategy: t.parse_strategy || '',
+                timestamp: t.tx_timestamp,
+                signature: t.signature,
+            })),
+        });
+    } catch (err) {
+        console.error('Trade sources error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
 /**
  * GET /api/trades/:wallet - Serve from DB cache (zero Helius credits)
  */
@@ -1124,6 +2769,9 @@ app.get('/api/trades/:wallet', (req, res) => {
             tokenMint: t.token_mint || '',
             tokenAmount: t.token_amount || 0,
             amountSol: t.amount_sol,
+            quoteSymbol: t.quote_symbol || 'SOL',
+            quoteAmount: t.quote_amount || t.amount_sol,
+            dexSource: t.dex_source || '',
             timestamp: t.tx_timestamp,
             signature: t.signature,
         }));
@@ -1163,17 +2811,22 @@ app.get('/api/kol/:name/sides', (req, res) => {
                 tokenMint: t.token_mint || '',
                 tokenAmount: t.token_amount || 0,
                 amountSol: t.amount_sol,
+                quoteSymbol: t.quote_symbol || 'SOL',
+                quoteAmount: t.quote_amount || t.amount_sol,
                 timestamp: t.tx_timestamp,
                 signature: t.signature,
                 isSideWallet: true
             }));
 
+        const divergences = getFlaggedEvents.all(0, 'side_divergence', 'side_divergence', kol.Name, kol.Name, '', '', 50);
+
         res.json({
             kolName: kol.Name,
             mainWallet: kol['Wallet Address'],
             sideWallets,
             solPrice: SOL_PRICE_USD,
-            trades: sideTrades
+            trades: sideTrades,
+            divergences: divergences.map(formatFlaggedEvent)
         });
     } catch (err) {
         res.status(500).json({ error: 'Failed' });
@@ -1189,19 +2842,30 @@ app.get('/api/kol/:name/token-pnl', (req, res) => {
         const kol = COL_DATA.find(k => k.Name.toLowerCase() === name.toLowerCase());
         if (!kol) return res.status(404).json({ error: 'KOL not found' });
 
-        const positions = getKolTokenPnl.all(kol.Name, 50);
+        const positions = getKolTokenPnl.all(SOL_PRICE_USD, SOL_PRICE_USD, kol.Name, 50);
+        const closedByMint = Object.fromEntries(getKolClosedByToken.all(kol.Name).map(r => [r.token_mint, r]));
+        const openByMint = Object.fromEntries(getKolOpenByToken.all(kol.Name).map(r => [r.token_mint, r]));
 
         const enriched = positions.map(pos => {
             const cached = pos.token_mint ? getCachedToken.get(pos.token_mint) : null;
             const tokenImage = cached?.image || '';
             const currentPrice = cached?.price_usd || 0;
-
-            const realizedPnl = pos.sold_sol - pos.bought_sol;
-            const tokensHeld = Math.max(0, pos.tokens_bought - pos.tokens_sold);
+            const closed = closedByMint[pos.token_mint] || {};
+            const open = openByMint[pos.token_mint] || {};
+
+            // Realized: FIFO-matched sells at entry/exit-time rates.
+            // Unrealized: remaining lots at today's price (flat when unpriced).
+            const realizedPnl = closed.realized_sol || 0;
+            const realizedPnlUsd = closed.realized_usd || 0;
+            const tokensHeld = open.qty || 0;
+            const costBasis = open.cost_sol || 0;
+            const costBasisUsd = open.cost_usd || 0;
             const holdingValueUsd = tokensHeld * currentPrice;
             const holdingValueSol = SOL_PRICE_USD > 0 ? holdingValueUsd / SOL_PRICE_USD : 0;
-            const totalPnl = realizedPnl + holdingValueSol;
-            const roi = pos.bought_sol > 0 ? ((pos.sold_sol + holdingValueSol - pos.bought_sol) / pos.bought_sol * 100) : 0;
+            const unrealizedPnl = currentPrice > 0 ? holdingValueSol - costBasis : 0;
+            const unrealizedPnlUsd = currentPrice > 0 ? holdingValueUsd - costBasisUsd : 0;
+            const totalPnl = realizedPnl + unrealizedPnl;
+            const roi = pos.bought_sol > 0 ? (totalPnl / pos.bought_sol * 100) : 0;
             const durationSec = pos.last_trade - pos.first_trade;
 
             return {
@@ -1215,9 +2879,18 @@ app.get('/api/kol/:name/token-pnl', (req, res) => {
                 tokensHeld,
                 holdingValueSol: parseFloat(holdingValueSol.toFixed(4)),
                 holdingValueUsd: parseFloat(holdingValueUsd.toFixed(2)),
+                costBasis: parseFloat(costBasis.toFixed(4)),
+                costBasisUsd: parseFloat(costBasisUsd.toFixed(2)),
                 realizedPnl: parseFloat(realizedPnl.toFixed(4)),
+                unrealizedPnl: parseFloat(unrealizedPnl.toFixed(4)),
                 totalPnl: parseFloat(totalPnl.toFixed(4)),
-                totalPnlUsd: parseFloat((totalPnl * SOL_PRICE_USD).toFixed(2)),
+                boughtUsd: parseFloat(pos.bought_usd.toFixed(2)),
+                soldUsd: parseFloat(pos.sold_usd.toFixed(2)),
+                realizedPnlUsd: parseFloat(realizedPnlUsd.toFixed(2)),
+                unrealizedPnlUsd: parseFloat(unrealizedPnlUsd.toFixed(2)),
+                totalPnlUsd: parseFloat((realizedPnlUsd + unrealizedPnlUsd).toFixed(2)),
+                // Sold without an earlier tracked buy (no cost basis; not in PnL)
+                unmatchedSoldSol: parseFloat((closed.unmatched_sol || 0).toFixed(4)),
                 roi: parseFloat(roi.toFixed(1)),
                 buyCount: pos.buy_count,
                 sellCount: pos.sell_count,
@@ -1238,6 +2911,482 @@ app.get('/api/kol/:name/token-pnl', (req, res) => {
     }
 });
 
+/**
+ * GET /api/kol/:name/equity?days=30&interval=day|hour
+ * Cumulative realized and mark-to-market PnL, volume and trade counts
+ * per bucket. Hourly is limited to the last EQUITY_MAX_HOURLY_DAYS days.
+ */
+app.get('/api/kol/:name/equity', (req, res) => {
+    const kol = COL_DATA.find(k => k.Name.toLowerCase() === req.params.name.toLowerCase());
+    if (!kol) return res.status(404).json({ error: 'KOL not found' });
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const interval = req.query.interval || (days <= 2 ? 'hour' : 'day');
+    if (!Object.hasOwn(EQUITY_INTERVALS, interval)) return res.status(400).json({ error: `Unknown interval "${interval}"` });
+    if (interval === 'hour' && days > EQUITY_MAX_HOURLY_DAYS) {
+        return res.status(400).json({ error: `Hourly equity is limited to ${EQUITY_MAX_HOURLY_DAYS} days` });
+    }
+    try {
+        const to = Math.floor(Date.now() / 1000);
+        // Daily curves start at a UTC midnight so buckets line up with the rollup
+        const from = interval === 'day' ? utcDayStart(to) - (days - 1) * 86400 : to - days * 86400;
+        const points = buildEquityCurve(kol.Name, from, to, interval);
+        const last = points[points.length - 1];
+        res.json({
+            kolName: kol.Name,
+            interval,
+            days,
+            from,
+            to,
+            solPrice: SOL_PRICE_USD,
+            points,
+            summary: {
+                realizedPnl: last?.realizedPnl || 0,
+                realizedPnlUsd: last?.realizedPnlUsd || 0,
+                equity: last?.equity || 0,
+                equityUsd: last?.equityUsd || 0,
+                maxEquity: Math.max(0, ...points.map(p => p.equity)),
+                minEquity: Math.min(0, ...points.map(p => p.equity)),
+                trades: points.reduce((sum, p) => sum + p.trades, 0),
+                volume: parseFloat(points.reduce((sum, p) => sum + p.volume, 0).toFixed(4)),
+            },
+        });
+    } catch (err) {
+        console.error('Equity curve error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/kol/:name/positions?limit=100 - Open FIFO lots and closed positions
+ */
+app.get('/api/kol/:name/positions', (req, res) => {
+    const { name } = req.params;
+    try {
+        const kol = COL_DATA.find(k => k.Name.toLowerCase() === name.toLowerCase());
+        if (!kol) return res.status(404).json({ error: 'KOL not found' });
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+        const open = getKolOpenLots.all(kol.Name, limit).map(lot => {
+            const price = lot.token_price || 0;
+            const valueUsd = lot.qty_remaining * price;
+            const valueSol = SOL_PRICE_USD > 0 ? valueUsd / SOL_PRICE_USD : 0;
+            return {
+                wallet: lot.wallet,
+                isSideWallet: SIDE_WALLET_SET.has(lot.wallet),
+                tokenSymbol: lot.token_symbol,
+                tokenMint: lot.token_mint,
+                tokenImage: lot.token_image || '',
+                openedAt: lot.opened_at,
+                buySignature: lot.buy_signature,
+                tokensBought: lot.qty_initial,
+                tokensHeld: lot.qty_remaining,
+                costBasis: parseFloat(lot.cost_sol.toFixed(4)),
+                costBasisUsd: parseFloat(lot.cost_usd.toFixed(2)),
+                valueSol: parseFloat(valueSol.toFixed(4)),
+                valueUsd: parseFloat(valueUsd.toFixed(2)),
+                unrealizedPnl: price > 0 ? parseFloat((valueSol - lot.cost_sol).toFixed(4)) : null,
+                unrealizedPnlUsd: price > 0 ? parseFloat((valueUsd - lot.cost_usd).toFixed(2)) : null,
+            };
+        });
+
+        const closed = getKolClosedPositions.all(kol.Name, limit).map(c => ({
+            wallet: c.wallet,
+            isSideWallet: SIDE_WALLET_SET.has(c.wallet),
+            tokenSymbol: c.token_symbol,
+            tokenMint: c.token_mint,
+            openedAt: c.opened_at,
+            closedAt: c.closed_at,
+            holdSec: c.closed_at - c.opened_at,
+            buySignature: c.buy_signature || null,
+            sellSignature: c.sell_signature,
+            tokens: c.qty,
+            costSol: parseFloat(c.cost_sol.toFixed(4)),
+            proceedsSol: parseFloat(c.proceeds_sol.toFixed(4)),
+            pnlSol: parseFloat(c.pnl_sol.toFixed(4)),
+            pnlUsd: parseFloat(c.pnl_usd.toFixed(2)),
+            unmatched: !!c.unmatched,
+        }));
+
+        res.json({
+            kolName: kol.Name,
+            pooledSideWallets: POSITION_POOL_SIDE_WALLETS,
+            solPrice: SOL_PRICE_USD,
+            open,
+            closed,
+        });
+    } catch (err) {
+        console.error('Positions error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/clusters?days=7&mint=&kol=&minKols=&limit=50
+ * Detected coordinated buying events, newest first, with members and
+ * the recurring co-buying pairs inside each.
+ */
+app.get('/api/clusters', (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseFloat(req.query.days) || 7, 0.04), 365);
+        const since = Math.floor(Date.now() / 1000) - Math.round(days * 86400);
+        const minKols = Math.max(parseInt(req.query.minKols) || CLUSTER_MIN_KOLS, CLUSTER_MIN_KOLS);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const mint = typeof req.query.mint === 'string' ? req.query.mint : '';
+        let kolName = '';
+        if (req.query.kol) {
+            const kol = COL_DATA.find(k => k.Name.toLowerCase() === String(req.query.kol).toLowerCase());
+            if (!kol) return res.status(404).json({ error: 'KOL not found' });
+            kolName = kol.Name;
+        }
+
+        const events = getClusterEvents.all(since, minKols, mint, mint, kolName, kolName, limit);
+        res.json({
+            windowSec: CLUSTER_WINDOW_SEC,
+            minKols,
+            days,
+            events: events.map(formatClusterEvent),
+        });
+    } catch (err) {
+        console.error('Clusters error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/clusters/pairs?kol=&minEvents=2&limit=50
+ * KOL pairs ranked by how often (and how recently) they co-buy.
+ */
+app.get('/api/clusters/pairs', (req, res) => {
+    try {
+        const minEvents = Math.max(parseInt(req.query.minEvents) || 2, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        let kolName = '';
+        if (req.query.kol) {
+            const kol = COL_DATA.find(k => k.Name.toLowerCase() === String(req.query.kol).toLowerCase());
+            if (!kol) return res.status(404).json({ error: 'KOL not found' });
+            kolName = kol.Name;
+        }
+
+        const pairs = getKolPairStats.all(minEvents, kolName, kolName, kolName, limit);
+        res.json({
+            halfLifeDays: CLUSTER_PAIR_HALF_LIFE_DAYS,
+            pairs: pairs.map(p => ({
+                kolA: p.kol_a,
+                kolB: p.kol_b,
+                coEvents: p.co_events,
+                score: parseFloat(p.score.toFixed(3)),
+                overlap: parseFloat(p.overlap.toFixed(3)),
+                firstAt: p.first_at,
+                lastAt: p.last_at,
+            })),
+        });
+    } catch (err) {
+        console.error('Cluster pairs error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/flags?days=30&type=&kol=&mint=&limit=50
+ * Flagged-events feed (side-wallet divergence, ...), newest first,
+ * each with the evidence it was flagged on.
+ */
+app.get('/api/flags', (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseFloat(req.query.days) || 30, 0.04), 365);
+        const since = Math.floor(Date.now() / 1000) - Math.round(days * 86400);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const type = typeof req.query.type === 'string' ? req.query.type : '';
+        const mint = typeof req.query.mint === 'string' ? req.query.mint : '';
+        let kolName = '';
+        if (req.query.kol) {
+            const kol = COL_DATA.find(k => k.Name.toLowerCase() === String(req.query.kol).toLowerCase());
+            if (!kol) return res.status(404).json({ error: 'KOL not found' });
+            kolName = kol.Name;
+        }
+
+        const events = getFlaggedEvents.all(since, type, type, kolName, kolName, mint, mint, limit);
+        res.json({
+            days,
+            counts: Object.fromEntries(getFlagCounts.all().map(r => [r.type, r.count])),
+            events: events.map(formatFlaggedEvent),
+        });
+    } catch (err) {
+        console.error('Flags error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/exit-liquidity?period=daily|weekly|monthly|all&align=&tz=&from=&to=&mint=&limit=20
+ * KOLs selling into other tracked KOLs' buys: top offenders (sold
+ * into others), victims (bought what others sold) and seller->buyer
+ * pairs, by matched SOL. Same range params as /api/leaderboard.
+ */
+app.get('/api/exit-liquidity', (req, res) => {
+    const range = resolveLeaderboardRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    try {
+        const { from, to } = range;
+        const mint = typeof req.query.mint === 'string' ? req.query.mint : '';
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+        const args = [from, to, mint, mint];
+        const totals = getExitLiquidityTotals.get(...args);
+
+        const kolRow = (row) => ({
+            kolName: row.kol_name,
+            avatar: COL_DATA.find(k => k.Name === row.kol_name)?.Avatar || '/logo.png',
+            sol: parseFloat(row.sol.toFixed(4)),
+            trades: row.sells ?? row.buys,
+            counterparties: row.counterparties,
+            tokens: row.tokens,
+        });
+
+        res.json({
+            period: range.period,
+            range: { from, to, align: range.align, timezone: range.timezone },
+            windowSec: EXIT_LIQUIDITY_WINDOW_SEC,
+            mint: mint || null,
+            totals: {
+                sol: parseFloat(totals.sol.toFixed(4)),
+                matches: totals.matches,
+                sells: totals.sells,
+                tokens: totals.tokens,
+            },
+            offenders: getExitLiquidityOffenders.all(...args, limit).map(kolRow),
+            victims: getExitLiquidityVictims.all(...args, limit).map(kolRow),
+            pairs: getExitLiquidityTopPairs.all(...args, limit).map(p => ({
+                seller: p.seller_kol,
+                buyer: p.buyer_kol,
+                sol: parseFloat(p.sol.toFixed(4)),
+                matches: p.matches,
+                tokens: p.tokens,
+            })),
+        });
+    } catch (err) {
+        console.error('Exit liquidity error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/token/:mint - Token detail: metadata, market data and every
+ * tracked KOL trade on the token (oldest first), with the first KOL
+ * entry, current KOL holdings and FIFO PnL per KOL.
+ */
+app.get('/api/token/:mint', async (req, res) => {
+    const { mint } = req.params;
+    try {
+        const timeline = getTokenTimeline.all(mint);
+        let cached = getCachedToken.get(mint);
+        if (timeline.length === 0 && !cached) return res.status(404).json({ error: 'Token not found' });
+
+        // Refresh market data when missing or older than 5 min
+        if (!cached || !cached.mcap || (Date.now() - new Date(cached.cached_at).getTime() > 5 * 60 * 1000)) {
+            await fetchDexScreenerData([mint]);
+            cached = getCachedToken.get(mint);
+        }
+        const snapshot = getLatestTokenSnapshot.get(mint);
+        const priceUsd = cached?.price_usd || 0;
+
+        // Per-KOL totals from the timeline; PnL from the FIFO tables
+        const closedByKol = Object.fromEntries(getTokenClosedByKol.all(mint).map(r => [r.kol_name, r]));
+        const openByKol = Object.fromEntries(getTokenOpenByKol.all(mint).map(r => [r.kol_name, r]));
+        const byKol = new Map();
+        for (const t of timeline) {
+            if (!byKol.has(t.kol_name)) {
+                byKol.set(t.kol_name, {
+                    kolName: t.kol_name,
+                    kolAvatar: t.kol_avatar || WALLET_AVATAR_MAP[t.wallet] || '/logo.png',
+                    boughtSol: 0, soldSol: 0, tokensBought: 0, tokensSold: 0,
+                    buyCount: 0, sellCount: 0, sideWalletTrades: 0,
+                    firstTrade: t.tx_timestamp, firstBuy: null, lastTrade: t.tx_timestamp,
+                });
+            }
+            const kol = byKol.get(t.kol_name);
+            if (t.action === 'Buy') {
+                kol.boughtSol += t.amount_sol;
+                kol.tokensBought += t.token_amount;
+                kol.buyCount++;
+                if (kol.firstBuy === null) kol.firstBuy = t.tx_timestamp;
+            } else {
+                kol.soldSol += t.amount_sol;
+                kol.tokensSold += t.token_amount;
+                kol.sellCount++;
+            }
+            if (SIDE_WALLET_SET.has(t.wallet)) kol.sideWalletTrades++;
+            kol.lastTrade = t.tx_timestamp;
+        }
+
+        const holdings = { kolCount: 0, tokensHeld: 0, costBasis: 0, holdingValueSol: 0, holdingValueUsd: 0 };
+        const kols = [...byKol.values()].map(kol => {
+            const closed = closedByKol[kol.kolName] || {};
+            const open = openByKol[kol.kolName] || {};
+            // Unrealized at today's price (flat when unpriced), as in token-pnl
+            const tokensHeld = open.qty || 0;
+            const costBasis = open.cost_sol || 0;
+            const holdingValueUsd = tokensHeld * priceUsd;
+            const holdingValueSol = SOL_PRICE_USD > 0 ? holdingValueUsd / SOL_PRICE_USD : 0;
+            const realizedPnl = closed.realized_sol || 0;
+            const unrealizedPnl = priceUsd > 0 ? holdingValueSol - costBasis : 0;
+            if (tokensHeld > 0) {
+                holdings.kolCount++;
+                holdings.tokensHeld += tokensHeld;
+                holdings.costBasis += costBasis;
+                holdings.holdingValueSol += holdingValueSol;
+                holdings.holdingValueUsd += holdingValueUsd;
+            }
+            return {
+                ...kol,
+                boughtSol: parseFloat(kol.boughtSol.toFixed(4)),
+                soldSol: parseFloat(kol.soldSol.toFixed(4)),
+                tokensHeld,
+                costBasis: parseFloat(costBasis.toFixed(4)),
+                holdingValueSol: parseFloat(holdingValueSol.toFixed(4)),
+                holdingValueUsd: parseFloat(holdingValueUsd.toFixed(2)),
+                closedCount: closed.closed_count || 0,
+                realizedPnl: parseFloat(realizedPnl.toFixed(4)),
+                realizedPnlUsd: parseFloat((closed.realized_usd || 0).toFixed(2)),
+                unrealizedPnl: parseFloat(unrealizedPnl.toFixed(4)),
+                totalPnl: parseFloat((realizedPnl + unrealizedPnl).toFixed(4)),
+                // Sold without an earlier tracked buy (no cost basis; not in PnL)
+                unmatchedSoldSol: parseFloat((closed.unmatched_sol || 0).toFixed(4)),
+            };
+        }).sort((a, b) => (a.firstBuy ?? a.firstTrade) - (b.firstBuy ?? b.firstTrade));
+
+        const trades = timeline.map(t => ({
+            id: t.id,
+            kolName: t.kol_name,
+            kolAvatar: t.kol_avatar || WALLET_AVATAR_MAP[t.wallet] || '/logo.png',
+            wallet: t.wallet,
+            isSideWallet: SIDE_WALLET_SET.has(t.wallet),
+            action: t.action,
+            amountSol: t.amount_sol,
+            tokenAmount: t.token_amount,
+            priceSol: t.token_amount > 0 ? t.amount_sol / t.token_amount : 0,
+            quoteSymbol: t.quote_symbol || 'SOL',
+            quoteAmount: t.quote_amount || t.amount_sol,
+            dexSource: t.dex_source || '',
+            timestamp: t.tx_timestamp,
+            signature: t.signature,
+        }));
+        const firstEntry = trades.find(t => t.action === 'Buy') || null;
+
+        res.json({
+            mint,
+            symbol: cached?.symbol || timeline[0]?.token_symbol || '',
+            name: cached?.name || '',
+            image: cached?.image || '',
+            market: {
+                priceUsd,
+                mcap: cached?.mcap || 0,
+                priceChange24h: cached?.price_change_24h || 0,
+                liquidity: snapshot?.liquidity || 0,
+                volume24h: snapshot?.volume_24h || 0,
+                updatedAt: cached?.cached_at || null,
+            },
+            solPrice: SOL_PRICE_USD,
+            firstEntry,
+            holdings: {
+                kolCount: holdings.kolCount,
+                tokensHeld: holdings.tokensHeld,
+                costBasis: parseFloat(holdings.costBasis.toFixed(4)),
+                holdingValueSol: parseFloat(holdings.holdingValueSol.toFixed(4)),
+                holdingValueUsd: parseFloat(holdings.holdingValueUsd.toFixed(2)),
+            },
+            kols,
+            clusters: getClusterEvents.all(0, 0, mint, mint, '', '', 20).map(formatClusterEvent),
+            flags: getFlaggedEvents.all(0, '', '', '', '', mint, mint, 50).map(formatFlaggedEvent),
+            trades,
+        });
+    } catch (err) {
+        console.error('Token detail error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/token/:mint/history?days=7&interval=raw|hour|day
+ * Price/mcap/liquidity/volume snapshots plus KOL trades on the token
+ * in the same window (chart markers), with each trade's move since.
+ */
+app.get('/api/token/:mint/history', (req, res) => {
+    const { mint } = req.params;
+    try {
+        const days = Math.min(Math.max(parseFloat(req.query.days) || 7, 0.04), SNAPSHOT_RETENTION_DAYS);
+        const interval = ['raw', 'hour', 'day'].includes(req.query.interval)
+            ? req.query.interval
+            : (days > SNAPSHOT_HOURLY_DAYS ? 'day' : days > SNAPSHOT_RAW_DAYS ? 'hour' : 'raw');
+        const since = Math.floor(Date.now() / 1000) - Math.round(days * 86400);
+
+        // Latest snapshot per bucket
+        const bucket = interval === 'day' ? 86400 : interval === 'hour' ? 3600 : 0;
+        const snapshots = getTokenSnapshots.all(mint, since);
+        const points = [];
+        for (const row of snapshots) {
+            const point = {
+                timestamp: row.timestamp,
+                priceUsd: row.price_usd,
+                mcap: row.mcap,
+                liquidity: row.liquidity,
+                volume24h: row.volume_24h,
+                priceChange24h: row.price_change_24h,
+            };
+            const last = points[points.length - 1];
+            if (bucket && last && Math.floor(last.timestamp / bucket) === Math.floor(row.timestamp / bucket)) {
+                points[points.length - 1] = point;
+            } else {
+                points.push(point);
+            }
+        }
+
+        // First snapshot at or after a timestamp (full resolution, not bucketed)
+        const priceAfter = (ts) => snapshots.find(p => p.timestamp >= ts)?.price_usd || 0;
+        const latestPrice = points.length > 0 ? points[points.length - 1].priceUsd : 0;
+        const trades = getTokenTradesSince.all(mint, since).map(t => {
+            const priceAtTrade = priceAfter(t.tx_timestamp);
+            return {
+                kolName: t.kol_name,
+                wallet: t.wallet,
+                isSideWallet: SIDE_WALLET_SET.has(t.wallet),
+                action: t.action,
+                tokenSymbol: t.token_symbol,
+                amountSol: t.amount_sol,
+                tokenAmount: t.token_amount,
+                timestamp: t.tx_timestamp,
+                signature: t.signature,
+                priceAtTrade,
+                changeSincePct: priceAtTrade > 0 && latestPrice > 0
+                    ? parseFloat(((latestPrice - priceAtTrade) / priceAtTrade * 100).toFixed(1))
+                    : null,
+            };
+        });
+
+        const prices = points.map(p => p.priceUsd).filter(p => p > 0);
+        const cached = getCachedToken.get(mint);
+        res.json({
+            mint,
+            symbol: cached?.symbol || trades[0]?.tokenSymbol || '',
+            name: cached?.name || '',
+            image: cached?.image || '',
+            days,
+            interval,
+            summary: prices.length > 0 ? {
+                first: prices[0],
+                last: prices[prices.length - 1],
+                high: Math.max(...prices),
+                low: Math.min(...prices),
+                changePct: parseFloat(((prices[prices.length - 1] - prices[0]) / prices[0] * 100).toFixed(1)),
+            } : null,
+            points,
+            trades,
+        });
+    } catch (err) {
+        console.error('Token history error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
 /**
  * GET /api/tokens - Token tracker page data grouped by market cap
  */
@@ -1282,6 +3431,7 @@ app.get('/api/tokens', async (req, res) => {
 
             // Get KOL positions
             const positions = getTokenKolPositions.all(token.token_mint, 10);
+            const cluster = getLatestMintCluster.get(token.token_mint, since);
 
             tokenCards.push({
                 mint: token.token_mint,
@@ -1302,7 +3452,15 @@ app.get('/api/tokens', async (req, res) => {
                     soldSol: p.total_sold_sol || 0,
                     soldTokens: p.total_sold_tokens || 0,
                     lastTrade: p.last_trade,
-                }))
+                })),
+                cluster: cluster ? {
+                    id: cluster.id,
+                    kolCount: cluster.kol_count,
+                    startedAt: cluster.started_at,
+                    spanSec: cluster.ended_at - cluster.started_at,
+                    totalSol: parseFloat(cluster.total_sol.toFixed(4)),
+                    kols: getClusterEventMembers.all(cluster.id).map(m => m.kol_name),
+                } : null,
             });
         }
 
@@ -1333,10 +3491,90 @@ app.get('/api/scanner/status', (req, res) => {
         totalTrades: stats.count,
         totalKols: kolCount.count,
         solPrice: SOL_PRICE_USD,
-        estimatedCreditsUsed: heliusCreditEstimate
+        estimatedCreditsUsed: heliusCreditEstimate,
+        rawTransactions: getRawTransactionCount.get().count,
+        parserVersion: PARSER_VERSION,
+        dataProvider: provider.name,
+        upstreams: getHttpMetrics(),
+        tokenSnapshots: getTokenSnapshotStats.get(),
+        positions: { ...getPositionCounts.get(), pooledSideWallets: POSITION_POOL_SIDE_WALLETS },
+        clusters: { ...getClusterCounts.get(), windowSec: CLUSTER_WINDOW_SEC, minKols: CLUSTER_MIN_KOLS },
+        flags: Object.fromEntries(getFlagCounts.all().map(r => [r.type, r.count])),
+        exitLiquidity: { ...getExitLiquidityTotals.get(0, Math.floor(Date.now() / 1000), '', ''), windowSec: EXIT_LIQUIDITY_WINDOW_SEC },
+        credits: creditBudgetStatus(),
+        activeBackfillJob: activeBackfillJobId,
+        backfillJobs: getRecentBackfillJobs.all(20).map(formatBackfillJob)
     });
 });
 
+/**
+ * GET /api/credits - Persisted Helius credit usage against the daily/monthly budgets
+ */
+app.get('/api/credits', (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+        const since = utcDay(new Date(Date.now() - (days - 1) * 86400000));
+        res.json({
+            ...creditBudgetStatus(),
+            history: getCreditUsageByDaySince.all(since),
+        });
+    } catch (err) {
+        console.error('Credits error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * GET /api/webhook/queue - Ingest queue depth and failed/dead items
+ */
+app.get('/api/webhook/queue', (req, res) => {
+    try {
+        const byStatus = { pending: 0, processing: 0, done: 0, dead: 0 };
+        let oldestPending = null;
+        for (const row of getWebhookQueueStats.all()) {
+            byStatus[row.status] = row.count;
+            if (row.status === 'pending') oldestPending = row.oldest;
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        res.json({
+            depth: byStatus.pending + byStatus.processing,
+            byStatus,
+            oldestPending,
+            workerBusy: webhookWorkerBusy,
+            authRejected: webhookAuthRejected,
+            failed: getFailedWebhookItems.all(limit).map(item => ({
+                id: item.id,
+                signature: item.signature,
+                status: item.status,
+                attempts: item.attempts,
+                nextAttemptAt: item.status === 'pending' ? item.next_attempt_at : null,
+                lastError: item.last_error,
+                receivedAt: item.received_at,
+            })),
+        });
+    } catch (err) {
+        console.error('Webhook queue status error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
+/**
+ * POST /api/webhook/queue/replay?id=123 - Requeue one dead item (or all dead items without id)
+ */
+app.post('/api/webhook/queue/replay', (req, res) => {
+    try {
+        const id = parseInt(req.query.id);
+        const info = id ? replayWebhookItem.run(id) : replayDeadWebhookItems.run();
+        if (id && info.changes === 0) return res.status(404).json({ error: 'No dead item with that id' });
+        console.log(`🔁 Webhook queue: replaying ${info.changes} dead item(s)`);
+        res.json({ success: true, requeued: info.changes });
+        processWebhookQueue();
+    } catch (err) {
+        console.error('Webhook replay error:', err);
+        res.status(500).json({ error: 'Failed' });
+    }
+});
+
 app.post('/api/wallets', (req, res) => {
     const { address, label, notes } = req.body;
     if (!address || address.length < 32) return res.status(400).json({ error: 'Invalid address' });
@@ -1404,7 +3642,7 @@ app.get('/api/debug/parse/:wallet', async (req, res) => {
     if (!HELIUS_ENABLED) return res.status(400).json({ error: 'Helius disabled' });
     const { wallet } = req.params;
     try {
-        const txs = await fetchEnhancedTransactions(wallet, 20);
+        const txs = await fetchEnhancedTransactions(wallet, 20, 'realtime');
         const mints = new Set();
         for (const tx of txs) {
             if (tx.tokenTransfers) {
@@ -1427,21 +3665,25 @@ app.get('/api/debug/parse/:wallet', async (req, res) => {
         }
 
         const results = txs.map(tx => {
-            const trade = parseTransaction(tx, 'TEST', '', wallet, tokenMeta);
+            const trades = parseTransaction(tx, 'TEST', '', wallet, tokenMeta);
             return {
                 sig: tx.signature?.slice(0, 12),
                 type: tx.type || 'N/A',
                 desc: tx.description?.slice(0, 100) || 'none',
+                source: tx.source || 'N/A',
                 hasSwapEvent: !!tx.events?.swap,
                 nativeTransfers: (tx.nativeTransfers || []).length,
                 tokenTransfers: (tx.tokenTransfers || []).length,
-                parsed: trade ? {
+                parsed: trades.length > 0 ? trades.map(trade => ({
                     action: trade.action,
                     symbol: trade.tokenSymbol,
                     sol: trade.amountSol,
+                    quote: trade.quoteSymbol !== 'SOL' ? `${trade.quoteAmount} ${trade.quoteSymbol}` : undefined,
                     mint: trade.tokenMint?.slice(0, 8),
-                } : 'SKIPPED',
-                valid: trade ? isValidTrade(trade) : false,
+                    dex: trade.dexSource,
+                    strategy: trade.parseStrategy,
+                })) : 'SKIPPED',
+                valid: trades.some(trade => isValidTrade(trade)),
             };
         });
 
@@ -1481,13 +3723,49 @@ app.get('/{*splat}', (req, res) => {
 // ============================
 app.listen(PORT, '0.0.0.0', () => {
     const existing = getTradeCount.get();
+    // Backfill jobs still marked running belong to a process that died
+    markRunningBackfillJobsInterrupted.run();
     const kolCount = getScannedKolCount.get();
     console.log(`\n🚀 Kolscam API on port ${PORT}`);
-    console.log(`   Helius: ${HELIUS_ENABLED ? '✅ ENABLED' : '⏸️  DISABLED (set HELIUS_ENABLED=true to activate)'}  |  KOLs: ${COL_DATA.length}  |  DB: ${existing.count} trades\n`);
+    console.log(`   Helius: ${HELIUS_ENABLED ? '✅ ENABLED' : '⏸️  DISABLED (set HELIUS_ENABLED=true to activate)'}  |  Provider: ${provider.name}  |  KOLs: ${COL_DATA.length}  |  DB: ${existing.count} trades\n`);
+    if (HELIUS_ENABLED && !provider.configured) {
+        console.warn(`⚠️  Data provider "${provider.name}" is not configured (${provider.name === 'rpc' ? 'SOLANA_RPC_URL' : 'HELIUS_API_KEY'} missing) — scans will fetch nothing`);
+    }
+    if (HELIUS_ENABLED && !WEBHOOK_AUTH_SECRET) {
+        console.warn(`⚠️  WEBHOOK_AUTH_SECRET is not set — every webhook will be rejected (set it, then run: node setup-webhook.js update)`);
+    }
+
+    // Positions are derived data; rebuild so they match the stored trades
+    // and the current POSITION_POOL_SIDE_WALLETS setting
+    const positionStarted = Date.now();
+    const positionGroups = rebuildAllPositions();
+    console.log(`📐 Rebuilt FIFO positions for ${positionGroups} owner/token pairs in ${Date.now() - positionStarted}ms${POSITION_POOL_SIDE_WALLETS ? ' (side wallets pooled)' : ''}`);
+
+    // Cluster detection: full pass now, then only mints with new buys
+    const clusters = clusterDetector.run();
+    if (clusters) console.log(`🕸️  Detected ${clusters.written} buying clusters across ${clusters.keys} tokens (${clusters.pairs} KOL pairs, window ${CLUSTER_WINDOW_SEC}s, min ${CLUSTER_MIN_KOLS} KOLs)`);
+    setInterval(clusterDetector.run, 60 * 1000);
+    const divergence = sideDivergenceDetector.run();
+    if (divergence) console.log(`🎭 Flagged ${divergence.written} side-wallet divergences across ${divergence.keys} KOL/token pairs (window ${SIDE_DIVERGENCE_WINDOW_SEC}s)`);
+    setInterval(sideDivergenceDetector.run, 60 * 1000);
+    const exits = exitLiquidityDetector.run();
+    if (exits) console.log(`🚪 Paired ${exits.written} exit-liquidity matches across ${exits.keys} tokens (window ${EXIT_LIQUIDITY_WINDOW_SEC}s)`);
+    setInterval(exitLiquidityDetector.run, 60 * 1000);
+
+    // Scam scores read the detector output above, so they run after it
+    const scored = runScamScores();
+    if (scored) console.log(`☠️  Scored ${[...scored.values()].filter(s => s.score != null).length}/${scored.size} KOLs (last ${SCAM_SCORE_DAYS}d, refresh every ${SCAM_SCORE_INTERVAL_MS / 60000}m)`);
+    setInterval(runScamScores, SCAM_SCORE_INTERVAL_MS);
 
     // Fetch SOL price immediately and every 5 minutes (CoinGecko, free)
     fetchSolPrice();
     setInterval(fetchSolPrice, 5 * 60 * 1000);
+    // Give trades saved without a SOL/USD rate one from history (CSV imports, late samples)
+    setInterval(fillMissingTradeSolPrices, 60 * 60 * 1000);
+
+    // Downsample and expire token market snapshots hourly
+    compactTokenSnapshots();
+    setInterval(compactTokenSnapshots, 60 * 60 * 1000);
 
     // Refresh market data every 10 minutes (DexScreener, free)
     setInterval(() => refreshTokenMarketData(), 10 * 60 * 1000);
@@ -1499,15 +3777,38 @@ app.listen(PORT, '0.0.0.0', () => {
         // One-time backfill only when DB is empty.
         // ============================================
 
-        if (existing.count < 100) {
+        const interrupted = getLatestBackfillJobByStatus.get('interrupted');
+        if (interrupted) {
+            console.log(`📥 Resuming interrupted deep backfill #${interrupted.id} (${interrupted.done_wallets}/${interrupted.total_wallets} wallets done)...`);
+            setTimeout(() => runBackfillJob(interrupted.id), 2000);
+        } else if (existing.count < 100) {
             console.log(`📥 DB has only ${existing.count} trades — running deep backfill (7 days)...`);
             setTimeout(() => runDeepBackfill(7), 2000);
+        } else {
+            // Catch up on whatever happened while the server was down
+            setTimeout(runGapFill, 5000);
         }
+        setInterval(runGapFill, GAP_FILL_INTERVAL_MS);
+        // Deep backfills deferred by the credit budget pick up once it resets
+        setInterval(resumeDeferredBackfill, 60 * 60 * 1000);
+
+        // Webhook queue worker: recover items a restart left mid-flight,
+        // then poll for due items (new and retrying)
+        const stuck = resetStuckWebhookItems.run();
+        if (stuck.changes > 0) console.log(`📨 Webhook queue: requeued ${stuck.changes} interrupted item(s)`);
+        processWebhookQueue();
+        setInterval(processWebhookQueue, 5000);
+        setInterval(() => {
+            try { pruneDoneWebhookItems.run('-1 day'); } catch { /* */ }
+        }, 60 * 60 * 1000);
 
         console.log(`🔔 Webhook mode active — POST /webhook/helius receives trades`);
         console.log(`   Deep backfill: POST /api/deep-backfill?days=7`);
+        console.log(`   Backfill jobs: GET /api/scanner/status, POST /api/backfill-jobs/:id/pause|resume|cancel`);
         console.log(`   Reset + refill: POST /api/reset-trades?days=7`);
         console.log(`   Quick backfill: POST /api/backfill`);
+        console.log(`   Gap backfill: POST /api/gap-fill (auto every ${GAP_FILL_INTERVAL_MS / 3600000}h)`);
+        console.log(`   Ingest queue: GET /api/webhook/queue`);
     } else {
         console.log(`⏸️  Helius DISABLED — no scanning, no credits used.`);
         console.log(`   Webhook endpoint is ready but won't process without HELIUS_ENABLED=true`);
@@ -1517,7 +3818,9 @@ app.listen(PORT, '0.0.0.0', () => {
     // Log estimated credit usage every hour
     setInterval(() => {
         if (heliusCreditEstimate > 0) {
-            console.log(`📊 Estimated Helius credits used this session: ~${heliusCreditEstimate.toLocaleString()}`);
+            const { today, month } = creditBudgetStatus();
+            const budgetTag = (p) => p.budget ? ` / ${p.budget.toLocaleString()}` : '';
+            console.log(`📊 Estimated Helius credits: ~${heliusCreditEstimate.toLocaleString()} this session | today ${today.used.toLocaleString()}${budgetTag(today)} | month ${month.used.toLocaleString()}${budgetTag(month)}`);
         }
     }, 60 * 60 * 1000);
 });
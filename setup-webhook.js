@@ -8,6 +8,7 @@ import { COL_DATA } from './src/data.js';
 
 const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
 const WEBHOOK_URL = process.env.WEBHOOK_URL; // e.g. https://yourdomain.com/webhook/helius
+const WEBHOOK_AUTH_SECRET = process.env.WEBHOOK_AUTH_SECRET; // sent back by Helius as the Authorization header
 
 if (!HELIUS_API_KEY) {
     console.error('❌ HELIUS_API_KEY not set in .env');
@@ -20,6 +21,15 @@ if (!WEBHOOK_URL) {
     process.exit(1);
 }
 
+const action = process.argv[2] || 'create';
+if (!WEBHOOK_AUTH_SECRET && (action === 'create' || action === 'update')) {
+    console.error('❌ WEBHOOK_AUTH_SECRET not set in .env');
+    console.error('   The server rejects webhooks without it. Generate one with:');
+    console.error('   node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+    console.error('   and set the same value on the server.');
+    process.exit(1);
+}
+
 // Auto-build wallet list from data.js (main + side wallets, deduplicated)
 const walletSet = new Set();
 for (const kol of COL_DATA) {
@@ -53,6 +63,7 @@ async function createWebhook() {
                     accountAddresses: WALLETS,
                     webhookType: 'enhanced',
                     txnStatus: 'success',
+                    authHeader: WEBHOOK_AUTH_SECRET,
                 })
             }
         );
@@ -67,6 +78,7 @@ async function createWebhook() {
         console.log(`✅ Webhook created!`);
         console.log(`   Webhook ID: ${data.webhookID}`);
         console.log(`   Monitoring ${WALLETS.length} wallets for ALL transaction types`);
+        console.log(`   Auth header: set (must match WEBHOOK_AUTH_SECRET on the server)`);
         console.log(`\n   💡 Save this ID in your .env as WEBHOOK_ID=${data.webhookID}`);
         console.log(`   💡 To update: node setup-webhook.js update`);
         console.log(`   💡 To delete old one first: node setup-webhook.js delete <OLD_ID>\n`);
@@ -100,6 +112,7 @@ async function updateWebhook() {
                     accountAddresses: WALLETS,
                     webhookType: 'enhanced',
                     txnStatus: 'success',
+                    authHeader: WEBHOOK_AUTH_SECRET,
                 })
             }
         );
@@ -131,6 +144,7 @@ async function listWebhooks() {
             console.log(`   Type: ${wh.webhookType}`);
             console.log(`   Wallets: ${wh.accountAddresses?.length || 0}`);
             console.log(`   Tx Types: ${wh.transactionTypes?.join(', ')}`);
+            console.log(`   Auth header: ${wh.authHeader ? 'set' : '⚠️  not set (server will reject)'}`);
             console.log('');
         }
     } catch (err) {
@@ -155,8 +169,6 @@ async function deleteWebhook(id) {
 }
 
 // CLI
-const action = process.argv[2] || 'create';
-
 if (action === 'create') {
     createWebhook();
 } else if (action === 'update') {
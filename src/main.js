@@ -9,12 +9,15 @@ const API_BASE = import.meta.env.DEV ? 'http://localhost:3001/api' : '/api';
 const APP_STATE = {
     currentPage: 'leaderboard',
     leaderboardPeriod: 'daily',
+    leaderboardAlign: 'rolling',
+    leaderboardSort: 'pnl',
     solPrice: 0,
     tickerInterval: null,
     leaderboardRefreshInterval: null,
     tokensRefreshInterval: null,
     tradesRefreshInterval: null,
     profileKol: null,
+    equityDays: 30,
     profileTab: 'main',
 };
 
@@ -30,7 +33,9 @@ const submitModal = document.getElementById('submit-modal');
 const submitForm = document.getElementById('submit-wallet-form');
 const closeSubmitModal = document.getElementById('close-submit-modal');
 const btnSubmitWallet = document.getElementById('btn-submit-wallet');
-const toggleBtns = document.querySelectorAll('.toggle-btn');
+const periodBtns = document.querySelectorAll('.period-btn');
+const alignBtns = document.querySelectorAll('.align-btn');
+const leaderboardSortSelect = document.getElementById('leaderboard-sort');
 const landingTicker = document.getElementById('landing-ticker');
 const solPriceDisplay = document.getElementById('sol-price-display');
 
@@ -144,6 +149,12 @@ function formatMcap(mcap) {
     return mcap.toFixed(0);
 }
 
+// "via 120 USDC" tag for trades settled in something other than SOL
+function quoteTag(trade, cssClass) {
+    if (!trade.quoteSymbol || trade.quoteSymbol === 'SOL') return '';
+    return `<span class="${cssClass}" title="Paid in ${trade.quoteSymbol}">via ${formatTokenAmount(trade.quoteAmount)} ${trade.quoteSymbol}</span>`;
+}
+
 function formatUsd(amount) {
     if (Math.abs(amount) >= 1e6) return (amount / 1e6).toFixed(1) + 'M';
     if (Math.abs(amount) >= 1e3) return (amount / 1e3).toFixed(1) + 'K';
@@ -184,23 +195,50 @@ async function updateSolPrice() {
 // LEADERBOARD (Kolscan-style)
 // ============================
 
-toggleBtns.forEach(btn => {
+periodBtns.forEach(btn => {
     btn.addEventListener('click', () => {
-        toggleBtns.forEach(b => b.classList.remove('active'));
+        periodBtns.forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
-        const text = btn.textContent.trim().toLowerCase();
-        APP_STATE.leaderboardPeriod = text;
-        fetchLeaderboard(text);
+        APP_STATE.leaderboardPeriod = btn.dataset.period;
+        fetchLeaderboard(APP_STATE.leaderboardPeriod);
     });
 });
 
+alignBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        alignBtns.forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        APP_STATE.leaderboardAlign = btn.dataset.align;
+        fetchLeaderboard(APP_STATE.leaderboardPeriod);
+    });
+});
+
+if (leaderboardSortSelect) {
+    leaderboardSortSelect.onchange = () => {
+        APP_STATE.leaderboardSort = leaderboardSortSelect.value;
+        fetchLeaderboard(APP_STATE.leaderboardPeriod);
+    };
+}
+
+// Query string for the current leaderboard toggles (calendar periods
+// follow the browser's timezone)
+function leaderboardQuery(period = APP_STATE.leaderboardPeriod) {
+    const params = new URLSearchParams({ period, sort: APP_STATE.leaderboardSort });
+    if (APP_STATE.leaderboardAlign === 'calendar') {
+        params.set('align', 'calendar');
+        params.set('tz', Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+    }
+    return params.toString();
+}
+
 async function fetchLeaderboard(period = 'daily') {
+    const label = period === 'all' ? 'all-time' : period;
     leaderboardBody.innerHTML = `<tr><td colspan="4" style="text-align:center; padding:40px; color:#888;">
         <i class="ri-loader-4-line" style="font-size:1.5rem; animation: spin 1s linear infinite;"></i>
-        <div style="margin-top:8px;">Loading ${period} leaderboard...</div>
+        <div style="margin-top:8px;">Loading ${label} leaderboard...</div>
     </td></tr>`;
 
-    const data = await apiFetch(`/leaderboard?period=${period}`);
+    const data = await apiFetch(`/leaderboard?${leaderboardQuery(period)}`);
 
     if (data?.solPrice) {
         APP_STATE.solPrice = data.solPrice;
@@ -223,6 +261,26 @@ async function fetchLeaderboard(period = 'daily') {
     renderLeaderboard(data.leaderboard, data.meta);
 }
 
+// The active sort metric, shown under PnL when sorting by something else
+function sortMetricLabel(entry, sort) {
+    if (sort === 'roi') return `ROI ${entry.roi >= 0 ? '+' : ''}${entry.roi.toFixed(1)}%`;
+    if (sort === 'volume') return `Vol ${formatSol(entry.volume)} Sol`;
+    if (sort === 'winrate') return `Win ${entry.winRate.toFixed(1)}% (${entry.closedPositions})`;
+    if (sort === 'trades') return `${entry.tradeCount} trades`;
+    if (sort === 'unrealized') return `Unrealized ${entry.unrealizedPnl >= 0 ? '+' : '-'}${formatSol(Math.abs(entry.unrealizedPnl))} Sol`;
+    if (sort === 'scam') return entry.scamScore != null ? `Scam score ${entry.scamScore}` : 'Not scored';
+    return '';
+}
+
+function scamLevel(score) {
+    return score >= 60 ? 'high' : score >= 30 ? 'mid' : 'low';
+}
+
+function scamBadge(score) {
+    if (score == null) return '';
+    return `<span class="scam-badge scam-${scamLevel(score)}" title="Scam score (0-100)">☠ ${score}</span>`;
+}
+
 function renderLeaderboard(leaderboard, meta) {
     leaderboardBody.innerHTML = '';
 
@@ -254,7 +312,8 @@ function renderLeaderboard(leaderboard, meta) {
             const pnlClass = entry.pnl >= 0 ? 'pnl-positive' : 'pnl-negative';
             const pnlSign = entry.pnl >= 0 ? '+' : '-';
             const pnlUsd = formatUsd(Math.abs(entry.pnlUsd || entry.pnl * APP_STATE.solPrice));
-            pnlHtml = `<td class="pnl-cell ${pnlClass}">${pnlSign}${formatSol(Math.abs(entry.pnl))} Sol <span class="pnl-usd">($${pnlUsd})</span></td>`;
+            const metric = sortMetricLabel(entry, APP_STATE.leaderboardSort);
+            pnlHtml = `<td class="pnl-cell ${pnlClass}">${pnlSign}${formatSol(Math.abs(entry.pnl))} Sol <span class="pnl-usd">($${pnlUsd})</span>${metric ? `<div class="pnl-usd">${metric}</div>` : ''}</td>`;
         }
 
         const avatarHtml = getAvatarHtml(entry.name, entry.avatar, 'kol-avatar');
@@ -268,6 +327,7 @@ function renderLeaderboard(leaderboard, meta) {
                 <div class="trader-name-row">
                     <span class="trader-name">${entry.name}</span>
                     ${socialIcon}
+                    ${scamBadge(entry.scamScore)}
                     <span class="wallet-inline">${shortWallet}</span>
                 </div>
               </div>
@@ -357,6 +417,7 @@ async function renderTrades() {
           <span class="trade-name kol-link" data-kol="${trade.kolName}">${trade.kolName}${sideTag}</span>
           <span class="trade-verb ${actionClass}">${actionVerb}</span>
           <span class="trade-sol ${actionClass}">${formatSol(trade.amountSol)} sol</span>
+          ${quoteTag(trade, 'trade-quote')}
           <span class="trade-token-amount">${tokenAmtStr}</span>
           <span>of</span>
           ${tokenImg}
@@ -441,6 +502,13 @@ function renderTokenColumn(containerId, tokens) {
             }).join('');
         }
 
+        // Coordinated buying badge (latest cluster in the last 24h)
+        let clusterHtml = '';
+        if (token.cluster) {
+            const span = token.cluster.spanSec < 60 ? `${token.cluster.spanSec}s` : `${Math.round(token.cluster.spanSec / 60)}m`;
+            clusterHtml = `<span class="token-cluster-badge" title="${token.cluster.kols.join(', ')} (${timeAgoShort(token.cluster.startedAt)} ago)">🕸️ ${token.cluster.kolCount} KOLs in ${span}</span>`;
+        }
+
         // Padre.gg link for token name
         const tokenNameHtml = token.mint
             ? `<a href="https://trade.padre.gg/trade/solana/${token.mint}" target="_blank" class="token-card-name token-link">${token.name || token.symbol}</a>`
@@ -453,6 +521,7 @@ function renderTokenColumn(containerId, tokens) {
                     <div class="token-card-meta">
                         ${tokenNameHtml}
                         <span class="token-card-mcap">MC ${mcapStr}</span>
+                        ${clusterHtml}
                     </div>
                 </div>
                 <span class="token-card-change ${changeClass}">${changeSign}${token.priceChange?.toFixed(1) || 0}%</span>
@@ -476,6 +545,7 @@ async function renderProfile(kolName) {
 
     const profileHeader = document.getElementById('profile-header');
     const profileStats = document.getElementById('profile-stats');
+    const profileTradeStats = document.getElementById('profile-trade-stats');
     const profileWallets = document.getElementById('profile-wallets');
     const profileTrades = document.getElementById('profile-trades');
 
@@ -500,14 +570,12 @@ async function renderProfile(kolName) {
         </div>
     `;
 
-    // Stats - fetch from leaderboard
+    // Stats - this KOL's leaderboard figures for the selected period
     profileStats.innerHTML = `<div class="profile-empty"><i class="ri-loader-4-line" style="animation: spin 1s linear infinite;"></i></div>`;
+    profileTradeStats.innerHTML = '';
 
-    const lbData = await apiFetch(`/leaderboard?period=${APP_STATE.leaderboardPeriod}`);
-    let entry = null;
-    if (lbData?.leaderboard) {
-        entry = lbData.leaderboard.find(e => e.name === kol.Name || e.wallet === kol['Wallet Address']);
-    }
+    const statsData = await apiFetch(`/kol/${encodeURIComponent(kol.Name)}/stats?${leaderboardQuery()}`);
+    const entry = statsData?.stats || null;
 
     if (entry) {
         const pnlClass = entry.pnl >= 0 ? 'positive' : 'negative';
@@ -532,6 +600,34 @@ async function renderProfile(kolName) {
                 <span class="profile-stat-label">USD</span>
             </div>
         `;
+
+        const pf = entry.profitFactor;
+        profileTradeStats.innerHTML = `
+            <div class="profile-stat">
+                <span class="profile-stat-value">${entry.closedPositions ? `${entry.winRate.toFixed(1)}%` : '--'}</span>
+                <span class="profile-stat-label">Win Rate (${entry.closedPositions || 0})</span>
+            </div>
+            <div class="profile-stat">
+                <span class="profile-stat-value positive">${entry.avgWin ? `+${formatSol(entry.avgWin)}` : '--'}</span>
+                <span class="profile-stat-label">Avg Win</span>
+            </div>
+            <div class="profile-stat">
+                <span class="profile-stat-value negative">${entry.avgLoss ? `-${formatSol(Math.abs(entry.avgLoss))}` : '--'}</span>
+                <span class="profile-stat-label">Avg Loss</span>
+            </div>
+            <div class="profile-stat">
+                <span class="profile-stat-value">${pf != null ? pf.toFixed(2) : (entry.closedPositions ? '∞' : '--')}</span>
+                <span class="profile-stat-label">Profit Factor</span>
+            </div>
+            <div class="profile-stat">
+                <span class="profile-stat-value negative">${entry.maxDrawdown ? `-${formatSol(entry.maxDrawdown)}` : '--'}</span>
+                <span class="profile-stat-label">Max DD</span>
+            </div>
+            <div class="profile-stat">
+                <span class="profile-stat-value">${formatDuration(entry.medianHoldSec)}</span>
+                <span class="profile-stat-label">Median Hold</span>
+            </div>
+        `;
     } else {
         profileStats.innerHTML = `
             <div class="profile-stat">
@@ -547,6 +643,7 @@ async function renderProfile(kolName) {
                 <span class="profile-stat-label">PnL</span>
             </div>
         `;
+        profileTradeStats.innerHTML = '';
     }
 
     // Wallets section
@@ -607,10 +704,204 @@ async function renderProfile(kolName) {
     // Load main wallet trades by default
     loadMainWalletTrades(kol);
 
+    // Equity curve for the selected range
+    const equityBtns = document.querySelectorAll('.equity-btn');
+    equityBtns.forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.days) === APP_STATE.equityDays);
+        btn.onclick = () => {
+            equityBtns.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            APP_STATE.equityDays = Number(btn.dataset.days);
+            loadEquityCurve(kol);
+        };
+    });
+    loadEquityCurve(kol);
+
+    // Copy-trade backtest form
+    const backtestForm = document.getElementById('backtest-form');
+    document.getElementById('backtest-result').innerHTML = '';
+    backtestForm.onsubmit = (e) => {
+        e.preventDefault();
+        runBacktestForm(kol, backtestForm);
+    };
+
+    // Scam score breakdown
+    loadScamScore(kol);
+
     // Load Token PnL
     loadTokenPnl(kol);
 }
 
+// ============================
+// COPY-TRADE BACKTEST (Profile)
+// ============================
+
+async function runBacktestForm(kol, form) {
+    const container = document.getElementById('backtest-result');
+    const fields = form.elements;
+    const params = new URLSearchParams({
+        kols: kol.Name,
+        days: fields.days.value,
+        delay: fields.delay.value || '0',
+        sizing: fields.sizing.value,
+        slippage: fields.slippage.value || '0',
+        fee: fields.fee.value || '0',
+        mirror: fields.mirror.checked ? 'true' : 'false',
+    });
+    // Proportional sizing takes a percentage in the form, a ratio in the API
+    if (fields.sizing.value === 'proportional') params.set('ratio', String((parseFloat(fields.size.value) || 0) / 100));
+    else params.set('size', fields.size.value);
+    if (fields.tp.value) params.set('tp', fields.tp.value);
+    if (fields.sl.value) params.set('sl', fields.sl.value);
+
+    container.innerHTML = `<div class="profile-empty"><i class="ri-loader-4-line" style="animation: spin 1s linear infinite;"></i> Running backtest...</div>`;
+    const data = await apiFetch(`/backtest?${params}`);
+    if (!data) {
+        container.innerHTML = `<div class="profile-empty">Backtest failed — check the inputs</div>`;
+        return;
+    }
+    if (data.summary.trades === 0) {
+        container.innerHTML = `<div class="profile-empty">No trades to copy in this period</div>`;
+        return;
+    }
+
+    const s = data.summary;
+    const cls = (v) => (v >= 0 ? 'positive' : 'negative');
+    const signed = (v) => `${v >= 0 ? '+' : '-'}${formatSol(Math.abs(v))}`;
+    const reasons = { copy: 'Copy', mirror: 'Mirror', take_profit: 'TP', stop_loss: 'SL' };
+    const rows = data.trades.slice(-20).reverse().map(t => `
+        <div class="profile-trade-row">
+            <span class="profile-trade-action ${t.action.toLowerCase()}">${t.action}</span>
+            <span class="profile-trade-token">${t.symbol || t.mint.slice(0, 6)}</span>
+            <span class="profile-trade-quote">${reasons[t.reason] || t.reason}</span>
+            <span class="profile-trade-sol">${formatSol(t.sol)} Sol</span>
+            <span class="${t.pnlSol == null ? '' : `profile-stat-value ${cls(t.pnlSol)}`}">${t.pnlSol == null ? '' : signed(t.pnlSol)}</span>
+            <span class="profile-trade-time">${timeAgo(t.t)}</span>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="profile-stats-row">
+            <div class="profile-stat">
+                <span class="profile-stat-value ${cls(s.totalPnl)}">${signed(s.totalPnl)} Sol</span>
+                <span class="profile-stat-label">PnL</span>
+            </div>
+            <div class="profile-stat">
+                <span class="profile-stat-value ${cls(s.roi)}">${s.roi.toFixed(1)}%</span>
+                <span class="profile-stat-label">ROI</span>
+            </div>
+            <div class="profile-stat">
+                <span class="profile-stat-value">${s.closedTrades ? `${s.winRate.toFixed(1)}%` : '--'}</span>
+                <span class="profile-stat-label">Win Rate (${s.closedTrades})</span>
+            </div>
+            <div class="profile-stat">
+                <span class="profile-stat-value negative">${s.maxDrawdown ? `-${formatSol(s.maxDrawdown)}` : '--'}</span>
+                <span class="profile-stat-label">Max DD</span>
+            </div>
+            <div class="profile-stat">
+                <span class="profile-stat-value">${formatSol(s.invested)} Sol</span>
+                <span class="profile-stat-label">Invested</span>
+            </div>
+        </div>
+        <div class="equity-chart">${renderEquityChart({ points: data.equity, summary: s })}</div>
+        <div class="backtest-log">${rows}</div>
+    `;
+}
+
+// ============================
+// SCAM SCORE (Profile)
+// ============================
+
+async function loadScamScore(kol) {
+    const total = document.getElementById('scam-score-total');
+    const container = document.getElementById('scam-factors');
+    if (!total || !container) return;
+    total.textContent = '--';
+    total.className = 'scam-score-total';
+    container.innerHTML = `<div class="profile-empty"><i class="ri-loader-4-line" style="animation: spin 1s linear infinite;"></i></div>`;
+
+    const data = await apiFetch(`/kol/${encodeURIComponent(kol.Name)}/scam-score`);
+    if (!data || !data.factors || data.factors.length === 0) {
+        container.innerHTML = `<div class="profile-empty">Not scored yet</div>`;
+        return;
+    }
+
+    if (data.score != null) {
+        total.textContent = `${data.score} / 100`;
+        total.classList.add(`scam-${scamLevel(data.score)}`);
+    }
+
+    container.innerHTML = (data.score == null
+        ? `<div class="profile-empty">Fewer than ${data.minTrades} trades in the last ${data.days}d — not enough activity to score</div>`
+        : '') + data.factors.map(f => `
+            <div class="scam-factor" title="${f.description}">
+                <span class="scam-factor-label">${f.label}</span>
+                <div class="scam-factor-bar"><div class="scam-factor-fill" style="width:${(f.value * 100).toFixed(0)}%"></div></div>
+                <span class="scam-factor-points">${f.points.toFixed(1)} / ${f.weight}</span>
+            </div>
+        `).join('');
+}
+
+// ============================
+// EQUITY CURVE (Profile)
+// ============================
+
+async function loadEquityCurve(kol) {
+    const container = document.getElementById('equity-chart');
+    if (!container) return;
+    container.innerHTML = `<div class="profile-empty"><i class="ri-loader-4-line" style="animation: spin 1s linear infinite;"></i></div>`;
+
+    const data = await apiFetch(`/kol/${encodeURIComponent(kol.Name)}/equity?days=${APP_STATE.equityDays}`);
+    if (!data?.points?.length || (data.summary.trades === 0 && data.points.every(p => p.equity === 0))) {
+        container.innerHTML = `<div class="profile-empty">No trades in this range</div>`;
+        return;
+    }
+    container.innerHTML = renderEquityChart(data);
+}
+
+// Inline SVG: equity (realized + mark-to-market) line, realized dashed
+// line and volume bars along the bottom
+function renderEquityChart(data) {
+    const W = 600, H = 200, PAD = 6, VOL_H = 36;
+    const points = data.points;
+    const values = points.flatMap(p => [p.equity, p.realizedPnl]);
+    const max = Math.max(0, ...values);
+    const min = Math.min(0, ...values);
+    const span = max - min || 1;
+    const maxVol = Math.max(...points.map(p => p.volume)) || 1;
+    const step = points.length > 1 ? (W - PAD * 2) / (points.length - 1) : 0;
+    const x = (i) => PAD + i * step;
+    const y = (v) => PAD + (max - v) / span * (H - VOL_H - PAD * 2);
+
+    const signed = (v) => `${v >= 0 ? '+' : '-'}${formatSol(Math.abs(v))} Sol`;
+    const line = (key) => points.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+    const barW = Math.max(step * 0.6, 1);
+    const bars = points.map((p, i) => {
+        const h = p.volume / maxVol * (VOL_H - 4);
+        const label = `${new Date(p.t * 1000).toLocaleString()}\n${p.trades} trades, ${formatSol(p.volume)} Sol\nPnL ${signed(p.equity)}`;
+        return `<rect x="${(x(i) - barW / 2).toFixed(1)}" y="${(H - h).toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" fill="#333"><title>${label}</title></rect>`;
+    }).join('');
+
+    const last = points[points.length - 1];
+    const color = last.equity >= 0 ? 'var(--accent-green)' : 'var(--accent-red)';
+    const cls = (v) => (v >= 0 ? 'profit' : 'loss');
+
+    return `
+        <svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">
+            ${bars}
+            <line x1="0" x2="${W}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="#444" stroke-dasharray="2,3" />
+            <polyline points="${line('realizedPnl')}" fill="none" stroke="#888" stroke-width="1.5" stroke-dasharray="4,3" vector-effect="non-scaling-stroke" />
+            <polyline points="${line('equity')}" fill="none" stroke="${color}" stroke-width="2" vector-effect="non-scaling-stroke" />
+        </svg>
+        <div class="equity-legend">
+            <span>PnL <span class="equity-value ${cls(last.equity)}">${signed(last.equity)}</span></span>
+            <span>Realized <span class="equity-value ${cls(last.realizedPnl)}">${signed(last.realizedPnl)}</span></span>
+            <span>${data.summary.trades} trades</span>
+            <span>Vol ${formatSol(data.summary.volume)} Sol</span>
+        </div>
+    `;
+}
+
 async function loadMainWalletTrades(kol) {
     const profileTrades = document.getElementById('profile-trades');
     profileTrades.innerHTML = `<div class="profile-empty"><i class="ri-loader-4-line" style="animation: spin 1s linear infinite;"></i> Loading trades...</div>`;
@@ -633,6 +924,7 @@ async function loadMainWalletTrades(kol) {
             <span class="profile-trade-token">${trade.tokenSymbol}</span>
             <span class="profile-trade-amount">${formatTokenAmount(trade.tokenAmount)}</span>
             <span class="profile-trade-sol">${formatSol(trade.amountSol)} Sol</span>
+            ${quoteTag(trade, 'profile-trade-quote')}
             <span class="profile-trade-time">${timeAgo(trade.timestamp)}</span>
         `;
         profileTrades.appendChild(row);
@@ -651,6 +943,22 @@ async function loadBundleTrades(kol) {
     }
 
     profileTrades.innerHTML = '';
+
+    // Main wallet buying while bundles dump the same token
+    (data.divergences || []).forEach(flag => {
+        const d = flag.details;
+        const row = document.createElement('div');
+        row.className = 'profile-trade-row divergence-row';
+        row.title = (d.evidence || []).map(e => `${e.isSideWallet ? 'Bundle' : 'Main'} ${e.action} ${formatSol(e.amountSol)} Sol`).join('\n');
+        row.innerHTML = `
+            <span class="divergence-tag">⚠️ Divergence</span>
+            <span class="profile-trade-token">${flag.symbol}</span>
+            <span class="pos-buy">Main ${formatSol(d.mainBoughtSol)} Sol</span>
+            <span class="pos-sell">Bundles ${formatSol(d.sideSoldSol)} Sol</span>
+            <span class="profile-trade-time">${timeAgo(flag.occurredAt)}</span>
+        `;
+        profileTrades.appendChild(row);
+    });
     data.trades.forEach(trade => {
         const row = document.createElement('div');
         row.className = 'profile-trade-row bundle-trade';
@@ -924,6 +1232,7 @@ async function fetchTickerTrades() {
                 <span class="ticker-name kol-link" data-kol="${trade.kolName}">${trade.kolName}${tickerSideTag}</span>
                 <span class="ticker-verb">${actionVerb}</span>
                 <span class="ticker-sol ${actionClass}">${formatSol(trade.amountSol)} sol</span>
+                ${quoteTag(trade, 'ticker-quote')}
                 <span class="ticker-token-amt">${tokenAmtStr}</span>
                 <span>of</span>
                 ${tokenImg}
@@ -0,0 +1,89 @@
+// ============================
+// Kolscam: copy-trade backtester tests
+// ============================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest } from '../backtest.js';
+import { tradeRow, close } from './helpers.js';
+
+function trade(action, sol, tokens, ts, extra = {}) {
+    return tradeRow({
+        kol_name: 'kol', wallet: 'w', action, token_mint: 'mint', token_symbol: 'TKN',
+        amount_sol: sol, token_amount: tokens, tx_timestamp: ts, ...extra,
+    });
+}
+const base = { slippagePct: 0, feeSol: 0, interval: 100 };
+
+test('mirrors a round trip at the KOL\'s fills', () => {
+    const { trades, summary } = runBacktest([
+        trade('Buy', 1, 1000, 0),
+        trade('Sell', 3, 1000, 50),
+    ], new Map(), { ...base, sizeSol: 2 });
+
+    assert.deepEqual(trades.map(t => [t.action, t.reason]), [['Buy', 'copy'], ['Sell', 'mirror']]);
+    close(trades[0].tokens, 2000);
+    close(summary.realizedPnl, 4);
+    close(summary.roi, 200);
+    assert.equal(summary.openPositions, 0);
+    assert.equal(summary.winRate, 100);
+});
+
+test('partial KOL sells are mirrored as the same fraction', () => {
+    const { trades, summary } = runBacktest([
+        trade('Buy', 1, 1000, 0),
+        trade('Sell', 1, 250, 10),
+    ], new Map(), { ...base, sizing: 'proportional', sizeRatio: 0.5 });
+    close(trades[0].sol, 0.5);
+    close(trades[1].tokens, 125);
+    assert.equal(summary.openPositions, 1);
+});
+
+test('entry delay prices off snapshot moves; slippage and fees cut the result', () => {
+    const snapshots = new Map([['mint', [
+        { timestamp: 0, price_usd: 1 },
+        { timestamp: 30, price_usd: 2 },
+    ]]]);
+    const { trades, summary } = runBacktest([
+        trade('Buy', 1, 1000, 0),
+        trade('Sell', 4, 1000, 60),
+    ], snapshots, { ...base, entryDelaySec: 30, sizeSol: 1, slippagePct: 10, feeSol: 0.01 });
+
+    // Entry at twice the KOL's fill (snapshot doubled), plus 10%
+    close(trades[0].priceSol, 0.002 * 1.1);
+    // Exit 30s after the KOL's sell, still at the sell fill less 10%
+    close(trades[1].priceSol, 0.004 * 0.9);
+    const tokens = 1 / 0.0022;
+    close(summary.realizedPnl, tokens * 0.0036 - 0.01 - 1.01);
+});
+
+test('take-profit and stop-loss exit on snapshots without mirroring', () => {
+    const snapshots = new Map([['mint', [
+        { timestamp: 0, price_usd: 1 },
+        { timestamp: 100, price_usd: 1.2 },
+        { timestamp: 200, price_usd: 1.6 },
+    ]]]);
+    const tp = runBacktest([trade('Buy', 1, 1000, 0)], snapshots, { ...base, mirrorSells: false, takeProfitPct: 50, to: 300 });
+    assert.deepEqual(tp.trades.map(t => [t.reason, t.t]), [['copy', 0], ['take_profit', 200]]);
+    close(tp.summary.realizedPnl, 0.6);
+
+    const dropping = new Map([['mint', [{ timestamp: 0, price_usd: 1 }, { timestamp: 100, price_usd: 0.4 }]]]);
+    const sl = runBacktest([trade('Buy', 1, 1000, 0)], dropping, { ...base, mirrorSells: false, stopLossPct: 50, to: 300 });
+    assert.equal(sl.trades[1].reason, 'stop_loss');
+    close(sl.summary.realizedPnl, -0.6);
+});
+
+test('equity curve marks open positions and tracks drawdown', () => {
+    const snapshots = new Map([['mint', [
+        { timestamp: 0, price_usd: 1 },
+        { timestamp: 150, price_usd: 2 },
+        { timestamp: 250, price_usd: 0.5 },
+    ]]]);
+    const { equity, summary } = runBacktest([trade('Buy', 1, 1000, 0)], snapshots, { ...base, to: 299 });
+    assert.deepEqual(equity.map(p => p.t), [0, 100, 200]);
+    close(equity[0].equity, 0);
+    close(equity[1].equity, 1);
+    close(equity[2].equity, -0.5);
+    close(summary.maxDrawdown, 1.5);
+    assert.equal(summary.openPositions, 1);
+});
@@ -0,0 +1,82 @@
+// ============================
+// Kolscam: coordinated buying detection tests
+// ============================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectClusters, scorePairs } from '../clusters.js';
+import { tradeRow } from './helpers.js';
+
+function buy(kol, ts, sol = 1) {
+    return tradeRow({ wallet: `${kol}-wallet`, kol_name: kol, amount_sol: sol, tx_timestamp: ts });
+}
+
+test('distinct KOLs buying within the window form one cluster', () => {
+    const events = detectClusters([
+        buy('a', 100, 1),
+        buy('b', 160, 2),
+        buy('a', 200, 0.5),
+        buy('c', 390, 3),
+        buy('d', 500, 1), // outside the window of the first buy
+    ], { windowSec: 300, minKols: 3 });
+
+    assert.equal(events.length, 1);
+    const [event] = events;
+    assert.equal(event.startedAt, 100);
+    assert.equal(event.endedAt, 390);
+    assert.equal(event.kolCount, 3);
+    assert.equal(event.buyCount, 4);
+    assert.equal(event.totalSol, 6.5);
+    const a = event.members.find(m => m.kolName === 'a');
+    assert.equal(a.firstBuyAt, 100);
+    assert.equal(a.buyCount, 2);
+    assert.equal(a.amountSol, 1.5);
+});
+
+test('repeat buys by one KOL do not count toward the threshold', () => {
+    const events = detectClusters([
+        buy('a', 0), buy('a', 10), buy('a', 20), buy('b', 30),
+    ], { windowSec: 300, minKols: 3 });
+    assert.equal(events.length, 0);
+});
+
+test('a cluster can start after a lone early buy, and clusters do not overlap', () => {
+    const events = detectClusters([
+        buy('z', 0),
+        buy('a', 400), buy('b', 410), buy('c', 420),
+        buy('d', 430), buy('e', 800), buy('f', 810),
+    ], { windowSec: 60, minKols: 3 });
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].startedAt, 400);
+    assert.deepEqual(events[0].members.map(m => m.kolName), ['a', 'b', 'c', 'd']);
+});
+
+test('input order does not matter', () => {
+    const events = detectClusters([buy('c', 30), buy('a', 10), buy('b', 20)], { windowSec: 60, minKols: 3 });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].startedAt, 10);
+});
+
+test('pair scores decay with age and overlap uses the smaller KOL total', () => {
+    const day = 86400;
+    const event = (startedAt, ...kols) => ({ startedAt, members: kols.map(kolName => ({ kolName })) });
+    const pairs = scorePairs([
+        event(10 * day, 'b', 'a', 'c'),
+        event(20 * day, 'a', 'b'),
+        event(20 * day, 'a', 'd'),
+    ], { now: 20 * day, halfLifeSec: 10 * day });
+
+    const ab = pairs.find(p => p.kolA === 'a' && p.kolB === 'b');
+    assert.equal(ab.coEvents, 2);
+    assert.ok(Math.abs(ab.score - 1.5) < 1e-9);
+    assert.equal(ab.firstAt, 10 * day);
+    assert.equal(ab.lastAt, 20 * day);
+    // a is in 3 events, b in 2
+    assert.equal(ab.overlap, 1);
+
+    const ac = pairs.find(p => p.kolA === 'a' && p.kolB === 'c');
+    assert.equal(ac.coEvents, 1);
+    assert.ok(Math.abs(ac.score - 0.5) < 1e-9);
+    assert.equal(pairs.length, 4);
+});
@@ -0,0 +1,64 @@
+// ============================
+// Kolscam: side-wallet divergence tests
+// ============================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectSideDivergence } from '../divergence.js';
+import { tradeRow } from './helpers.js';
+
+function trade(wallet, action, sol, tokens, ts) {
+    return tradeRow({ wallet, action, amount_sol: sol, token_amount: tokens, tx_timestamp: ts });
+}
+
+const opts = { mainWallet: 'main', windowSec: 600, minSideSol: 0.5 };
+
+test('main buying while side wallets sell is flagged with evidence', () => {
+    const episodes = detectSideDivergence([
+        trade('side1', 'Buy', 0.2, 5000, 500),
+        trade('main', 'Buy', 2, 1000, 1000),
+        trade('side1', 'Sell', 1.5, 4000, 1100),
+        trade('side2', 'Sell', 1, 2000, 1500),
+        trade('side1', 'Sell', 9, 1000, 5000), // outside the window
+    ], opts);
+
+    assert.equal(episodes.length, 1);
+    const [e] = episodes;
+    assert.equal(e.startedAt, 1000);
+    assert.equal(e.mainBoughtSol, 2);
+    assert.equal(e.sideSellCount, 2);
+    assert.equal(e.sideSoldSol, 2.5);
+    assert.ok(Math.abs(e.netSideSol - 2.3) < 1e-9);
+    assert.deepEqual(e.sideWallets, ['side1', 'side2']);
+    assert.deepEqual(e.evidence.map(t => t.timestamp), [500, 1000, 1100, 1500]);
+    assert.equal(e.evidence[1].isSideWallet, false);
+});
+
+test('side wallets buying alongside the main wallet are not flagged', () => {
+    const episodes = detectSideDivergence([
+        trade('main', 'Buy', 2, 1000, 1000),
+        trade('side1', 'Buy', 2, 1000, 1010),
+        trade('side1', 'Sell', 1, 500, 1200),
+    ], opts);
+    assert.equal(episodes.length, 0);
+});
+
+test('net side selling below the minimum is ignored', () => {
+    const episodes = detectSideDivergence([
+        trade('main', 'Buy', 2, 1000, 1000),
+        trade('side1', 'Sell', 0.3, 500, 1200),
+    ], opts);
+    assert.equal(episodes.length, 0);
+});
+
+test('main buys far apart are separate episodes', () => {
+    const episodes = detectSideDivergence([
+        trade('main', 'Buy', 1, 100, 0),
+        trade('side1', 'Sell', 1, 100, 100),
+        trade('main', 'Buy', 1, 100, 10000),
+        trade('side1', 'Sell', 2, 100, 10100),
+        trade('side1', 'Sell', 2, 100, 20000), // no main buy nearby
+    ], opts);
+    assert.deepEqual(episodes.map(e => e.startedAt), [0, 10000]);
+    assert.deepEqual(episodes.map(e => e.sideSoldSol), [1, 2]);
+});
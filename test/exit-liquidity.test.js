@@ -0,0 +1,46 @@
+// ============================
+// Kolscam: exit-liquidity pairing tests
+// ============================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pairExitLiquidity } from '../exit-liquidity.js';
+import { tradeRow } from './helpers.js';
+
+function trade(kol, action, sol, ts) {
+    return tradeRow({ wallet: `${kol}-wallet`, kol_name: kol, action, amount_sol: sol, tx_timestamp: ts });
+}
+
+test('a sell is matched to other KOLs\' buys in the window, nearest first', () => {
+    const pairs = pairExitLiquidity([
+        trade('b', 'Buy', 1, 700),
+        trade('c', 'Buy', 2, 1100),
+        trade('a', 'Sell', 2.5, 1000),
+        trade('d', 'Buy', 5, 5000), // outside the window
+    ], { windowSec: 600 });
+
+    assert.deepEqual(pairs.map(p => [p.sellerKol, p.buyerKol, p.sol]), [['a', 'c', 2], ['a', 'b', 0.5]]);
+    assert.equal(pairs[0].buyAt, 1100);
+    assert.equal(pairs[0].sellAt, 1000);
+});
+
+test('the seller\'s own buys are never counted', () => {
+    const pairs = pairExitLiquidity([
+        trade('a', 'Buy', 3, 990),
+        trade('a', 'Sell', 2, 1000),
+    ], { windowSec: 600 });
+    assert.equal(pairs.length, 0);
+});
+
+test('a buy absorbs at most what it spent across several sells', () => {
+    const pairs = pairExitLiquidity([
+        trade('b', 'Buy', 1, 1000),
+        trade('a', 'Sell', 0.6, 1010),
+        trade('c', 'Sell', 0.6, 1020),
+    ], { windowSec: 600 });
+    assert.deepEqual(pairs.map(p => [p.sellerKol, p.sol]), [['a', 0.6], ['c', 0.4]]);
+});
+
+test('sells without concurrent buys produce nothing', () => {
+    assert.deepEqual(pairExitLiquidity([trade('a', 'Sell', 1, 0), trade('b', 'Buy', 1, 10000)]), []);
+});
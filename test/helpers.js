@@ -0,0 +1,18 @@
+// ============================
+// Kolscam: shared test helpers
+// ============================
+
+import assert from 'node:assert/strict';
+
+let nextId = 1;
+
+/**
+ * A kol_trades row for the pure engine tests. Every row gets the next id
+ * and a signature unique to it; the rest comes from `fields`.
+ */
+export function tradeRow(fields) {
+    const id = nextId++;
+    return { id, signature: `sig${id}`, ...fields };
+}
+
+export const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
@@ -0,0 +1,100 @@
+// ============================
+// Kolscam: shared HTTP client tests
+// Runs against a local server that scripts its responses per request.
+// ============================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { request, requestJson, configureHost, getHttpMetrics, HttpError, CircuitOpenError } from '../http-client.js';
+
+// Replies with the scripted responses in order, then 200 {"ok":true}
+function startScriptedServer(script) {
+    let calls = 0;
+    const server = http.createServer((req, res) => {
+        const step = script[calls++] || { status: 200 };
+        res.writeHead(step.status, { 'Content-Type': 'application/json', ...step.headers });
+        res.end(JSON.stringify(step.status === 200 ? { ok: true } : { error: step.status }));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        const host = `127.0.0.1:${server.address().port}`;
+        configureHost(host, { ratePerSec: 100, burst: 100, baseDelayMs: 10, maxRetries: 3, breakerThreshold: 2, breakerCooldownMs: 60000 });
+        resolve({ server, host, url: `http://${host}/`, calls: () => calls });
+    }));
+}
+
+test('retries 429 honouring Retry-After, then succeeds', async () => {
+    const { server, host, url, calls } = await startScriptedServer([
+        { status: 429, headers: { 'Retry-After': '0' } },
+        { status: 503 },
+    ]);
+    try {
+        assert.deepEqual(await requestJson(url), { ok: true });
+        assert.equal(calls(), 3);
+        const m = getHttpMetrics()[host];
+        assert.equal(m.rateLimited, 1);
+        assert.equal(m.retries, 2);
+        assert.equal(m.breaker, 'closed');
+    } finally {
+        server.close();
+    }
+});
+
+test('does not retry client errors', async () => {
+    const { server, url, calls } = await startScriptedServer([{ status: 404 }]);
+    try {
+        await assert.rejects(request(url), (err) => err instanceof HttpError && err.status === 404 && !err.retryable);
+        assert.equal(calls(), 1);
+    } finally {
+        server.close();
+    }
+});
+
+test('opens the circuit after consecutive failures and fails fast', async () => {
+    const { server, host, url, calls } = await startScriptedServer([{ status: 500 }, { status: 500 }, { status: 500 }]);
+    try {
+        await assert.rejects(request(url, { retries: 5 }), CircuitOpenError);
+        assert.equal(calls(), 2);
+        await assert.rejects(request(url), CircuitOpenError);
+        assert.equal(calls(), 2);
+        const m = getHttpMetrics()[host];
+        assert.equal(m.breaker, 'open');
+        assert.equal(m.circuitRejections, 2);
+    } finally {
+        server.close();
+    }
+});
+
+test('client errors do not open the circuit', async () => {
+    const { server, host, url, calls } = await startScriptedServer([{ status: 404 }, { status: 400 }, { status: 404 }]);
+    try {
+        for (const status of [404, 400, 404]) {
+            await assert.rejects(request(url), (err) => err.status === status);
+        }
+        assert.deepEqual(await requestJson(url), { ok: true });
+        assert.equal(calls(), 4);
+        const m = getHttpMetrics()[host];
+        assert.equal(m.breaker, 'closed');
+        assert.equal(m.consecutiveFailures, 0);
+    } finally {
+        server.close();
+    }
+});
+
+test('half-open lets a single trial request through', async () => {
+    const { server, host, url, calls } = await startScriptedServer([{ status: 500 }, { status: 500 }]);
+    try {
+        await assert.rejects(request(url, { retries: 5 }), CircuitOpenError);
+        assert.equal(calls(), 2);
+
+        // Cooldown over: concurrent callers race for the one trial slot
+        configureHost(host, { breakerCooldownMs: 0 });
+        const results = await Promise.allSettled([request(url), request(url), request(url)]);
+        assert.equal(calls(), 3);
+        assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+        assert.ok(results.filter(r => r.status === 'rejected').every(r => r.reason instanceof CircuitOpenError));
+        assert.equal(getHttpMetrics()[host].breaker, 'closed');
+    } finally {
+        server.close();
+    }
+});
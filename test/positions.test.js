@@ -0,0 +1,122 @@
+// ============================
+// Kolscam: FIFO position engine tests
+// ============================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchPositions, positionStats } from '../positions.js';
+import { tradeRow, close } from './helpers.js';
+
+function trade(action, tokens, sol, ts, extra = {}) {
+    return tradeRow({
+        wallet: 'main', kol_name: 'kol', action,
+        token_amount: tokens, amount_sol: sol, tx_timestamp: ts,
+        sol_price_usd: 100, ...extra,
+    });
+}
+
+test('sells close the oldest lots first', () => {
+    const { lots, closed } = matchPositions([
+        trade('Buy', 100, 1, 10),
+        trade('Buy', 100, 3, 20),
+        trade('Sell', 150, 6, 30),
+    ]);
+
+    assert.equal(closed.length, 2);
+    // First lot fully: 100 tokens cost 1, proceeds 4
+    close(closed[0].costSol, 1);
+    close(closed[0].proceedsSol, 4);
+    close(closed[0].pnlSol, 3);
+    assert.equal(closed[0].openedAt, 10);
+    // Half of the second lot: 50 tokens cost 1.5, proceeds 2
+    close(closed[1].costSol, 1.5);
+    close(closed[1].pnlSol, 0.5);
+
+    assert.equal(lots.length, 1);
+    close(lots[0].qty, 50);
+    close(lots[0].costSol, 1.5);
+    close(lots[0].costUsd, 150);
+});
+
+test('replays in timestamp order regardless of input order', () => {
+    const sell = trade('Sell', 100, 2, 20);
+    const buy = trade('Buy', 100, 1, 10);
+    const { lots, closed } = matchPositions([sell, buy]);
+    assert.equal(lots.length, 0);
+    assert.equal(closed.length, 1);
+    close(closed[0].pnlSol, 1);
+});
+
+test('sells without an earlier buy are unmatched with no PnL', () => {
+    const { lots, closed } = matchPositions([
+        trade('Sell', 40, 2, 5),
+        trade('Buy', 100, 1, 10),
+        trade('Sell', 150, 3, 20),
+    ]);
+
+    assert.equal(lots.length, 0);
+    assert.deepEqual(closed.map(c => c.unmatched), [true, false, true]);
+    close(closed[0].proceedsSol, 2);
+    assert.equal(closed[0].pnlSol, 0);
+    close(closed[1].proceedsSol, 2);
+    close(closed[1].pnlSol, 1);
+    close(closed[2].qty, 50);
+    close(closed[2].proceedsSol, 1);
+});
+
+test('USD uses each trade\'s SOL rate, falling back when unknown', () => {
+    const { closed } = matchPositions([
+        trade('Buy', 10, 1, 10, { sol_price_usd: 0 }),
+        trade('Sell', 10, 1, 20, { sol_price_usd: 200 }),
+    ], { fallbackSolPrice: 150 });
+    close(closed[0].costUsd, 150);
+    close(closed[0].proceedsUsd, 200);
+    close(closed[0].pnlUsd, 50);
+    close(closed[0].pnlSol, 0);
+});
+
+test('pooled trades match across wallets', () => {
+    const { lots, closed } = matchPositions([
+        trade('Buy', 100, 1, 10, { wallet: 'side' }),
+        trade('Sell', 100, 2, 20, { wallet: 'main' }),
+    ]);
+    assert.equal(lots.length, 0);
+    assert.equal(closed[0].wallet, 'main');
+    assert.equal(closed[0].unmatched, false);
+});
+
+test('rows without a token amount are skipped', () => {
+    const { lots, closed } = matchPositions([
+        trade('Buy', 0, 1, 10),
+        trade('Sell', 0, 2, 20),
+        trade('Transfer', 5, 0, 30),
+    ]);
+    assert.equal(lots.length, 0);
+    assert.equal(closed.length, 0);
+});
+
+test('position stats: win rate, averages, profit factor, drawdown, median hold', () => {
+    const pos = (costSol, proceedsSol, openedAt, closedAt) => ({ costSol, proceedsSol, pnlSol: proceedsSol - costSol, openedAt, closedAt });
+    const stats = positionStats([
+        pos(1, 3, 0, 100),    // +2
+        pos(1, 0.5, 50, 200), // -0.5
+        pos(2, 0.5, 100, 400), // -1.5
+        pos(1, 2, 300, 500),  // +1
+    ]);
+    assert.equal(stats.closedPositions, 4);
+    assert.equal(stats.winRate, 50);
+    close(stats.avgWin, 1.5);
+    close(stats.avgLoss, -1);
+    close(stats.profitFactor, 1.5);
+    // Cumulative 2, 1.5, 0, 1 -> peak 2, trough 0
+    close(stats.maxDrawdown, 2);
+    assert.equal(stats.medianHoldSec, 175);
+});
+
+test('position stats: no losses gives a null profit factor', () => {
+    const stats = positionStats([{ costSol: 1, proceedsSol: 2, pnlSol: 1, openedAt: 0, closedAt: 60 }]);
+    assert.equal(stats.profitFactor, null);
+    assert.equal(stats.maxDrawdown, 0);
+    assert.equal(stats.winRate, 100);
+    assert.equal(positionStats([]).closedPositions, 0);
+});
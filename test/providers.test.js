@@ -0,0 +1,95 @@
+// ============================
+// Kolscam: data provider tests
+// Serves jsonParsed getTransaction payloads from test/fixtures/rpc
+// through a local mock JSON-RPC endpoint and checks the RPC provider
+// normalizes them into trades the parser reads the same way as Helius.
+// ============================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+process.env.DATABASE_PATH = ':memory:';
+const { db, upsertTokenMarketData } = await import('../db.js');
+const { parseTransaction, setSolPrice } = await import('../parser.js');
+const { createRpcProvider, normalizeRpcTransaction } = await import('../providers.js');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'rpc');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.json')).sort()
+    .map(f => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, f), 'utf8')));
+
+function loadTokenCache(fixture) {
+    db.exec('DELETE FROM token_cache');
+    for (const t of fixture.tokenCache || []) {
+        upsertTokenMarketData.run(t.mint, t.name || '', t.symbol || '', '', 0, t.price_usd || 0, 0);
+    }
+    setSolPrice(150);
+}
+
+function pickExpected(trade, expected) {
+    const actual = {};
+    for (const field of Object.keys(expected)) actual[field] = trade?.[field];
+    return actual;
+}
+
+// Minimal JSON-RPC server: signatures per wallet, transactions by signature
+function startMockRpc(fixtures) {
+    const bySignature = new Map(fixtures.map(f => [f.signature, f.rpcTx]));
+    const byWallet = new Map();
+    for (const f of fixtures) {
+        if (!byWallet.has(f.wallet)) byWallet.set(f.wallet, []);
+        byWallet.get(f.wallet).push({ signature: f.signature, blockTime: f.rpcTx.blockTime, err: null });
+    }
+
+    const handle = ({ id, method, params }) => {
+        if (method === 'getSignaturesForAddress') return { jsonrpc: '2.0', id, result: byWallet.get(params[0]) || [] };
+        if (method === 'getTransaction') return { jsonrpc: '2.0', id, result: bySignature.get(params[0]) || null };
+        return { jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } };
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const payload = JSON.parse(body);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(Array.isArray(payload) ? payload.map(handle) : handle(payload)));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+for (const fixture of fixtures) {
+    test(`normalize: ${fixture.name}`, () => {
+        loadTokenCache(fixture);
+        const tx = normalizeRpcTransaction(fixture.signature, fixture.rpcTx);
+        const [trade] = parseTransaction(tx, 'FIXTURE', '', fixture.wallet, {});
+        assert.deepEqual(pickExpected(trade, fixture.expected), fixture.expected);
+    });
+}
+
+test('rpc provider fetches and normalizes a wallet page from a mock endpoint', async () => {
+    const server = await startMockRpc(fixtures);
+    try {
+        const url = `http://127.0.0.1:${server.address().port}`;
+        for (const batchSize of [20, 1]) {
+            const provider = createRpcProvider({ url, batchSize });
+            const fixture = fixtures[0];
+            loadTokenCache(fixture);
+            const txs = await provider.fetchTransactions(fixture.wallet, { limit: 100 });
+            assert.equal(txs.length, 1);
+            assert.equal(txs[0].signature, fixture.signature);
+            assert.equal(txs[0].timestamp, fixture.rpcTx.blockTime);
+            const [trade] = parseTransaction(txs[0], 'FIXTURE', '', fixture.wallet, {});
+            assert.deepEqual(pickExpected(trade, fixture.expected), fixture.expected);
+        }
+        assert.deepEqual(await createRpcProvider({ url }).fetchTransactions('NoHistory1111111111111111111111111111111111'), []);
+    } finally {
+        server.close();
+    }
+});
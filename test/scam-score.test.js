@@ -0,0 +1,51 @@
+// ============================
+// Kolscam: scam score tests
+// ============================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scamScore, SCAM_FACTORS } from '../scam-score.js';
+
+const base = {
+    tradeCount: 50, buySol: 100, sellSol: 100, mintsBought: 20,
+    sideDumpSol: 0, sellIntoBuysSol: 0, closedMain: 10, shortHoldsMain: 0,
+    earlyClusters: 0, unmatchedSol: 0,
+};
+
+const factor = (result, key) => result.factors.find(f => f.key === key);
+
+test('factor weights sum to 100', () => {
+    assert.equal(SCAM_FACTORS.reduce((sum, f) => sum + f.weight, 0), 100);
+});
+
+test('clean activity scores 0', () => {
+    const result = scamScore(base);
+    assert.equal(result.score, 0);
+    assert.equal(result.factors.length, SCAM_FACTORS.length);
+});
+
+test('factors scale to their saturation and cap at full weight', () => {
+    const result = scamScore({
+        ...base,
+        sideDumpSol: 12.5,     // 0.125 of buys, half of 0.25 -> 15 of 30
+        sellIntoBuysSol: 80,   // 0.8 of sells, past 0.5 -> 25 of 25
+        shortHoldsMain: 1,     // 0.1, a fifth of 0.5 -> 3 of 15
+    });
+    assert.equal(factor(result, 'sideDumping').points, 15);
+    assert.equal(factor(result, 'exitLiquidity').value, 1);
+    assert.equal(factor(result, 'exitLiquidity').points, 25);
+    assert.ok(Math.abs(factor(result, 'shortHolds').points - 3) < 1e-9);
+    assert.equal(result.score, 43);
+});
+
+test('too few trades leaves the score null but keeps the breakdown', () => {
+    const result = scamScore({ ...base, tradeCount: 3, unmatchedSol: 100 }, { minTrades: 10 });
+    assert.equal(result.score, null);
+    assert.equal(factor(result, 'freeTokens').points, 15);
+});
+
+test('no volume gives zero ratios instead of NaN', () => {
+    const result = scamScore({ tradeCount: 0 }, { minTrades: 0 });
+    assert.equal(result.score, 0);
+    assert.ok(result.factors.every(f => f.ratio === 0));
+});